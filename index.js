@@ -5,9 +5,39 @@
  */
 
 var AcroGame = require('./lib/AcroGame'),
-	oUtil = require('./lib/util/Object');
+	AcroGenerator = require('./lib/AcroGenerator'),
+	ChannelSettings = require('./lib/ChannelSettings'),
+	ContentFilter = require('./lib/ContentFilter'),
+	HallOfFame = require('./lib/HallOfFame'),
+	JsonStore = require('./lib/util/JsonStore'),
+	Options = require('./lib/Options'),
+	PhraseMatcher = require('./lib/PhraseMatcher'),
+	Scoring = require('./lib/Scoring'),
+	StatsStore = require('./lib/StatsStore'),
+	StatusServer = require('./lib/StatusServer'),
+	Transcript = require('./lib/Transcript'),
+	fUtil = require('./lib/util/File'),
+	oUtil = require('./lib/util/Object'),
+	sUtil = require('./lib/util/String'),
+	fs = require('fs'),
+	path = require('path');
 
 const START_DELAY = 15;
+const TOP_PLAYERS = 5;
+const TOP_PHRASES = 5;
+
+/**
+ * The game options that can be changed for a single channel with the
+ * acroconfig command: every one with a plain value, rather than a function
+ * or object that only code can provide.  The input prefix is left out, since
+ * it's made up fresh for every game.
+ * @type {Array}
+ */
+const CHANNEL_KEYS = Object.keys(AcroGame.DEFAULT_OPTS).filter(function(key) {
+	var val = AcroGame.DEFAULT_OPTS[key];
+	return key != 'inputPrefix' && (Array.isArray(val) ||
+		['boolean', 'number', 'string'].indexOf(typeof val) != -1);
+}).sort();
 
 /**
  * Allows games of Acrophobia to be played!  See the acrohelp command for
@@ -19,18 +49,219 @@ const START_DELAY = 15;
  * @returns {Object} The Acrophobia Toady mod
  */
 module.exports = function(config, client, modMan) {
-	var games = {};
+	var games = {},
+		stats = new StatsStore(dataPath('stats.json')),
+		channelSettings = new ChannelSettings(dataPath('channels.json')),
+		hallOfFame = new HallOfFame(dataPath('halloffame.json')),
+		snapshots = new JsonStore(dataPath('games.json'), {games: {}}),
+		transcripts = new JsonStore(dataPath('transcripts.json'), {latest: {}}),
+		pendingRestores = {},
+		identities = {},
+		statusServer = null,
+		statusError = null,
+		unloading = false;
 
 	/**
-	 * Handles all input to an Acrophobia game.
+	 * Handles all input to an Acrophobia game.  Unless the 'cloneVotes'
+	 * config item is set to 'allow', the nick's known host and account are
+	 * passed along so that the game can spot clones.
 	 *
 	 * @param {String} nick The nick responsible for the input
 	 * @param {String} channel The channel of the running game
 	 * @param {String} input The provided message array
 	 */
 	function acroInput(nick, channel, input) {
-		if (games[channel] && nickOnChannel(nick, channel))
-			games[channel].userInput(nick, input[0]);
+		if (!games[channel] || !nickOnChannel(nick, channel))
+			return;
+		games[channel].userInput(nick, input[0],
+			channelConfig(channel).cloneVotes == 'allow' ? null :
+				identify(nick));
+	}
+
+	/**
+	 * Resolves the path to a file inside of the Acrophobia data directory,
+	 * as configured in the 'dataDir' config item.  Relative directories are
+	 * resolved from Toady's root folder.
+	 *
+	 * @param {String} file The name of the file
+	 * @returns {String} The absolute path to the file
+	 */
+	function dataPath(file) {
+		return path.resolve(config.dataDir, file);
+	}
+
+	/**
+	 * Builds the list of categories available for themed rounds, combining
+	 * the 'categories' config item with the lines of the file named in the
+	 * 'categoryFile' config item, if there is one.  The file is read each time
+	 * a game starts, so edits take effect with the next game.  If the file
+	 * can't be read, the game goes on without its categories.
+	 *
+	 * @param {Object} cfg The config of the channel the game is in, as
+	 *      returned by {@link channelConfig}
+	 * @param {String} replyTo The nick or channel to which an error reading
+	 *      the file should be sent
+	 * @returns {Array} The available categories
+	 */
+	function loadCategories(cfg, replyTo) {
+		var categories = (cfg.categories || []).slice();
+		if (config.categoryFile) {
+			try {
+				fs.readFileSync(path.resolve(config.categoryFile), 'utf8')
+					.split(/\r?\n/).forEach(function(line) {
+						if (line.trim() && line.trim()[0] != '#')
+							categories.push(line.trim());
+					});
+			}
+			catch (e) {
+				client.notice(replyTo, "Acrophobia could not read the \
+category file, so its categories won't be used: " + e.message);
+			}
+		}
+		return categories;
+	}
+
+	/**
+	 * Gets the config for a channel: the mod's config, with the channel's
+	 * content filter settings and any options changed for the channel with
+	 * the acroconfig command applied on top.
+	 *
+	 * @param {String} channel The channel for which to get the config
+	 * @returns {Object} The channel's config
+	 */
+	function channelConfig(channel) {
+		return oUtil.merge(config, filterOptions(channel),
+			channelSettings.get(channel));
+	}
+
+	/**
+	 * Gets the content filter settings for a channel.  Any entry in the
+	 * filterChannels config option matching the channel may override the
+	 * filter action, and adds its words to the global filterWords list.
+	 *
+	 * @param {String} channel The channel for which to get the settings
+	 * @returns {Object} An object containing the filterAction and filterWords
+	 *      options for the channel
+	 */
+	function filterOptions(channel) {
+		var chanFilters = config.filterChannels || {},
+			opts = {
+				filterAction: config.filterAction,
+				filterWords: (config.filterWords || []).slice()
+			};
+		oUtil.forEach(chanFilters, function(chan, filter) {
+			if (chan.toLowerCase() != channel.toLowerCase() || !filter)
+				return;
+			if (ContentFilter.ACTIONS.indexOf(filter.action) != -1)
+				opts.filterAction = filter.action;
+			opts.filterWords = opts.filterWords.concat(filter.words || []);
+		});
+		return opts;
+	}
+
+	/**
+	 * Describes how a game's normal rounds will end.
+	 *
+	 * @param {Object} state The game's state, as returned by
+	 *      AcroGame::getState
+	 * @returns {String} The description
+	 */
+	function describeLimits(state) {
+		if (state.gameMode == 'limited') {
+			return "The face-off starts after " + state.roundLimit + " " +
+				sUtil.plural(state.roundLimit, "round") + " or " +
+				state.timeLimit + " " +
+				sUtil.plural(state.timeLimit, "minute") +
+				", whichever comes first.";
+		}
+		return "The face-off starts when someone reaches " + state.pointCap +
+			" points.";
+	}
+
+	/**
+	 * Formats a player's stats into a single human-readable line.
+	 *
+	 * @param {Object} player A player's stats, as returned by
+	 *      StatsStore::getPlayer
+	 * @returns {String} The formatted stats
+	 */
+	function formatStats(player) {
+		return player.games + " " + sUtil.plural(player.games, "game") + ", " +
+			player.wins + " " + sUtil.plural(player.wins, "win") + ", " +
+			player.faceOffs + " " + sUtil.plural(player.faceOffs, "face-off") +
+			", " + player.roundWins + " " +
+			sUtil.plural(player.roundWins, "round win") + ", " + player.votes +
+			" " + sUtil.plural(player.votes, "vote") + " received";
+	}
+
+	/**
+	 * Formats a hall of fame entry for display.
+	 *
+	 * @param {Object} entry The entry, as described in {@link HallOfFame}
+	 * @returns {String} A human-readable description of the entry
+	 */
+	function formatEntry(entry) {
+		return '#' + entry.id + ' [' + entry.acro + '] "' + entry.phrase +
+			'" by ' + entry.nick + " -- " + entry.votes + " " +
+			sUtil.plural(entry.votes, "vote") +
+			(entry.faceOff ? " in a face-off" : "") + ", " + entry.channel +
+			" " + entry.date.substr(0, 10);
+	}
+
+	/**
+	 * Gets the strings identifying the person behind a nick, from what's been
+	 * seen of them so far: their host, and their account name if they're
+	 * logged in.  The first time a nick is asked about, a WHOIS is sent in the
+	 * background to fill in anything missing, but the answer is never waited
+	 * on.
+	 *
+	 * @param {String} nick The nick to be identified
+	 * @returns {Array} The identity strings, such as "host:example.com" and
+	 *      "account:ann".  This is empty if nothing is known about the nick.
+	 */
+	function identify(nick) {
+		var known = identities[nick],
+			identity = [];
+		if (!known || !known.lookedUp)
+			lookUp(nick);
+		if (known && known.host)
+			identity.push('host:' + known.host);
+		if (known && known.account)
+			identity.push('account:' + known.account);
+		return identity;
+	}
+
+	/**
+	 * Sends a WHOIS for a nick that hasn't been looked up yet.  The reply is
+	 * picked up by {@link whoisHandler}.  The nick is marked as looked up
+	 * right away, so that it's only asked about once, even if no reply comes.
+	 *
+	 * @param {String} nick The nick to be looked up
+	 */
+	function lookUp(nick) {
+		if (!identities[nick] || !identities[nick].lookedUp) {
+			remember(nick, null, null);
+			identities[nick].lookedUp = true;
+			client.whois(nick);
+		}
+	}
+
+	/**
+	 * Records the host and account seen for a nick, keeping anything already
+	 * known that isn't given.  Everything known about a nick is forgotten when
+	 * it leaves or changes.
+	 *
+	 * @param {String} nick The nick
+	 * @param {String|null} host The nick's host, if it was seen
+	 * @param {String|null} account The nick's account name, if it was seen
+	 */
+	function remember(nick, host, account) {
+		var known = identities[nick] || {};
+		identities[nick] = {
+			host: host ? host.toLowerCase() : known.host || null,
+			account: account ? account.toLowerCase() : known.account || null,
+			lookedUp: !!known.lookedUp
+		};
 	}
 
 	/**
@@ -45,80 +276,688 @@ module.exports = function(config, client, modMan) {
 	}
 
 	/**
-	 * Sends an explanation of Acrophobia gameplay to a user.
+	 * Determines where the response to a command should be sent.
+	 *
+	 * @param {String} from The nick that sent the command
+	 * @param {String} to The nick or channel to which the command was sent
+	 * @returns {String} The channel, if the command was said in one;
+	 *      otherwise, the nick that sent it
+	 */
+	function replyTarget(from, to) {
+		return (to[0] == '#' || to[0] == '&') ? to : from;
+	}
+
+	/**
+	 * Sends a player's all-time stats, both across all channels and, if
+	 * applicable, for a specific channel.
+	 *
+	 * @param {String} replyTo The nick or channel to which the stats should
+	 *      be sent
+	 * @param {String} nick The nick of the player to look up
+	 * @param {String|null} channel The channel for which stats should also be
+	 *      shown, or null to show only the all-time totals
+	 */
+	function sendStats(replyTo, nick, channel) {
+		var player = stats.getPlayer(nick);
+		if (!player)
+			client.notice(replyTo, nick + " hasn't played any Acrophobia yet.");
+		else {
+			client.notice(replyTo, player.nick + " (all channels): " +
+				formatStats(player));
+			var chanPlayer = channel ? stats.getPlayer(nick, channel) : null;
+			if (chanPlayer) {
+				client.notice(replyTo, player.nick + " (" + channel + "): " +
+					formatStats(chanPlayer));
+			}
+		}
+	}
+
+	/**
+	 * Sends the all-time top players, either for a specific channel or across
+	 * all channels.
+	 *
+	 * @param {String} replyTo The nick or channel to which the leaderboard
+	 *      should be sent
+	 * @param {String|null} channel The channel whose leaderboard should be
+	 *      shown, or null for the leaderboard across all channels
+	 */
+	function sendTop(replyTo, channel) {
+		var top = stats.getTop(channel, TOP_PLAYERS),
+			label = channel || "all channels";
+		if (!top.length)
+			client.notice(replyTo, "No Acrophobia games have been recorded \
+for " + label + " yet.");
+		else {
+			client.notice(replyTo, "Top Acrophobia players for " + label +
+				":");
+			top.forEach(function(player, idx) {
+				client.notice(replyTo, (idx + 1) + ". " + player.nick + ": " +
+					formatStats(player));
+			});
+		}
+	}
+
+	/**
+	 * Sends phrases from the hall of fame: a player's best phrases if a nick
+	 * is given, or a random phrase if not.
+	 *
+	 * @param {String} replyTo The nick or channel to which the phrases should
+	 *      be sent
+	 * @param {String|null} channel The channel whose hall of fame should be
+	 *      used, or null to use every channel's
+	 * @param {String} [nick] The nick of the player whose best phrases should
+	 *      be shown
+	 */
+	function sendBest(replyTo, channel, nick) {
+		var entries = nick ? hallOfFame.getBest(nick, channel, TOP_PHRASES) :
+				[hallOfFame.getRandom(channel)].filter(Boolean),
+			label = channel || "any channel";
+		if (!entries.length) {
+			client.notice(replyTo, (nick ? nick + " doesn't have" :
+				"There aren't") + " any winning phrases in the Acrophobia \
+hall of fame for " + label + " yet.");
+		}
+		else {
+			if (nick) {
+				client.notice(replyTo, "The best Acrophobia phrases by " +
+					entries[0].nick + " in " + label + ":");
+			}
+			entries.forEach(function(entry) {
+				client.notice(replyTo, formatEntry(entry));
+			});
+		}
+	}
+
+	/**
+	 * Sends the hall of fame's most-voted phrases, either for a specific
+	 * channel or across all channels.
+	 *
+	 * @param {String} replyTo The nick or channel to which the phrases should
+	 *      be sent
+	 * @param {String|null} channel The channel whose phrases should be shown,
+	 *      or null for the phrases across all channels
+	 */
+	function sendBestTop(replyTo, channel) {
+		var top = hallOfFame.getTop(channel, TOP_PHRASES),
+			label = channel || "all channels";
+		if (!top.length)
+			client.notice(replyTo, "The Acrophobia hall of fame for " + label +
+				" is empty.");
+		else {
+			client.notice(replyTo, "The most-voted Acrophobia phrases for " +
+				label + ":");
+			top.forEach(function(entry) {
+				client.notice(replyTo, formatEntry(entry));
+			});
+		}
+	}
+
+	/**
+	 * Removes a phrase from a channel's hall of fame.  A channel is required,
+	 * since the permission to remove phrases only covers a single channel.
+	 *
+	 * @param {String} replyTo The nick or channel to which error or success
+	 *      messages should be sent
+	 * @param {String|null} channel The channel whose hall of fame holds the
+	 *      phrase
+	 * @param {String} id The ID of the phrase, as shown by the acrobest
+	 *      commands, with or without the leading '#'
+	 */
+	function removeBest(replyTo, channel, id) {
+		if (!channel) {
+			client.notice(replyTo, "Which channel? Try: acrobestremove \
+#channel id");
+			return;
+		}
+		var num = /^#?(\d+)$/.exec(id || ''),
+			entry = num ? hallOfFame.remove(Number(num[1]), channel,
+				reportSave(replyTo, "the hall of fame")) : null;
+		if (!entry) {
+			client.notice(replyTo, "There's no phrase " + (id || '') +
+				" in the hall of fame for " + channel + ".");
+		}
+		else {
+			client.notice(replyTo, "Removed from the hall of fame: " +
+				formatEntry(entry));
+		}
+	}
+
+	/**
+	 * Sends what happened in the last recorded game to a user: either the
+	 * winning phrase of every round, or every phrase of a single round.  If
+	 * the 'transcriptUrl' config item is set, a link to the full transcript
+	 * is sent as well.
+	 *
+	 * @param {String} nick The nick to which the log should be sent
+	 * @param {String|null} channel The channel whose last game should be
+	 *      shown, or null for the last game in any channel
+	 * @param {String} [roundName] The round to be shown in full, such as '4'
+	 *      for the fourth normal round or 'f1' for the first face-off round
+	 */
+	function sendLog(nick, channel, roundName) {
+		var latest = transcripts.data.latest,
+			last = channel ? latest[channel] : null,
+			lines, round;
+		if (!channel) {
+			Object.keys(latest).forEach(function(chan) {
+				if (!last || latest[chan].transcript.endedAt >
+						last.transcript.endedAt)
+					last = latest[chan];
+			});
+		}
+		if (!last) {
+			client.notice(nick, "No Acrophobia games have been recorded for " +
+				(channel || "any channel") + " yet.");
+			return;
+		}
+		if (roundName) {
+			round = Transcript.findRound(last.transcript, roundName);
+			lines = round ? Transcript.summarizeRound(round) :
+				["There was no round " + roundName + " in the last game in " +
+					last.transcript.channel + "."];
+		}
+		else
+			lines = Transcript.summarize(last.transcript);
+		if (config.transcriptUrl) {
+			lines.push("Full transcript: " +
+				config.transcriptUrl.replace(/\/?$/, '/') + last.name + '.md');
+		}
+		lines.forEach(function(line) {
+			client.notice(nick, line);
+		});
+	}
+
+	/**
+	 * Sends an explanation of Acrophobia gameplay to a user, describing the
+	 * rules as they're set for the given channel.
 	 *
 	 * @param {String} nick The nick to which the help page should be sent
+	 * @param {String|null} channel The channel whose settings should be
+	 *      described, or null for the global settings
 	 */
-	function sendHelp(nick) {
-		var help = modMan.getMod('help');
+	function sendHelp(nick, channel) {
+		var help = modMan.getMod('help'),
+			cfg = channel ? channelConfig(channel) : config,
+			acroTime = cfg.timerMode == 'adaptive' ?
+				"{secsPerLetter} seconds per letter" :
+				"{secsPerAcroRound} seconds",
+			voteFor = {
+				approval: "for every one you like (up to {maxVotes}) by \
+sending me their numbers, like \"2 5 7\" -- just not your own!",
+				ranked: "for your favorites (up to {maxVotes}) by sending me \
+their numbers, best first, like \"5 2 7\" -- just not your own!"
+			}[cfg.voteMode] || "for your favorite by sending me the number \
+of the one you like most -- it can't be your own!",
+			faceOffStart = cfg.gameMode == 'limited' ?
+				"After {roundLimit} rounds or {timeLimit} minutes, whichever \
+comes first" : "When the first person hits {pointCap} points";
 		var lines = [
 			"***** Start Acrophobia Help *****",
 			"When Acrophobia starts, I will give the channel an acronym -- \
 for example, EMC.  Each player ",
-			"then gets {secsPerAcroRound} seconds in which to send me a \
-phrase that fits the acronym.  You might say \"Eat ",
+			"then gets " + acroTime + " in which to send me a phrase that \
+fits the acronym.  You might say \"Eat ",
 			"more chicken!\".",
 			" ",
-			"After {secsPerAcroRound} seconds, I'll post a list of the \
-submissions. Each one will have a number.  You vote ",
-			"for your favorite by sending me the number of the one you like \
-most -- it can't be your own!",
+			"When time is up, I'll post a list of the submissions. Each one \
+will have a number.  You vote ",
+			voteFor,
+			" "
+		].concat(Scoring.HELP[cfg.scoring] || Scoring.HELP.classic, [
 			" ",
-			"You get {pointsFastestWithVote} points for being the fastest \
-answer to get a vote, {pointsVoteForWinner} point for voting for the winning ",
-			"answer, and 1 point for each vote your answer receives. The \
-winner gets a bonus point for",
-			"every letter in the acronym.",
+			faceOffStart + ", the face-off round starts to determine the \
+winner!",
 			" ",
-			"When the first person hits {pointCap} points, the face-off round \
-starts to determine the winner!",
+			"In a team game, join a team by sending me: /msg " + client.nick +
+				" acro #channel team NAME",
 			" ",
 			"All acro answers and votes should be sent to me like this:",
 			"/msg " + client.nick + " acro #channel YOUR ENTRY HERE",
 			"Where \"#channel\" is the name of the channel in which the game \
 is running.",
 			"***** End Acrophobia Help *****"
-		];
-		help.sendHelp(nick, lines, config);
+		]);
+		if (cfg.categoryChance > 0) {
+			lines.splice(lines.length - 4, 0, "About {categoryChance}% of \
+rounds come with a category, like \"Movies\" or \"Headlines\". Make your ",
+				"phrase fit it!", " ");
+		}
+		if (cfg.matchMode == 'lenient') {
+			lines.splice(lines.length - 4, 0, "Filler words like \"of\" and \
+\"the\" can be skipped when they don't fit, so \"Return of the King\" ",
+				"works for ROK.", " ");
+		}
+		help.sendHelp(nick, lines, cfg);
+	}
+
+	/**
+	 * Creates a callback for a save to disk, which lets a channel or user
+	 * know if the save failed.
+	 *
+	 * @param {String} replyTo The nick or channel to which the error should
+	 *      be sent
+	 * @param {String} what A description of what was being saved, such as
+	 *      "the stats"
+	 * @returns {Function} A callback function accepting an optional Error
+	 */
+	function reportSave(replyTo, what) {
+		return function(err) {
+			if (err) {
+				client.notice(replyTo, "Acrophobia could not save " + what +
+					": " + err.message);
+			}
+		};
+	}
+
+	/**
+	 * Saves a snapshot of a running game, so that it can be restored if the
+	 * mod is reloaded or the bot restarts.
+	 *
+	 * @param {String} channel The channel on which the game is running
+	 */
+	function saveSnapshot(channel) {
+		snapshots.data.games[channel] = games[channel].getState();
+		snapshots.save(reportSave(channel, "the game in progress"));
+	}
+
+	/**
+	 * Deletes the saved snapshot of a game, if one exists.
+	 *
+	 * @param {String} channel The channel on which the game was played
+	 */
+	function clearSnapshot(channel) {
+		delete pendingRestores[channel];
+		if (snapshots.data.games[channel]) {
+			delete snapshots.data.games[channel];
+			snapshots.save(reportSave(channel, "the end of the game"));
+		}
+	}
+
+	/**
+	 * Writes the transcript of a finished game to the 'transcripts' folder
+	 * of the data directory, as both JSON and Markdown, and keeps it as the
+	 * channel's last game for the acrolog command.
+	 *
+	 * @param {Object} transcript The game's transcript, as returned by
+	 *      AcroGame::getTranscript, with 'channel' and 'endedAt' properties
+	 *      naming the channel and the time at which the game ended
+	 */
+	function saveTranscript(transcript) {
+		var channel = transcript.channel,
+			name = channel.replace(/[^\w-]/g, '') + '-' +
+				transcript.endedAt.substr(0, 19).replace(/:/g, ''),
+			file = dataPath(path.join('transcripts', name)),
+			cb = reportSave(channel, "the game's transcript");
+		fUtil.writeJson(file + '.json', transcript, cb);
+		fUtil.writeText(file + '.md', Transcript.toMarkdown(transcript), cb);
+		transcripts.data.latest[channel] = {
+			name: name,
+			transcript: transcript
+		};
+		transcripts.save(cb);
+	}
+
+	/**
+	 * Adds the winner of a game's latest round to the hall of fame.  This is
+	 * done as each round ends, so that winners are kept even if the game is
+	 * stopped before it finishes.
+	 *
+	 * @param {String} channel The channel in which the game is running
+	 * @param {AcroGame} game The game whose round just ended
+	 */
+	function recordWinner(channel, game) {
+		var rounds = game.getTranscript().rounds;
+		hallOfFame.recordRound(channel, rounds[rounds.length - 1],
+			reportSave(channel, "the round's winner to the hall of fame"));
 	}
 
 	/**
-	 * Starts a new game of Acrophobia on a given channel
+	 * Either restores a saved game or lets the channel know that one can be
+	 * restored, depending on the 'autoRestore' config item.  This should only
+	 * be called once the bot is present on the channel.
+	 *
+	 * @param {String} channel The channel on which the saved game was played
+	 */
+	function offerRestore(channel) {
+		delete pendingRestores[channel];
+		if (games[channel] || !snapshots.data.games[channel])
+			return;
+		if (config.autoRestore)
+			restoreGame(channel, channel);
+		else {
+			client.notice(channel, "An unfinished Acrophobia game was saved \
+for this channel. A channel op can pick it back up with: /msg " +
+				client.nick + " acrorestore " + channel);
+		}
+	}
+
+	/**
+	 * Restores a saved game, picking it back up where it left off.
+	 *
+	 * @param {String} replyTo The nick or channel to which error or success
+	 *      messages should be sent
+	 * @param {String} channel The channel on which the saved game was played
+	 */
+	function restoreGame(replyTo, channel) {
+		if (games[channel]) {
+			client.notice(replyTo, "An Acrophobia game is already running on "
+				+ channel);
+		}
+		else if (!snapshots.data.games[channel]) {
+			client.notice(replyTo, "There's no saved Acrophobia game for " +
+				channel);
+		}
+		else
+			startGame(replyTo, channel, snapshots.data.games[channel]);
+	}
+
+	/**
+	 * Starts a new game of Acrophobia on a given channel.  If any of the
+	 * channel's options isn't allowed, the game isn't started, and the
+	 * problem is reported instead.
 	 *
 	 * @param {String} replyTo The nick or channel to which error or success
 	 *      messages should be sent
 	 * @param {String} channel The channel on which to start the new game
+	 * @param {Object} [state] A game snapshot, as returned by
+	 *      AcroGame::getState, if the game should pick up from a saved point
+	 *      rather than starting from scratch
+	 * @param {Object} [opts] Game options overriding the config for this game
+	 *      only, as returned by {@link parseStartArgs}
 	 */
-	function startGame(replyTo, channel) {
+	function startGame(replyTo, channel, state, opts) {
 		if (games[channel]) {
 			client.notice(replyTo, "An Acrophobia game is already running on "
 				+ channel);
 		}
 		else {
-			var inputPrefix = '/msg ' + client.nick + ' acro ' + channel + ' ';
-			games[channel] = new AcroGame(oUtil.merge(config, {
-				sayPrivate: function(user, msg) {
-					client.notice(user, msg);
-				},
-				sayPublic: function(msg) {
-					client.notice(channel, msg);
-				},
-				inputPrefix: inputPrefix
-			}));
-			games[channel].on('end', function() {
-				delete games[channel];
+			var inputPrefix = '/msg ' + client.nick + ' acro ' + channel + ' ',
+				cfg = channelConfig(channel),
+				game;
+			try {
+				game = new AcroGame(oUtil.merge(cfg, {
+					sayPrivate: function(user, msg) {
+						client.notice(user, msg);
+					},
+					sayPublic: function(msg) {
+						client.notice(channel, msg);
+					},
+					channelUsers: function() {
+						var data = client.chanData(channel);
+						return data ? Object.keys(data.users) : null;
+					},
+					categories: loadCategories(cfg, replyTo),
+					inputPrefix: inputPrefix
+				}, opts));
+			}
+			catch (e) {
+				client.notice(replyTo, "Acrophobia can't start in " + channel +
+					" until its options are fixed. " + e.message);
+				return;
+			}
+			games[channel] = game;
+			if (statusError) {
+				client.notice(replyTo, "Acrophobia's web page for following \
+games isn't available, because its server could not start: " +
+					statusError.message);
+				statusError = null;
+			}
+			if (cfg.cloneVotes != 'allow') {
+				// Hosts are looked up ahead of time so clones can be spotted
+				// from their first vote
+				var data = client.chanData(channel);
+				Object.keys(data ? data.users : {}).forEach(function(nick) {
+					lookUp(nick);
+				});
+			}
+			game.on('phase', function() {
+				if (games[channel] === game)
+					saveSnapshot(channel);
 			});
-			client.notice(channel, "Acrophobia starts in " + START_DELAY +
-				" seconds! /msg " + client.nick +
-				" acrohelp for instructions.");
+			game.on('roundResults', function() {
+				recordWinner(channel, game);
+			});
+			game.on('faceOffRoundResult', function() {
+				recordWinner(channel, game);
+			});
+			game.on('end', function(natural) {
+				// A game cut short by an unload is kept in its snapshot, and
+				// is recorded once it's restored and finished
+				if (!unloading)
+					stats.recordGame(channel, game.getSummary(),
+						reportSave(channel, "the game's stats"));
+				if (natural) {
+					saveTranscript(oUtil.merge(game.getTranscript(), {
+						channel: channel,
+						endedAt: new Date().toISOString()
+					}));
+				}
+				if (games[channel] === game) {
+					if (!unloading)
+						clearSnapshot(channel);
+					delete games[channel];
+				}
+			});
+			if (state) {
+				game.restore(state);
+				client.notice(channel, "Picking up the unfinished Acrophobia \
+game in " + START_DELAY + " seconds! /msg " + client.nick +
+					" acrohelp for instructions.");
+			}
+			else {
+				client.notice(channel, "Acrophobia starts in " + START_DELAY +
+					" seconds! /msg " + client.nick +
+					" acrohelp for instructions.");
+			}
 			client.notice(channel, "Copy this to your clipboard: [" +
 				inputPrefix + "].");
-			setTimeout(function() {
-				games[channel].start();
-			}, START_DELAY * 1000);
+			client.notice(channel, describeLimits(game.getState()));
+			if (game.getState().teamMode) {
+				client.notice(channel, "This is a team game! Join a team \
+with: " + inputPrefix + "team NAME");
+			}
+			game.startIn(START_DELAY);
+		}
+	}
+
+	/**
+	 * Parses the arguments of the acrostart command into game options.  A
+	 * game can be made a team game, and can end its normal rounds either at
+	 * the point cap or after a number of rounds or minutes.
+	 *
+	 * @param {String} [argStr] The arguments given after the channel, if any
+	 * @returns {Object|Error} The game options to be passed to
+	 *      {@link startGame}, or an Error if an argument wasn't recognized
+	 */
+	function parseStartArgs(argStr) {
+		var opts = {},
+			args = (argStr || '').trim().split(/\s+/);
+		for (var i = 0; i < args.length; i++) {
+			var arg = args[i].toLowerCase(),
+				num = /^[0-9]+$/.test(args[i + 1]) ? parseInt(args[i + 1], 10) :
+					null;
+			switch (arg) {
+				case '':
+					break;
+				case 'team':
+				case 'teams':
+					opts.teamMode = true;
+					break;
+				case 'points':
+					opts.gameMode = 'points';
+					break;
+				case 'round':
+				case 'rounds':
+				case 'minute':
+				case 'minutes':
+					opts.gameMode = 'limited';
+					if (num) {
+						opts[arg[0] == 'r' ? 'roundLimit' : 'timeLimit'] = num;
+						i++;
+					}
+					break;
+				default:
+					return new Error("I don't know how to start a \"" +
+						args[i] + "\" game. Try: acrostart [#channel] [teams] \
+[points | rounds N | minutes N]");
+			}
 		}
+		return opts;
 	}
 
+	/**
+	 * Shows or changes the game options for a channel.  With no key, the
+	 * options changed for the channel are listed.  With a key but no value,
+	 * the option's current value is shown.  A value of 'default' removes the
+	 * channel's change, and any other value is checked and saved for the next
+	 * game started in the channel.
+	 *
+	 * @param {String} replyTo The nick or channel to which error or success
+	 *      messages should be sent
+	 * @param {String} channel The channel whose options should be shown or
+	 *      changed
+	 * @param {String} [name] The option key, in any case
+	 * @param {String} [value] The new value for the option
+	 */
+	function configureChannel(replyTo, channel, name, value) {
+		if (!channel) {
+			client.notice(replyTo, "Which channel? Try: acroconfig #channel \
+option value");
+			return;
+		}
+		var settings = channelSettings.get(channel),
+			key = findChannelKey(name),
+			val, valid;
+		if (!name) {
+			client.notice(replyTo, Object.keys(settings).length ?
+				"Options changed for " + channel + ": " +
+				Object.keys(settings).sort().map(function(opt) {
+					return opt + ' = ' + formatOption(settings[opt]);
+				}).join('; ') :
+				channel + " uses the default Acrophobia options.");
+		}
+		else if (!key)
+			client.notice(replyTo, "There's no Acrophobia option called " +
+				name + ".");
+		else if (!value) {
+			client.notice(replyTo, key + " is " +
+				formatOption(channelConfig(channel)[key]) + " in " + channel +
+				(settings.hasOwnProperty(key) ? "." : ", the default."));
+		}
+		else if (value.toLowerCase() == 'default') {
+			channelSettings.unset(channel, key,
+				reportSave(replyTo, "the settings for " + channel));
+			client.notice(replyTo, key + " is back to the default in " +
+				channel + ": " + formatOption(channelConfig(channel)[key]) +
+				".");
+		}
+		else {
+			val = parseOption(key, value);
+			valid = val instanceof Error ? val :
+				Options.validate(key, val, channelConfig(channel));
+			if (valid instanceof Error)
+				client.notice(replyTo, key + ": " + valid.message);
+			else {
+				channelSettings.set(channel, key, val,
+					reportSave(replyTo, "the settings for " + channel));
+				client.notice(replyTo, key + " is now " + formatOption(val) +
+					" in " + channel + ", starting with the next game.");
+			}
+		}
+	}
+
+	/**
+	 * Gets the config items that can be changed on the fly with Toady's
+	 * Config module: every game option that can be changed per channel,
+	 * other than lists.  Each is checked with the same rules as the
+	 * acroconfig command.
+	 *
+	 * @returns {Object} A mapping of option keys to config items
+	 */
+	function getConfigItems() {
+		var items = {};
+		CHANNEL_KEYS.forEach(function(key) {
+			var type = typeof AcroGame.DEFAULT_OPTS[key];
+			if (type == 'object')
+				return;
+			items[key] = {
+				desc: Options.SCHEMA[key].desc,
+				type: type,
+				validate: function(val) {
+					return Options.validate(key, val, config);
+				}
+			};
+		});
+		return items;
+	}
+
+	/**
+	 * Pauses a currently executing Acrophobia game
+	 *
+	 * @param {String} replyTo The nick or channel to which error or success
+	 *      messages should be sent
+	 * @param {String} channel The channel on which the game is running
+	 */
+	function pauseGame(replyTo, channel) {
+		if (!games[channel])
+			client.notice(replyTo, "Acrophobia isn't running in " + channel);
+		else if (!games[channel].pause()) {
+			client.notice(replyTo, "Acrophobia can't be paused in " + channel +
+				" right now");
+		}
+		else {
+			client.notice(channel, "Acrophobia is paused! All timers are \
+frozen until the game is resumed.");
+			if (replyTo != channel)
+				client.notice(replyTo, "Acrophobia paused for " + channel);
+		}
+	}
+
+	/**
+	 * Resumes a paused Acrophobia game
+	 *
+	 * @param {String} replyTo The nick or channel to which error or success
+	 *      messages should be sent
+	 * @param {String} channel The channel on which the game is paused
+	 */
+	function resumeGame(replyTo, channel) {
+		if (!games[channel])
+			client.notice(replyTo, "Acrophobia isn't running in " + channel);
+		else if (!games[channel].resume())
+			client.notice(replyTo, "Acrophobia isn't paused in " + channel);
+		else {
+			client.notice(channel, "Acrophobia has resumed! The clock is \
+ticking again.");
+			if (replyTo != channel)
+				client.notice(replyTo, "Acrophobia resumed for " + channel);
+		}
+	}
+
+	/**
+	 * Listens for users to join a channel, noting their host for spotting
+	 * clones.  When the bot itself joins, it offers to restore a saved game on
+	 * that channel if there is one.
+	 *
+	 * @param {String} channel The channel that was joined
+	 * @param {String} nick The nick of the user that joined
+	 * @param {Object} [message] The raw IRC message, with the user's host
+	 */
+	function joinHandler(channel, nick, message) {
+		if (message && message.host)
+			remember(nick, message.host, null);
+		if (nick == client.nick && pendingRestores[channel])
+			offerRestore(channel);
+	}
+	client.on('join', joinHandler);
+
+	// Saved games can only be picked back up once the bot is in the channel
+	Object.keys(snapshots.data.games).forEach(function(channel) {
+		if (client.chanData(channel))
+			offerRestore(channel);
+		else
+			pendingRestores[channel] = true;
+	});
+
 	/**
 	 * Halts all currently executing Acrophobia games
 	 */
@@ -155,6 +994,10 @@ is running.",
 	 *      currently present
 	 */
 	function nickHandler(oldNick, newNick, channels) {
+		if (identities[oldNick]) {
+			identities[newNick] = identities[oldNick];
+			delete identities[oldNick];
+		}
 		channels.forEach(function(channel) {
 			if (games[channel])
 				games[channel].changeUser(oldNick, newNick);
@@ -170,6 +1013,7 @@ is running.",
 	 * @param {String} nick The nickname of the user
 	 */
 	function partHandler(channel, nick) {
+		delete identities[nick];
 		if (games[channel])
 			games[channel].deleteUser(nick);
 	}
@@ -186,6 +1030,7 @@ is running.",
 	 *      present before quitting
 	 */
 	function quitHandler(nick, reason, channels) {
+		delete identities[nick];
 		channels.forEach(function(channel) {
 			if (games[channel])
 				games[channel].deleteUser(nick);
@@ -193,6 +1038,39 @@ is running.",
 	}
 	client.on('quit', quitHandler);
 
+	/**
+	 * Listens for WHOIS replies, whether the mod asked for them or not, and
+	 * notes the host and account of the nick for spotting clones.
+	 *
+	 * @param {Object} info The WHOIS reply, with 'nick', 'host', and, if the
+	 *      user is logged in, 'account' properties
+	 */
+	function whoisHandler(info) {
+		if (info && info.nick)
+			remember(info.nick, info.host, info.account);
+	}
+	client.on('whois', whoisHandler);
+
+	/**
+	 * Starts the HTTP server that shows the running games to spectators, on
+	 * the port and address in the 'httpPort' and 'httpHost' config items.
+	 * The mod loads before the server is up, so if it fails to start, the
+	 * error is kept until it can be reported to whoever starts the next game.
+	 */
+	function startStatusServer() {
+		statusServer = new StatusServer(function() {
+			return games;
+		});
+		statusServer.listen(config.httpPort, config.httpHost, function(err) {
+			if (err && !unloading) {
+				statusError = err;
+				statusServer = null;
+			}
+		});
+	}
+	if (config.httpPort)
+		startStatusServer();
+
 	return {
 		name: 'Acrophobia',
 		commands: {
@@ -210,32 +1088,181 @@ a private message");
 					"** This command must be messages privately **",
 					"Examples:",
 					"  /msg {nick} {cmd} #someRoom Fish Tastes Like Chicken!",
-					"  /msg {nick} {cmd} #someRoom 5"
+					"  /msg {nick} {cmd} #someRoom 5",
+					"  /msg {nick} {cmd} #someRoom 2 5 7"
 				],
 				hidden: true,
 				targetChannel: true
 			},
+			acrobest: {
+				handler: function(from, to, target, args) {
+					sendBest(replyTarget(from, to), target || null,
+						(args[0] || '').trim().split(/\s+/)[0]);
+				},
+				desc: "Shows winning phrases from the Acrophobia hall of fame",
+				help: [
+					"Format: {cmd} [#channel] [nick]",
+					"Examples:",
+					"  /msg {nick} {cmd} #room",
+					"  /msg {nick} {cmd} #room SomeGuy",
+					"  {!}{cmd}",
+					" ",
+					"Shows a random round-winning phrase, or a player's most \
+voted phrases if a nick is given. If this is said in a channel with no other \
+channel specified, I'll use that channel's hall of fame. Sent privately with \
+no channel, I'll use every channel's."
+				],
+				targetChannel: true
+			},
+			acrobestremove: {
+				handler: function(from, to, target, args) {
+					removeBest(replyTarget(from, to), target || null,
+						(args[0] || '').trim().split(/\s+/)[0]);
+				},
+				desc: "Removes a phrase from the Acrophobia hall of fame",
+				help: [
+					"Format: {cmd} [#channel] <id>",
+					"Examples:",
+					"  /msg {nick} {cmd} #room 12",
+					"  {!}{cmd} 12",
+					" ",
+					"The id is the number shown before the phrase by the \
+acrobest commands. The phrase is only removed from the given channel's hall \
+of fame. If this is said in a channel with no other channel specified, I'll \
+use that channel."
+				],
+				minPermission: '%',
+				targetChannel: true
+			},
+			acrobesttop: {
+				handler: function(from, to, target, args) {
+					sendBestTop(replyTarget(from, to), target || null);
+				},
+				desc: "Shows the most-voted phrases in the hall of fame",
+				help: [
+					"Format: {cmd} [#channel]",
+					"Examples:",
+					"  /msg {nick} {cmd} #room",
+					"  /msg {nick} {cmd}",
+					"  {!}{cmd}",
+					" ",
+					"If this is said in a channel with no other channel \
+specified, I'll show the best phrases for that channel. Sent privately with \
+no channel, I'll show the best phrases across all channels."
+				],
+				targetChannel: true
+			},
+			acroconfig: {
+				handler: function(from, to, target, args) {
+					var parts = /^(\S*)\s*(.*)$/.exec((args[0] || '').trim());
+					configureChannel(replyTarget(from, to), target, parts[1],
+						parts[2]);
+				},
+				desc: "Changes the Acrophobia options for a channel",
+				help: [
+					"Format: {cmd} [#channel] [option] [value]",
+					"Examples:",
+					"  /msg {nick} {cmd} #room pointCap 15",
+					"  /msg {nick} {cmd} #room teamNames Red, Blue",
+					"  {!}{cmd} secsPerAcroRound default",
+					"  {!}{cmd}",
+					" ",
+					"Changes are saved, and apply to the next game started in \
+the channel. Use 'default' as the value to go back to the normal setting, \
+leave out the value to see the current setting, or leave out the option to \
+see everything that's been changed. Lists are separated by commas."
+				],
+				minPermission: '@',
+				targetChannel: true
+			},
 			acrohelp: {
 				handler: function(from, to, target, args) {
-					sendHelp(from);
+					sendHelp(from, target || null);
 				},
 				desc: "Provides instructions on how to play Acrophobia",
 				help: [
-					"Format: {cmd}",
+					"Format: {cmd} [#channel]",
 					"Examples:",
 					"  /msg {nick} {cmd}",
-					"  {!}{cmd}"
-				]
+					"  /msg {nick} {cmd} #room",
+					"  {!}{cmd}",
+					"The rules are described as they're set for the channel, \
+or as they're set everywhere when sent privately with no channel."
+				],
+				targetChannel: true
 			},
 			acrostart: {
 				handler: function(from, to, target, args) {
-					var inChan = false;
-					if (to[0] == '#' || to[0] == '&')
-						inChan = true;
-					var replyTo = inChan ? to : from;
-					startGame(replyTo, target);
+					var replyTo = replyTarget(from, to),
+						opts = parseStartArgs(args[0]);
+					if (opts instanceof Error)
+						client.notice(replyTo, opts.message);
+					else
+						startGame(replyTo, target, null, opts);
 				},
 				desc: "Starts a game of Acrophobia",
+				help: [
+					"Format: {cmd} [#channel] [teams] [points | rounds N | \
+minutes N]",
+					"Examples:",
+					"  /msg {nick} {cmd} #room",
+					"  /msg {nick} {cmd} #room teams",
+					"  /msg {nick} {cmd} #room rounds 8 minutes 20",
+					"  {!}{cmd}",
+					" ",
+					"If this is said in a channel with no other channel \
+specified, I'll start the game in that channel. Add \"teams\" to start a team \
+game, in which players join teams and team scores are kept alongside their \
+own.",
+					"Add \"rounds\" or \"minutes\" to go to the face-off after \
+a number of rounds or minutes, whichever comes first, instead of at the point \
+cap. Leave out the number to use the configured limit. Add \"points\" to play \
+to the point cap."
+				],
+				minPermission: '%',
+				targetChannel: true
+			},
+			acropause: {
+				handler: function(from, to, target, args) {
+					pauseGame(replyTarget(from, to), target);
+				},
+				desc: "Pauses a running game of Acrophobia",
+				help: [
+					"Format: {cmd} [#channel]",
+					"Examples:",
+					"  /msg {nick} {cmd} #room",
+					"  {!}{cmd}",
+					" ",
+					"All timers are frozen and scores are kept until the game \
+is resumed with acroresume. If this is said in a channel with no other \
+channel specified, I'll pause the game running in the current channel."
+				],
+				minPermission: '%',
+				targetChannel: true
+			},
+			acrorestore: {
+				handler: function(from, to, target, args) {
+					restoreGame(replyTarget(from, to), target);
+				},
+				desc: "Picks up an unfinished game of Acrophobia",
+				help: [
+					"Format: {cmd} [#channel]",
+					"Examples:",
+					"  /msg {nick} {cmd} #room",
+					"  {!}{cmd}",
+					" ",
+					"Games that were interrupted by a reload or restart are \
+saved, and can be picked back up where they left off. If this is said in a \
+channel with no other channel specified, I'll restore that channel's game."
+				],
+				minPermission: '%',
+				targetChannel: true
+			},
+			acroresume: {
+				handler: function(from, to, target, args) {
+					resumeGame(replyTarget(from, to), target);
+				},
+				desc: "Resumes a paused game of Acrophobia",
 				help: [
 					"Format: {cmd} [#channel]",
 					"Examples:",
@@ -243,18 +1270,69 @@ a private message");
 					"  {!}{cmd}",
 					" ",
 					"If this is said in a channel with no other channel \
-specified, I'll start the game in that channel."
+specified, I'll resume the game paused in the current channel."
 				],
 				minPermission: '%',
 				targetChannel: true
 			},
+			acrolog: {
+				handler: function(from, to, target, args) {
+					sendLog(from, target || null,
+						(args[0] || '').trim().split(/\s+/)[0]);
+				},
+				desc: "Shows what happened in the last Acrophobia game",
+				help: [
+					"Format: {cmd} [#channel] [round]",
+					"Examples:",
+					"  /msg {nick} {cmd} #room",
+					"  /msg {nick} {cmd} #room 4",
+					"  {!}{cmd} f1",
+					" ",
+					"I'll send you the winning phrase of every round in the \
+channel's last game, or every phrase of one round if you name it. Face-off \
+rounds start with an f, like f1. Sent privately with no channel, I'll show \
+the last game played anywhere."
+				],
+				targetChannel: true
+			},
+			acrostats: {
+				handler: function(from, to, target, args) {
+					var replyTo = replyTarget(from, to),
+						nick = (args[0] || '').trim().split(/\s+/)[0] || from;
+					sendStats(replyTo, nick, replyTo == to ? to : null);
+				},
+				desc: "Shows a player's all-time Acrophobia stats",
+				help: [
+					"Format: {cmd} [nick]",
+					"Examples:",
+					"  /msg {nick} {cmd} SomeGuy",
+					"  {!}{cmd}",
+					" ",
+					"If no nick is specified, your own stats will be shown. \
+If this is said in a channel, that channel's stats will be shown as well."
+				]
+			},
+			acrotop: {
+				handler: function(from, to, target, args) {
+					sendTop(replyTarget(from, to), target || null);
+				},
+				desc: "Shows the all-time top Acrophobia players",
+				help: [
+					"Format: {cmd} [#channel]",
+					"Examples:",
+					"  /msg {nick} {cmd} #room",
+					"  /msg {nick} {cmd}",
+					"  {!}{cmd}",
+					" ",
+					"If this is said in a channel with no other channel \
+specified, I'll show the leaders for that channel. Sent privately with no \
+channel, I'll show the leaders across all channels."
+				],
+				targetChannel: true
+			},
 			acrostop: {
 				handler: function(from, to, target, args) {
-					var inChan = false;
-					if (to[0] == '#' || to[0] == '&')
-						inChan = true;
-					var replyTo = inChan ? to : from;
-					stopGame(replyTo, target);
+					stopGame(replyTarget(from, to), target);
 				},
 				desc: "Stops a running game of Acrophobia",
 				help: [
@@ -270,71 +1348,160 @@ specified, I'll stop the game running in the current channel."
 				targetChannel: true
 			}
 		},
-		configItems: {
-			minLetters: {
-				desc: "The minimum number of letters per acro",
-				type: 'number',
-				validate: function(val) {
-					if (val < 2 || val > 12)
-						return new Error("Value must be between 2 and 12.");
-					if (config.maxLetters < val) {
-						return new Error(
-							"Value cannot be greater than maxLetters.");
-					}
-					return true;
-				}
-			},
-			maxLetters: {
-				desc: "The maximum number of letters per acro",
-				type: 'number',
-				validate: function(val) {
-					if (val < 4 || val > 24)
-						return new Error("Value must be between 4 and 24.");
-					if (config.minLetters > val) {
-						return new Error(
-							"Value cannot be less than minLetters.");
-					}
-					return true;
-				}
-			},
-			pointCap: {
-				desc: "Number of points to be reached before entering face-off",
-				type: 'number',
-				validate: function(val) {
-					if (val < 1)
-						return new Error("Value must be a positive number.");
-					if (val > 500)
-						return new Error("Value cannot exceed 500.");
-					return true;
-				}
-			}
-		},
+		configItems: getConfigItems(),
 		unload: function() {
+			unloading = true;
+			Object.keys(games).forEach(function(channel) {
+				if (games[channel].isRunning())
+					saveSnapshot(channel);
+			});
 			stopAll();
+			if (statusServer)
+				statusServer.close();
+			client.removeListener('join', joinHandler);
 			client.removeListener('nick', nickHandler);
 			client.removeListener('part', partHandler);
 			client.removeListener('kick', partHandler);
 			client.removeListener('quit', quitHandler);
+			client.removeListener('whois', whoisHandler);
 		}
 	};
 };
 
 module.exports.configDefaults = {
+	acroBigrams: false,
+	autoRestore: true,
+	bannedAcros: AcroGenerator.DEFAULT_BANNED,
+	categories: [
+		'Movies',
+		'Excuses for being late',
+		'Headlines',
+		'Band names',
+		'Pickup lines',
+		'Things you should never say on a first date',
+		'Reasons to call in sick',
+		'Fortune cookie fortunes'
+	],
+	categoryChance: 0,
+	categoryFile: '',
+	categoryRepeats: false,
+	dataDir: 'config/acrophobia',
 	charPool: 'AAAABBBBCCCCDDDDEEEEEFFFFGGGGHHHHIIIIJJKKLLLLMMMMNNNNOOOPPPPQQRRRSSSSTTTTUVVWWXYYZ',
+	cloneVotes: 'allow',
+	duplicateAction: 'reject',
+	duplicateFuzzy: false,
+	earlyClose: true,
+	faceOffFormat: 'points',
 	faceOffMinLetters: 3,
+	faceOffPlayers: 2,
 	faceOffRounds: 3,
+	faceOffTieBreaker: 'suddenDeath',
+	filterAction: 'none',
+	filterChannels: {},
+	filterWords: [],
+	gameMode: 'points',
+	httpHost: '127.0.0.1',
+	httpPort: 0,
 	minLetters: 3,
 	maxLetters: 7,
+	maxRareLetters: 1,
+	maxVotes: 3,
+	matchApostrophes: 'join',
+	matchHyphens: 'join',
+	matchMode: 'strict',
+	matchNumbers: 'literal',
+	matchStopwords: PhraseMatcher.DEFAULT_STOPWORDS,
 	pointCap: 30,
 	pointsVoteForWinner: 1,
 	pointsFastestWithVote: 2,
+	presentVotersOnly: false,
+	rankedCount: 'borda',
+	rareLetters: 'JKQVXZ',
+	roundLimit: 10,
+	scoring: 'classic',
 	secsAfterResults: 7,
+	secsEarlyClose: 5,
 	secsBetweenMessages: 5,
 	secsBetweenRounds: 7,
 	secsPerAcroRound: 60,
 	secsPerVoteRound: 30,
+	secsPerLetter: 12,
+	secsPerEntry: 6,
+	minSecsPerAcroRound: 30,
+	maxSecsPerAcroRound: 90,
+	minSecsPerVoteRound: 20,
+	maxSecsPerVoteRound: 60,
 	secsPerFaceOffRound: 30,
-	secsBetweenFaceOffRounds: 2
+	secsBetweenFaceOffRounds: 2,
+	suddenDeathRounds: 3,
+	teamFaceOff: 'teams',
+	teamMode: false,
+	teamNames: [],
+	teamVoting: 'allow',
+	timeLimit: 30,
+	timerMode: 'adaptive',
+	transcriptUrl: '',
+	voteMode: 'single'
 };
 
 module.exports.minToadyVersion = '0.3.0';
+
+/**
+ * Finds the option that can be changed per channel with the given name,
+ * ignoring case.
+ *
+ * @param {String} [name] The name of the option
+ * @returns {String|null} The option key, or null if there's no such option
+ */
+function findChannelKey(name) {
+	var lower = (name || '').toLowerCase();
+	return CHANNEL_KEYS.filter(function(key) {
+		return key.toLowerCase() == lower;
+	})[0] || null;
+}
+
+/**
+ * Formats an option value for display.
+ *
+ * @param {*} val The value
+ * @returns {String} The value, with lists separated by commas
+ */
+function formatOption(val) {
+	if (Array.isArray(val))
+		return val.length ? val.join(', ') : 'none';
+	return String(val);
+}
+
+/**
+ * Converts the text given to the acroconfig command into a value of the
+ * same type as the option's default: a number, a boolean, a comma-separated
+ * list, or a string.
+ *
+ * @param {String} key The option key
+ * @param {String} str The text to be converted
+ * @returns {*} The value, or an Error if the text can't be converted
+ */
+function parseOption(key, str) {
+	var def = AcroGame.DEFAULT_OPTS[key];
+	if (Array.isArray(def)) {
+		if (str.toLowerCase() == 'none')
+			return [];
+		return str.split(',').map(function(item) {
+			return item.trim();
+		}).filter(Boolean);
+	}
+	switch (typeof def) {
+		case 'number':
+			if (!/^-?\d+(\.\d+)?$/.test(str))
+				return new Error("Value must be a number.");
+			return parseFloat(str);
+		case 'boolean':
+			if (/^(true|on|yes)$/i.test(str))
+				return true;
+			if (/^(false|off|no)$/i.test(str))
+				return false;
+			return new Error("Value must be true or false.");
+		default:
+			return str;
+	}
+}
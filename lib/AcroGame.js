@@ -4,83 +4,232 @@
  * Copyright 2013 Tom Frost
  */
 
-var FaceOff = require('./FaceOff'),
+var AcroGenerator = require('./AcroGenerator'),
+	CategoryPicker = require('./CategoryPicker'),
+	FaceOff = require('./FaceOff'),
 	NormalRound = require('./NormalRound'),
+	Options = require('./Options'),
+	PhraseMatcher = require('./PhraseMatcher'),
 	events = require('events'),
+	Scheduler = require('./util/Scheduler'),
 	Seq = require('seq'),
+	TimerGroup = require('./util/TimerGroup'),
 	util = require('util'),
 	oUtil = require('./util/Object');
 
 /**
  * The default options for a game of Acrophobia.  Any of these may be
  * overridden by passing new values into the constructor.  The default
- * will be used for anything omitted.
+ * will be used for anything omitted or null.  The values allowed for each
+ * option are described in Options::SCHEMA.
  * @type {{
+ *      acroBigrams: boolean,
+ *      acroGenerator: Function,
+ *      bannedAcros: Array,
+ *      categories: Array,
+ *      categoryChance: number,
+ *      categoryRepeats: boolean,
+ *      channelUsers: Function,
  *      charPool: string,
+ *      cloneVotes: string,
+ *      duplicateAction: string,
+ *      duplicateFuzzy: boolean,
+ *      earlyClose: boolean,
+ *      faceOffFormat: string,
+ *      faceOffPlayers: number,
  *      faceOffRounds: number,
+ *      faceOffTieBreaker: string,
+ *      filterAction: string,
+ *      filterWords: Array,
+ *      gameMode: string,
  *      faceOffMinLetters: number,
  *      pointCap: number,
  *      sayPrivate: Function,
  *      sayPublic: Function,
+ *      scheduler: Object,
+ *      scoring: string|Function,
  *      secsAfterResults: number,
+ *      secsEarlyClose: number,
  *      secsBetweenMessages: number,
  *      secsBetweenRounds: number,
  *      secsPerAcroRound: number,
  *      secsPerVoteRound: number,
+ *      secsPerLetter: number,
+ *      secsPerEntry: number,
+ *      minSecsPerAcroRound: number,
+ *      maxSecsPerAcroRound: number,
+ *      minSecsPerVoteRound: number,
+ *      maxSecsPerVoteRound: number,
  *      secsPerFaceOffRound: number,
  *      secsBetweenFaceOffRounds: number,
+ *      suddenDeathRounds: number,
  *      minLetters: number,
  *      maxLetters: number,
+ *      maxRareLetters: number,
+ *      maxVotes: number,
+ *      matchApostrophes: string,
+ *      matchHyphens: string,
+ *      matchMode: string,
+ *      matchNumbers: string,
+ *      matchStopwords: Array,
  *      pointsVoteForWinner: number,
  *      pointsFastestWithVote: number,
+ *      presentVotersOnly: boolean,
+ *      rankedCount: string,
+ *      rareLetters: string,
+ *      roundLimit: number,
+ *      teamFaceOff: string,
+ *      teamMode: boolean,
+ *      teamNames: Array,
+ *      teamVoting: string,
+ *      timeLimit: number,
+ *      timerMode: string,
+ *      voteMode: string,
  *      inputPrefix: string
  * }}
  */
 const DEFAULT_OPTS = {
+	acroBigrams: false,
+	acroGenerator: AcroGenerator.generate,
+	bannedAcros: AcroGenerator.DEFAULT_BANNED,
+	categories: [],
+	categoryChance: 0,
+	categoryRepeats: false,
+	channelUsers: function() { return null; },
 	charPool: 'AAAABBBBCCCCDDDDEEEEEFFFFGGGGHHHHIIIIJJKKLLLLMMMMNNNNOOOPPPPQQRRRSSSSTTTTUVVWWXYZ',
+	cloneVotes: 'allow',
+	duplicateAction: 'reject',
+	duplicateFuzzy: false,
+	earlyClose: true,
+	faceOffFormat: 'points',
+	faceOffPlayers: 2,
 	faceOffRounds: 3,
+	faceOffTieBreaker: 'suddenDeath',
 	faceOffMinLetters: 3,
+	filterAction: 'none',
+	filterWords: [],
+	gameMode: 'points',
 	pointCap: 30,
 	sayPrivate: function() {},
 	sayPublic: function() {},
+	scheduler: Scheduler,
+	scoring: 'classic',
 	secsAfterResults: 7,
+	secsEarlyClose: 5,
 	secsBetweenMessages: 5,
 	secsBetweenRounds: 7,
 	secsPerAcroRound: 60,
 	secsPerVoteRound: 30,
+	secsPerLetter: 12,
+	secsPerEntry: 6,
+	minSecsPerAcroRound: 30,
+	maxSecsPerAcroRound: 90,
+	minSecsPerVoteRound: 20,
+	maxSecsPerVoteRound: 60,
 	secsPerFaceOffRound: 30,
 	secsBetweenFaceOffRounds: 2,
+	suddenDeathRounds: 3,
 	minLetters: 3,
 	maxLetters: 7,
+	maxRareLetters: 1,
+	maxVotes: 3,
+	matchApostrophes: 'join',
+	matchHyphens: 'join',
+	matchMode: 'strict',
+	matchNumbers: 'literal',
+	matchStopwords: PhraseMatcher.DEFAULT_STOPWORDS,
 	pointsVoteForWinner: 1,
 	pointsFastestWithVote: 2,
+	presentVotersOnly: false,
+	rankedCount: 'borda',
+	rareLetters: 'JKQVXZ',
+	roundLimit: 10,
+	teamFaceOff: 'teams',
+	teamMode: false,
+	teamNames: [],
+	teamVoting: 'allow',
+	timeLimit: 30,
+	timerMode: 'adaptive',
+	voteMode: 'single',
 	inputPrefix: ''
 };
 
+/**
+ * The number of normal rounds, counting the current one, in which a player
+ * must have submitted a phrase or voted to be considered active.  Active
+ * players are the ones a round waits on before closing a phase early.
+ * @type {number}
+ */
+const ACTIVE_ROUNDS = 3;
+
+/**
+ * The longest name a team may have.
+ * @type {number}
+ */
+const TEAM_NAME_MAX = 16;
+
 /**
  * The AcroGame is the parent class representing an entire, beginning-to-end
  * game of Acrophobia.
  *
  * @param {Object} opts A hash of overrides to {@link #DEFAULT_OPTS}
  * @constructor
+ * @throws {Error} If any option has a value that isn't allowed
  */
 var AcroGame = function(opts) {
-	var self = this;
+	var self = this,
+		valid;
 	this._handleInput = function() {};
 	this._opts = {};
 	this._running = false;
 	this._ended = false;
+	this._restored = null;
+	this._curRound = null;
+	this._faceOff = null;
+	this._numLetters = null;
 	this._scores = {};
+	this._roundWins = {};
+	this._votesReceived = {};
+	this._faceOffPlayers = [];
+	this._winner = null;
 	this._userIds = {};
 	this._userNames = [];
+	this._userTeams = {};
+	this._userKeys = {};
+	this._present = null;
+	this._teamScores = {};
+	this._roundNum = 0;
+	this._startTime = null;
+	this._lastPhrase = {};
+	this._lastVote = {};
+	this._participants = {};
+	this._transcript = [];
 	oUtil.forEach(DEFAULT_OPTS, function(key, val) {
-		self._opts[key] = opts[key] || val;
+		var given = opts[key];
+		self._opts[key] = given === undefined || given === null ? val : given;
 	});
+	valid = Options.validateAll(this._opts);
+	if (valid instanceof Error)
+		throw valid;
+	this._timers = new TimerGroup(this._opts.scheduler);
+	this._categories = new CategoryPicker(this._opts);
 	this._rawSayPrivate = this._opts.sayPrivate;
 	this._rawSayPublic = this._opts.sayPublic;
 	this._opts.sayPrivate = this._sayPrivate.bind(this);
 	this._opts.sayPublic = this._sayPublic.bind(this);
 	this._opts.userNames = this._userNames;
+	this._opts.userTeams = this._userTeams;
+	this._opts.userKeys = this._userKeys;
+	this._opts.timers = this._timers;
+	this._opts.pickCategory = function() {
+		return self._categories.next();
+	};
+	this._opts.activePlayers = function(type) {
+		return self._getActivePlayers(type);
+	};
+	this._opts.canVote = function(userId) {
+		return self._canVote(userId);
+	};
 };
 util.inherits(AcroGame, events.EventEmitter);
 
@@ -97,6 +246,8 @@ AcroGame.prototype.changeUser = function(oldUser, newUser) {
 		delete this._userIds[oldUser];
 		this._userNames[this._userIds[newUser]] = newUser;
 	}
+	if (this._present && this._present[oldUser.toLowerCase()])
+		this._present[newUser.toLowerCase()] = true;
 };
 
 /**
@@ -110,13 +261,361 @@ AcroGame.prototype.deleteUser = function(userName) {
 		var id = this._userIds[userName];
 		if (this._scores.hasOwnProperty(id))
 			delete this._scores[id];
+		delete this._lastPhrase[id];
+		delete this._lastVote[id];
+	}
+};
+
+/**
+ * Summarizes the outcome of the game for every player that submitted a
+ * phrase or voted, whether or not they earned points or are still in the
+ * game.
+ * The summary is returned in the following format:
+ *
+ *      {
+ *          winner: {String|null} The name of the game's winner, or null if
+ *              the game has not been won
+ *          players: [
+ *              {
+ *                  name: {String} The player's current name
+ *                  score: {Number} The player's score from the normal rounds
+ *                  roundWins: {Number} The number of normal rounds won
+ *                  votes: {Number} The number of votes received in normal
+ *                      rounds
+ *                  faceOff: {boolean} true if the player reached the
+ *                      face-off; false otherwise
+ *                  team: {String|null} The player's team, or null if the
+ *                      player didn't join one
+ *              }
+ *          ],
+ *          teams: {Object} A mapping of team names to team scores, which is
+ *              empty unless the 'teamMode' option is set
+ *      }
+ *
+ * @returns {{winner: string|null, players: Array, teams: Object}} The game
+ *      summary
+ */
+AcroGame.prototype.getSummary = function() {
+	var self = this;
+	return {
+		winner: this._winner === null ? null : this._userNames[this._winner],
+		players: Object.keys(oUtil.merge(this._participants,
+			this._scores)).map(function(userId) {
+			return {
+				name: self._userNames[userId],
+				score: self._scores[userId] || 0,
+				roundWins: self._roundWins[userId] || 0,
+				votes: self._votesReceived[userId] || 0,
+				faceOff: self._faceOffPlayers.indexOf(userId) != -1,
+				team: self._userTeams[userId] || null
+			};
+		}),
+		teams: oUtil.merge(this._teamScores)
+	};
+};
+
+/**
+ * Gets a quick look at what the game is doing right now, suitable for
+ * showing to spectators.  The status is in the following format:
+ *
+ *      {
+ *          phase: {String} One of 'waiting' if the game hasn't started,
+ *              'acro', 'vote', or 'results' during a normal round, 'between'
+ *              between normal rounds, 'faceOff', or 'ended'
+ *          paused: {boolean} true if the game is paused
+ *          round: {Number} The number of normal rounds started
+ *          acro: {String|null} The current normal round's acronym, once it
+ *              has been revealed
+ *          category: {String|null} The current normal round's category
+ *          secsRemaining: {Number|null} The seconds left to submit phrases
+ *              or vote, or null if neither is open
+ *          submitted: {Number} The number of phrases submitted in the
+ *              current normal round
+ *          scoreboard: {Object} The players and teams, in the format of the
+ *              'scoreboard' event described in {@link #start}
+ *      }
+ *
+ * @returns {Object} The game's status
+ */
+AcroGame.prototype.getStatus = function() {
+	var round = null,
+		phase = 'between';
+	if (this._ended)
+		phase = 'ended';
+	else if (!this._running)
+		phase = 'waiting';
+	else if (this._faceOffPlayers.length)
+		phase = 'faceOff';
+	else if (this._curRound) {
+		round = this._curRound.getState();
+		phase = round.stage || phase;
 	}
+	return {
+		phase: phase,
+		paused: this.isPaused(),
+		round: this._roundNum,
+		acro: round && round.stage ? round.acro : null,
+		category: round ? round.category : null,
+		secsRemaining: round && round.phase != 'stopped' ?
+			round.remaining : null,
+		submitted: round ? Object.keys(round.phrases).length : 0,
+		scoreboard: this._getScoreboard()
+	};
 };
 
 /**
- * Starts the Acrophobia game.  This function emits the following event on the
+ * Gets a record of every round played so far, meant to be kept after the
+ * game is over.  The record is in the format returned by {@link #getSummary},
+ * with one more property:
+ *
+ *      {
+ *          rounds: [
+ *              {
+ *                  round: {Number} The number of the normal or face-off
+ *                      round
+ *                  faceOff: {boolean} true if this was a face-off round
+ *                  suddenDeath: {boolean} true if this was a sudden-death
+ *                      round
+ *                  acro: {String} The round's acronym
+ *                  category: {String|null} The round's category
+ *                  winner: {User|null} The player whose phrase got the most
+ *                      votes, or null if a face-off round was tied
+ *                  fastest: {User|null} The player with the fastest phrase
+ *                      to get a vote in a normal round, or the fastest phrase
+ *                      of all in a face-off round
+ *                  phrases: [
+ *                      {
+ *                          userId: {Number} The player's user ID
+ *                          name: {String} The player's name
+ *                          phrase: {String} The phrase
+ *                          secs: {Number|null} How many seconds after the
+ *                              acro was revealed the phrase was submitted
+ *                          votes: {Number} The votes the phrase received
+ *                          points: {Number} The points the player earned
+ *                      }
+ *                  ]
+ *                  votes: [
+ *                      {
+ *                          userId: {Number} The voter's user ID
+ *                          name: {String} The voter's name
+ *                          votedFor: {Array<User>} The players voted for
+ *                      }
+ *                  ]
+ *              }
+ *          ]
+ *      }
+ *
+ * Each {User} is a 'userId' and 'name' pair.  Phrases are listed with the
+ * most votes first.  If the game was restored in the middle of a face-off,
+ * only the face-off rounds played after the restore are included.
+ *
+ * @returns {Object} The game's transcript
+ */
+AcroGame.prototype.getTranscript = function() {
+	return oUtil.merge(this.getSummary(), {
+		rounds: this._transcript.slice()
+	});
+};
+
+/**
+ * Determines whether the game has been started and has not yet ended.
+ *
+ * @returns {boolean} true if the game is running; false otherwise
+ */
+AcroGame.prototype.isRunning = function() {
+	return this._running && !this._ended;
+};
+
+/**
+ * Determines whether the game is currently paused.
+ *
+ * @returns {boolean} true if the game is paused; false otherwise
+ */
+AcroGame.prototype.isPaused = function() {
+	return this._timers.isPaused();
+};
+
+/**
+ * Pauses the Acrophobia game, freezing every countdown and delay with its
+ * remaining time intact.  While paused, player input is answered with a
+ * reminder that the game is paused.  This function emits the following event
+ * on the AcroGame instance:
+ *      - 'pause' When the game is successfully paused
+ *
+ * @returns {boolean} true if the game was successfully paused; false if the
+ *      game is not running or is already paused.
+ */
+AcroGame.prototype.pause = function() {
+	if (this._running && !this._ended && this._timers.pause()) {
+		this.emit('pause');
+		return true;
+	}
+	return false;
+};
+
+/**
+ * Resumes a paused Acrophobia game, restarting every countdown and delay with
+ * the exact time it had left.  This function emits the following event on the
  * AcroGame instance:
+ *      - 'resume' When the game is successfully resumed
+ *
+ * @returns {boolean} true if the game was successfully resumed; false if the
+ *      game was not paused.
+ */
+AcroGame.prototype.resume = function() {
+	if (!this._ended && this._timers.resume()) {
+		this.emit('resume');
+		return true;
+	}
+	return false;
+};
+
+/**
+ * Gets a serializable snapshot of the game, from which it can be picked back
+ * up with {@link #restore}.  The snapshot is in the following format:
+ *
+ *      {
+ *          phase: {String} 'normal' if the game is in the normal rounds, or
+ *              'faceOff' if the face-off has been reached
+ *          numLetters: {Number|null} The number of letters in the current
+ *              round's acro or, if no round is running, the next round's
+ *          round: {Object|null} The current round's state, as returned by
+ *              NormalRound::getState, or null if no round is running
+ *          scores: {Object} A mapping of userIds to scores
+ *          roundWins: {Object} A mapping of userIds to rounds won
+ *          votesReceived: {Object} A mapping of userIds to votes received
+ *          userIds: {Object} A mapping of usernames to userIds
+ *          userNames: {Array} The usernames, indexed by userId
+ *          gameMode: {String} How the normal rounds end: 'points' or
+ *              'limited'
+ *          pointCap: {Number} The score that starts the face-off in a points
+ *              game
+ *          roundLimit: {Number} The most normal rounds in a limited game
+ *          timeLimit: {Number} The most minutes of normal rounds in a limited
+ *              game
+ *          elapsed: {Number} The milliseconds the game has been running,
+ *              not counting pauses
+ *          teamMode: {boolean} true if this is a team game
+ *          userTeams: {Object} A mapping of userIds to team names
+ *          teamScores: {Object} A mapping of team names to team scores
+ *          roundNum: {Number} The number of normal rounds started
+ *          lastPhrase: {Object} A mapping of userIds to the last normal
+ *              round in which each user submitted a phrase
+ *          lastVote: {Object} A mapping of userIds to the last normal round
+ *              in which each user voted
+ *          participants: {Object} A mapping of the userIds that have
+ *              submitted a phrase or voted to true
+ *          usedCategories: {Array} The categories chosen so far this game
+ *          transcript: {Array} The rounds recorded so far, as described in
+ *              {@link #getTranscript}
+ *      }
+ *
+ * @returns {Object} The game's state
+ */
+AcroGame.prototype.getState = function() {
+	return {
+		phase: this._faceOffPlayers.length ? 'faceOff' : 'normal',
+		numLetters: this._numLetters,
+		round: this._curRound ? this._curRound.getState() : null,
+		scores: oUtil.merge(this._scores),
+		roundWins: oUtil.merge(this._roundWins),
+		votesReceived: oUtil.merge(this._votesReceived),
+		userIds: oUtil.merge(this._userIds),
+		userNames: this._userNames.slice(),
+		gameMode: this._opts.gameMode,
+		pointCap: this._opts.pointCap,
+		roundLimit: this._opts.roundLimit,
+		timeLimit: this._opts.timeLimit,
+		elapsed: this._getElapsed(),
+		teamMode: !!this._opts.teamMode,
+		userTeams: oUtil.merge(this._userTeams),
+		teamScores: oUtil.merge(this._teamScores),
+		roundNum: this._roundNum,
+		lastPhrase: oUtil.merge(this._lastPhrase),
+		lastVote: oUtil.merge(this._lastVote),
+		participants: oUtil.merge(this._participants),
+		usedCategories: this._categories.getUsed(),
+		transcript: this._transcript.slice()
+	};
+};
+
+/**
+ * Loads a snapshot taken by {@link #getState} into a game that has not yet
+ * been started.  When the game is started, it will pick up from the point at
+ * which the snapshot was taken.  A face-off in progress is started over from
+ * its first round.
+ *
+ * @param {Object} state A snapshot, as returned by {@link #getState}
+ * @returns {boolean} true if the snapshot was loaded; false if the game has
+ *      already started.
+ */
+AcroGame.prototype.restore = function(state) {
+	var self = this;
+	if (this._running || this._ended)
+		return false;
+	this._restored = state;
+	this._scores = oUtil.merge(state.scores);
+	this._roundWins = oUtil.merge(state.roundWins);
+	this._votesReceived = oUtil.merge(state.votesReceived);
+	this._userIds = oUtil.merge(state.userIds);
+	this._categories = new CategoryPicker(this._opts,
+		state.usedCategories);
+	this._userNames.length = 0;
+	state.userNames.forEach(function(name) {
+		self._userNames.push(name);
+	});
+	this._opts.gameMode = state.gameMode || 'points';
+	this._opts.roundLimit = state.roundLimit || this._opts.roundLimit;
+	this._opts.timeLimit = state.timeLimit || this._opts.timeLimit;
+	this._opts.teamMode = !!state.teamMode;
+	oUtil.forEach(state.userTeams || {}, function(userId, team) {
+		self._userTeams[userId] = team;
+	});
+	this._teamScores = oUtil.merge(state.teamScores);
+	this._roundNum = state.roundNum || 0;
+	this._lastPhrase = oUtil.merge(state.lastPhrase);
+	this._lastVote = oUtil.merge(state.lastVote);
+	this._participants = oUtil.merge(state.participants);
+	this._transcript = (state.transcript || []).filter(function(entry) {
+		return !entry.faceOff;
+	});
+	return true;
+};
+
+/**
+ * Starts the Acrophobia game.  This function emits the following events on
+ * the AcroGame instance:
  *      - 'start' When the game is successfully started
+ *      - 'phase' Each time the game moves into a new phase or stage of a
+ *        round.  This is the ideal time to save the snapshot returned by
+ *        {@link #getState}.
+ *
+ * So that other tools can follow along, the following events are emitted as
+ * the game is played.  Each has a single object argument, in which every
+ * user appears as a 'userId' and 'name' pair, shown below as {User}:
+ *      - 'roundStart' When a normal round's acro is revealed:
+ *          {round: Number, acro: String, category: String|null,
+ *          numLetters: Number, secs: Number}
+ *      - 'phraseAccepted' When a phrase is accepted, in a normal round or
+ *        the face-off: {round: Number, faceOff: boolean, userId: Number,
+ *        name: String, phrase: String, first: boolean}
+ *      - 'voteCast' When a vote is accepted: {round: Number,
+ *        faceOff: boolean, userId: Number, name: String,
+ *        votedFor: Array<User>, first: boolean}
+ *      - 'roundResults' When a normal round's points have been counted:
+ *          {round: Number, acro: String, winner: User, players: Array} where
+ *          each player is a User with 'votes', 'points', and 'score'
+ *      - 'scoreboard' After each normal round: {round: Number,
+ *          players: Array, teams: Array} where each player is a User with
+ *          'score' and 'team', and each team has a 'name' and 'score', both
+ *          sorted from the highest score to the lowest
+ *      - 'faceOffStart' When the face-off begins: {format: String,
+ *          rounds: Number, players: Array} where each player is a User with
+ *          their 'score' from the normal rounds
+ *      - 'faceOffRoundResult' When a face-off round's votes have been
+ *        counted: {round: Number, suddenDeath: boolean, acro: String,
+ *          fastest: User|null, players: Array} where each player is a User
+ *          with 'votes'
  *
  * @returns {boolean} true is the game was successfully started; false if the
  *      game had already started before and cannot be re-started.
@@ -132,35 +631,267 @@ AcroGame.prototype.start = function() {
 };
 
 /**
- * Stops the Acrophobia game.  This function emits the following event on the
- * AcroGame instance:
- *      - 'stop' When the game is successfully stopped.  Arguments are:
+ * Starts the Acrophobia game after the given delay.  The delay runs on the
+ * game's own timers, so it follows the game's scheduler.
+ *
+ * @param {Number} secs The number of seconds to wait before starting
+ * @returns {boolean} true if the game will be started; false if the game has
+ *      already started or ended.
+ */
+AcroGame.prototype.startIn = function(secs) {
+	if (this._running || this._ended)
+		return false;
+	this._timers.setTimeout(this.start.bind(this), secs * 1000);
+	return true;
+};
+
+/**
+ * Stops the Acrophobia game.  Every pending timer is canceled and the running
+ * round or face-off is torn down, so nothing from this game will fire after
+ * it has stopped.  This function emits the following event on the AcroGame
+ * instance:
+ *      - 'end' When the game is successfully stopped.  Arguments are:
  *          - {boolean} false, to denote that the game did not stop naturally
  *
+ * After the 'end' event, all listeners are removed from the game.
+ *
  * @returns {boolean} true is the game was successfully stopped; false if the
  *      game has already ended.
  */
 AcroGame.prototype.stop = function() {
 	if (!this._ended) {
 		this._ended = true;
+		this._teardown();
 		this.emit('end', false);
+		this.removeAllListeners();
 		return true;
 	}
 	return false;
 };
 
 /**
- * Submits user input to the Acrophobia game.
+ * Submits user input to the Acrophobia game.  In a team game, input in the
+ * format "team NAME" joins the named team rather than being passed on to the
+ * running round.
+ *
+ * Users that share any identity string, such as a host or an account name,
+ * are treated as clones of each other when voting, according to the
+ * 'cloneVotes' option.
  *
  * @param {String} user The username responsible for the input
  * @param {String} input The string the user sent
+ * @param {Array} [identity] Strings identifying the person behind the
+ *      username, such as their host and account name
  */
-AcroGame.prototype.userInput = function(user, input) {
+AcroGame.prototype.userInput = function(user, input, identity) {
 	if (!this._userIds.hasOwnProperty(user)) {
 		this._userIds[user] = this._userNames.length;
 		this._userNames.push(user);
 	}
-	this._handleInput(this._userIds[user], input);
+	if (identity && identity.length)
+		this._userKeys[this._userIds[user]] = identity.slice();
+	var teamCmd = /^\s*team(?:\s+(\S+))?\s*$/i.exec(input);
+	if (this._opts.teamMode && teamCmd && !this._fitsOpenAcro(input))
+		this._joinTeam(this._userIds[user], teamCmd[1]);
+	else if (this.isPaused()) {
+		this._sayPrivate(this._userIds[user], "The game is paused. Your \
+message was not counted; please send it again once the game resumes.");
+	}
+	else
+		this._handleInput(this._userIds[user], input);
+};
+
+/**
+ * Determines whether a user may vote.  If the 'presentVotersOnly' option is
+ * set, only users who were in the channel when the current round or face-off
+ * started may vote.
+ *
+ * @param {Number} userId The user ID of the voter
+ * @returns {boolean} true if the user may vote; false otherwise
+ * @private
+ */
+AcroGame.prototype._canVote = function(userId) {
+	if (!this._opts.presentVotersOnly || !this._present)
+		return true;
+	return !!this._present[this._userNames[userId].toLowerCase()];
+};
+
+/**
+ * Describes a user for the events emitted by the game.
+ *
+ * @param {Number|String|null} userId The user ID to be described
+ * @returns {{userId: number, name: string}|null} The user's ID and current
+ *      name, or null if no user ID was given
+ * @private
+ */
+AcroGame.prototype._describeUser = function(userId) {
+	if (userId === null || userId === undefined)
+		return null;
+	return {userId: Number(userId), name: this._userNames[userId]};
+};
+
+/**
+ * Emits the 'phraseAccepted' event, as described in {@link #start}.
+ *
+ * @param {Number} round The number of the normal or face-off round
+ * @param {Number} userId The user ID of the player
+ * @param {String} phrase The phrase as it was accepted
+ * @param {boolean} first true if this is the player's first phrase this round
+ * @private
+ */
+AcroGame.prototype._emitPhrase = function(round, userId, phrase, first) {
+	this.emit('phraseAccepted', oUtil.merge({
+		round: round,
+		faceOff: !!this._faceOff
+	}, this._describeUser(userId), {phrase: phrase, first: first}));
+};
+
+/**
+ * Emits the 'scoreboard' event, as described in {@link #start}.
+ *
+ * @private
+ */
+AcroGame.prototype._emitScoreboard = function() {
+	this.emit('scoreboard', oUtil.merge({round: this._roundNum},
+		this._getScoreboard()));
+};
+
+/**
+ * Emits the 'voteCast' event, as described in {@link #start}.
+ *
+ * @param {Number} round The number of the normal or face-off round
+ * @param {Number} userId The user ID of the voter
+ * @param {Array} ballot The user IDs whose phrases were voted for
+ * @param {boolean} first true if this is the user's first vote this round
+ * @private
+ */
+AcroGame.prototype._emitVote = function(round, userId, ballot, first) {
+	var self = this;
+	this.emit('voteCast', oUtil.merge({
+		round: round,
+		faceOff: !!this._faceOff
+	}, this._describeUser(userId), {
+		votedFor: ballot.map(function(votedFor) {
+			return self._describeUser(votedFor);
+		}),
+		first: first
+	}));
+};
+
+/**
+ * Determines whether some input is a phrase for the acro that's currently
+ * accepting phrases, so that a phrase like "Team Rocket" for TR isn't taken
+ * as a request to join a team.
+ *
+ * @param {String} input The user's input
+ * @returns {boolean} true if a round is accepting phrases and the input fits
+ *      its acro; false otherwise
+ * @private
+ */
+AcroGame.prototype._fitsOpenAcro = function(input) {
+	var state = null,
+		acro = null;
+	if (this._faceOff)
+		acro = this._faceOff.getOpenAcro();
+	else if (this._curRound) {
+		state = this._curRound.getState();
+		acro = state.phase == 'acro' ? state.acro : null;
+	}
+	return !!acro && PhraseMatcher.match(input, acro, this._opts).match;
+};
+
+/**
+ * Gets the players that have submitted phrases or voted recently enough to be
+ * considered active, as defined by {@link ACTIVE_ROUNDS}.
+ *
+ * @param {String} type 'phrase' for the players who have recently submitted
+ *      phrases, or 'vote' for the players who have recently voted
+ * @returns {Array} The userIds of the active players
+ * @private
+ */
+AcroGame.prototype._getActivePlayers = function(type) {
+	var self = this,
+		last = type == 'vote' ? this._lastVote : this._lastPhrase;
+	return Object.keys(last).filter(function(userId) {
+		return last[userId] > self._roundNum - ACTIVE_ROUNDS;
+	});
+};
+
+/**
+ * Chooses the players who will compete in the face-off.  The number of
+ * players is set by the 'faceOffPlayers' option, and is never less than two.
+ * Normally, these are the highest-scoring players.  In a team game with the
+ * 'teamFaceOff' option set to 'teams', they are instead the highest-scoring
+ * player from each of the highest-scoring teams, if at least two teams have
+ * players.  If there are fewer such teams than face-off spots, the remaining
+ * spots go to the highest-scoring players left over.
+ *
+ * @returns {Array} The userIds of the face-off players, the favorite first
+ * @private
+ */
+AcroGame.prototype._getFaceOffPlayers = function() {
+	var self = this,
+		count = Math.max(2, this._opts.faceOffPlayers),
+		leaders = {},
+		users = Object.keys(this._scores).sort(function(a, b) {
+			return self._scores[b] - self._scores[a];
+		});
+	if (!this._opts.teamMode || this._opts.teamFaceOff != 'teams')
+		return users.slice(0, count);
+	users.forEach(function(userId) {
+		var team = self._userTeams[userId];
+		if (team && !leaders.hasOwnProperty(team))
+			leaders[team] = userId;
+	});
+	var teams = this._sortTeams().filter(function(team) {
+		return leaders.hasOwnProperty(team);
+	});
+	if (teams.length < 2)
+		return users.slice(0, count);
+	var players = teams.slice(0, count).map(function(team) {
+		return leaders[team];
+	});
+	return players.concat(users.filter(function(userId) {
+		return players.indexOf(userId) == -1;
+	})).slice(0, count);
+};
+
+/**
+ * Gets the time the game has been running, not counting the start delay or
+ * any time spent paused.  A restored game picks up from the time it had when
+ * it was saved.
+ *
+ * @returns {Number} The number of milliseconds the game has been running
+ * @private
+ */
+AcroGame.prototype._getElapsed = function() {
+	if (this._startTime === null)
+		return this._restored ? this._restored.elapsed || 0 : 0;
+	return this._timers.now() - this._startTime;
+};
+
+/**
+ * Gets the players, sorted from highest score to lowest, and the teams, in
+ * the format of the 'scoreboard' event described in {@link #start}.
+ *
+ * @returns {{players: Array, teams: Array}} The scoreboard
+ * @private
+ */
+AcroGame.prototype._getScoreboard = function() {
+	var self = this;
+	return {
+		players: Object.keys(this._scores).sort(function(a, b) {
+			return self._scores[b] - self._scores[a];
+		}).map(function(userId) {
+			return oUtil.merge(self._describeUser(userId), {
+				score: self._scores[userId],
+				team: self._userTeams[userId] || null
+			});
+		}),
+		teams: this._sortTeams().map(function(team) {
+			return {name: team, score: self._teamScores[team]};
+		})
+	};
 };
 
 /**
@@ -179,11 +910,119 @@ AcroGame.prototype._getTopScore = function() {
 	return maxScore;
 };
 
+/**
+ * Determines whether the normal rounds are over.  In a 'points' game, they
+ * end when a player reaches the 'pointCap' option.  In a 'limited' game, they
+ * end after the number of rounds in the 'roundLimit' option or the number of
+ * minutes in the 'timeLimit' option, whichever comes first.  A round that's
+ * already running is always played to the end.
+ *
+ * @returns {boolean} true if it's time for the face-off; false otherwise
+ * @private
+ */
+AcroGame.prototype._isNormalPhaseOver = function() {
+	if (this._opts.gameMode == 'limited') {
+		return this._roundNum >= this._opts.roundLimit ||
+			this._getElapsed() >= this._opts.timeLimit * 60 * 1000;
+	}
+	return this._getTopScore() >= this._opts.pointCap;
+};
+
+/**
+ * Adds a player to a team, as long as they haven't joined one already this
+ * game.  If no team name is given, the player is told how to join one.
+ *
+ * @param {Number} userId The ID of the player
+ * @param {String} [name] The name of the team to be joined
+ * @private
+ */
+AcroGame.prototype._joinTeam = function(userId, name) {
+	var cur = this._userTeams[userId],
+		allowed = this._opts.teamNames.map(function(team) {
+			return String(team).toLowerCase();
+		}),
+		team = (name || '').toLowerCase().replace(/[^a-z0-9_\-]/g, '')
+			.substr(0, TEAM_NAME_MAX),
+		howTo = "Join a team with: " + this._opts.inputPrefix + "team " +
+			(allowed.length ? allowed.join('|') : "NAME");
+	if (cur) {
+		this._sayPrivate(userId, "You're on team " + cur + ". Players can't \
+switch teams in the middle of a game.");
+	}
+	else if (!name)
+		this._sayPrivate(userId, howTo);
+	else if (!team) {
+		this._sayPrivate(userId, "Team names can only contain letters and \
+numbers. " + howTo);
+	}
+	else if (allowed.length && allowed.indexOf(team) == -1)
+		this._sayPrivate(userId, "There's no team " + team + ". " + howTo);
+	else {
+		this._userTeams[userId] = team;
+		this._sayPublic(this._userNames[userId] + " joined team " + team +
+			"!");
+	}
+};
+
+/**
+ * Records the users in the channel at the start of a round or face-off, as
+ * returned by the 'channelUsers' option.  These are the users allowed to vote
+ * if the 'presentVotersOnly' option is set.
+ *
+ * @private
+ */
+AcroGame.prototype._notePresent = function() {
+	var self = this,
+		users = this._opts.channelUsers();
+	this._present = null;
+	if (users) {
+		this._present = {};
+		users.forEach(function(user) {
+			self._present[user.toLowerCase()] = true;
+		});
+	}
+};
+
+/**
+ * Builds a single-line scoreboard from a mapping of keys to scores, sorted
+ * from the highest score to the lowest.
+ *
+ * @param {Object} scores A mapping of keys, such as userIds, to scores
+ * @param {Function} getName A function that takes a key and returns the name
+ *      to be displayed for it
+ * @returns {String} The scoreboard, such as: [Ann 12] [Bob 7]
+ * @private
+ */
+AcroGame.prototype._scoreBoard = function(scores, getName) {
+	var scoreBoard = '';
+	Object.keys(scores).sort(function(a, b) {
+		return scores[b] - scores[a];
+	}).forEach(function(key) {
+		scoreBoard += (scoreBoard ? '[' : ' [') + getName(key) + ' ' +
+			scores[key] + '] ';
+	});
+	return scoreBoard;
+};
+
+/**
+ * Gets the names of every team with a score, sorted from the highest team
+ * score to the lowest.
+ *
+ * @returns {Array} The sorted team names
+ * @private
+ */
+AcroGame.prototype._sortTeams = function() {
+	var self = this;
+	return Object.keys(this._teamScores).sort(function(a, b) {
+		return self._teamScores[b] - self._teamScores[a];
+	});
+};
+
 /**
  * Starts the face-off phase of the game.
  *
- * @param {Number} user1 The userId of the highest scoring player
- * @param {Number} user2 The userId of the second highest-scoring player
+ * @param {Array} players The userIds of the face-off players, the highest
+ *      scoring first
  * @param {Function} cb A callback function to be executed whenever the
  *      face-off ends.  Arguments provided are:
  *          - {Error} If an error occurred
@@ -191,10 +1030,59 @@ AcroGame.prototype._getTopScore = function() {
  *            there was an unbreakable tie.
  * @private
  */
-AcroGame.prototype._playFaceOff = function(user1, user2, cb) {
+AcroGame.prototype._playFaceOff = function(players, cb) {
+	var self = this;
+	this._faceOffPlayers = players.slice();
+	this._curRound = null;
+	this._notePresent();
+	this.emit('phase');
+	this.emit('faceOffStart', {
+		format: this._opts.faceOffFormat,
+		rounds: this._opts.faceOffRounds,
+		players: players.map(function(userId) {
+			return oUtil.merge(self._describeUser(userId), {
+				score: self._scores[userId] || 0
+			});
+		})
+	});
 	var faceoff = new FaceOff(oUtil.merge(this._opts, {
-		players: [user1, user2]
+		players: players
 	}));
+	faceoff.on('phrase', function(round, userId, phrase, first) {
+		self._participants[userId] = true;
+		self._emitPhrase(round, userId, phrase, first);
+	});
+	faceoff.on('vote', function(round, userId, ballot, first) {
+		self._participants[userId] = true;
+		self._emitVote(round, userId, ballot, first);
+	});
+	faceoff.on('roundResult', function(num, acro, votes, first, sudden, state) {
+		var order = players.slice().sort(function(a, b) {
+			return (votes[b] || 0) - (votes[a] || 0);
+		});
+		self._recordRound({
+			round: num,
+			faceOff: true,
+			suddenDeath: sudden,
+			winner: (votes[order[0]] || 0) > (votes[order[1]] || 0) ?
+				order[0] : null,
+			fastest: first,
+			votes: votes,
+			points: votes
+		}, state);
+		self.emit('faceOffRoundResult', {
+			round: num,
+			suddenDeath: sudden,
+			acro: acro,
+			fastest: self._describeUser(first),
+			players: players.map(function(userId) {
+				return oUtil.merge(self._describeUser(userId), {
+					votes: votes[userId] || 0
+				});
+			})
+		});
+	});
+	this._faceOff = faceoff;
 	this._handleInput = function(userId, msg) {
 		faceoff.userInput(userId, msg);
 	};
@@ -203,24 +1091,61 @@ AcroGame.prototype._playFaceOff = function(user1, user2, cb) {
 
 /**
  * Plays normal Acrophobia rounds up until the point that the highest-scoring
- * player crosses the threshold defined in the 'pointCap' config item.
+ * player crosses the threshold defined in the 'pointCap' config item, or the
+ * limits of a limited game are reached.
  *
  * @param {Number} numLetters The number of letters to start with in the first
  *      acro.  Generally, this should be set to the 'minLetters' config item.
  * @param {Function} cb A callback function to be executed when the normal
  *      rounds have ended, presumably due to the player hitting the point cap
- *      if there was no error.  Arguments provided are:
+ *      or the game's limits if there was no error.  Arguments provided are:
  *          - {Error} If an error occurred
+ * @param {Object} [roundState] A snapshot of the first round, as returned by
+ *      NormalRound::getState, if that round should be picked back up rather
+ *      than started from scratch
  * @private
  */
-AcroGame.prototype._playToCap = function(numLetters, cb) {
+AcroGame.prototype._playToCap = function(numLetters, cb, roundState) {
 	if (this._ended)
 		cb(new Error("Game has been stopped"));
 	else {
 		var self = this,
+			acro = roundState ? roundState.acro : null,
+			category = roundState ? roundState.category :
+				this._opts.pickCategory(),
 			round = new NormalRound(oUtil.merge(this._opts, {
-				numLetters: numLetters
+				numLetters: numLetters,
+				category: category,
+				state: roundState || null
 			}));
+		this._curRound = round;
+		this._numLetters = numLetters;
+		if (!roundState)
+			this._roundNum++;
+		this._notePresent();
+		round.on('stage', function() {
+			self.emit('phase');
+		});
+		round.on('acro', function(newAcro, secs) {
+			acro = newAcro;
+			self.emit('roundStart', {
+				round: self._roundNum,
+				acro: acro,
+				category: category || null,
+				numLetters: numLetters,
+				secs: secs
+			});
+		});
+		round.on('phrase', function(userId, phrase, first) {
+			self._lastPhrase[userId] = self._roundNum;
+			self._participants[userId] = true;
+			self._emitPhrase(self._roundNum, userId, phrase, first);
+		});
+		round.on('vote', function(userId, ballot, first) {
+			self._lastVote[userId] = self._roundNum;
+			self._participants[userId] = true;
+			self._emitVote(self._roundNum, userId, ballot, first);
+		});
 		this._handleInput = function(userId, msg) {
 			round.userInput(userId, msg);
 		};
@@ -228,36 +1153,82 @@ AcroGame.prototype._playToCap = function(numLetters, cb) {
 			.seq(function playRound() {
 				round.start(this);
 			})
-			.seq(function addPoints(points) {
+			.seq(function addPoints(points, results) {
 				oUtil.forEach(points, function(userId, val) {
+					var team = self._userTeams[userId];
 					if (val) {
 						self._scores[userId] = (self._scores[userId] || 0) +
 							val;
+						if (self._opts.teamMode && team) {
+							self._teamScores[team] =
+								(self._teamScores[team] || 0) + val;
+						}
 					}
 				});
+				self._roundWins[results.winner] =
+					(self._roundWins[results.winner] || 0) + 1;
+				oUtil.forEach(results.acroVotes, function(userId, votes) {
+					self._votesReceived[userId] =
+						(self._votesReceived[userId] || 0) + votes;
+				});
+				self._recordRound({
+					round: self._roundNum,
+					faceOff: false,
+					suddenDeath: false,
+					category: category,
+					winner: results.winner,
+					fastest: results.fastestWithVote,
+					votes: results.acroVotes,
+					points: points
+				}, round.getState());
+				self.emit('roundResults', {
+					round: self._roundNum,
+					acro: acro,
+					winner: self._describeUser(results.winner),
+					players: Object.keys(oUtil.merge(results.acroVotes,
+						points)).map(function(userId) {
+						return oUtil.merge(self._describeUser(userId), {
+							votes: results.acroVotes[userId] || 0,
+							points: points[userId] || 0,
+							score: self._scores[userId] || 0
+						});
+					})
+				});
 				this();
 			})
 			.seq(function showScoreboard() {
-				var scoreBoard = '',
-					userIds = Object.keys(self._scores).sort(function(a, b) {
-						return self._scores[b] - self._scores[a];
-					});
-				userIds.forEach(function(id) {
-					scoreBoard += (scoreBoard ? '[' : ' [') +
-						self._userNames[id] + ' ' + self._scores[id] + '] ';
-				});
 				self._sayPublic("Let's take a look at the scoreboard:");
-				self._sayPublic(scoreBoard);
-				setTimeout(this, self._opts.secsBetweenMessages * 1000);
+				if (self._opts.teamMode &&
+						Object.keys(self._teamScores).length) {
+					self._sayPublic("Teams:" + self._scoreBoard(
+						self._teamScores, function(team) {
+							return team;
+						}));
+				}
+				self._sayPublic(self._scoreBoard(self._scores, function(id) {
+					var team = self._opts.teamMode && self._userTeams[id];
+					return self._userNames[id] + (team ? ' (' + team + ')' :
+						'');
+				}));
+				self._emitScoreboard();
+				self._timers.setTimeout(this,
+					self._opts.secsBetweenMessages * 1000);
 			})
 			.seq(function nextRound() {
-				if (self._getTopScore() >= self._opts.pointCap)
+				if (++numLetters > self._opts.maxLetters)
+					numLetters = self._opts.minLetters;
+				self._curRound = null;
+				self._numLetters = numLetters;
+				self.emit('phase');
+				if (self._isNormalPhaseOver())
 					cb();
 				else {
-					self._sayPublic("Get ready for the next round!");
-					if (++numLetters > self._opts.maxLetters)
-						numLetters = self._opts.minLetters;
-					setTimeout(self._playToCap.bind(self, numLetters, cb),
+					self._sayPublic("Get ready for the " +
+						(self._opts.gameMode == 'limited' &&
+						self._roundNum == self._opts.roundLimit - 1 ?
+						"final" : "next") + " round!");
+					self._timers.setTimeout(
+						self._playToCap.bind(self, numLetters, cb),
 						self._opts.secsBetweenRounds * 1000);
 				}
 			})
@@ -267,6 +1238,61 @@ AcroGame.prototype._playToCap = function(numLetters, cb) {
 	}
 };
 
+/**
+ * Adds a finished round to the transcript, as described in
+ * {@link #getTranscript}.
+ *
+ * @param {Object} info The round's results, in the following format:
+ *      {
+ *          round: {Number} The number of the normal or face-off round
+ *          faceOff: {boolean} true if this was a face-off round
+ *          suddenDeath: {boolean} true if this was a sudden-death round
+ *          category: {String} The round's category, if it had one
+ *          winner: {Number|null} The user ID of the round's winner
+ *          fastest: {Number|null} The user ID of the fastest player
+ *          votes: {Object} A mapping of user IDs to the votes they received
+ *          points: {Object} A mapping of user IDs to the points they earned
+ *      }
+ * @param {Object} state A snapshot of the round, as returned by
+ *      Round::getState
+ * @private
+ */
+AcroGame.prototype._recordRound = function(info, state) {
+	var self = this;
+	function secs(userId) {
+		if (state.acroTime === null || state.submitTimes[userId] === undefined)
+			return null;
+		return Math.round((state.submitTimes[userId] - state.acroTime) /
+			100) / 10;
+	}
+	this._transcript.push({
+		round: info.round,
+		faceOff: info.faceOff,
+		suddenDeath: info.suddenDeath,
+		acro: state.acro,
+		category: info.category || null,
+		winner: this._describeUser(info.winner),
+		fastest: this._describeUser(info.fastest),
+		phrases: Object.keys(state.phrases).map(function(userId) {
+			return oUtil.merge(self._describeUser(userId), {
+				phrase: state.phrases[userId],
+				secs: secs(userId),
+				votes: info.votes[userId] || 0,
+				points: info.points[userId] || 0
+			});
+		}).sort(function(a, b) {
+			return b.votes - a.votes || (a.secs || 0) - (b.secs || 0);
+		}),
+		votes: Object.keys(state.votes).map(function(userId) {
+			return oUtil.merge(self._describeUser(userId), {
+				votedFor: [].concat(state.votes[userId]).map(function(id) {
+					return self._describeUser(id);
+				})
+			});
+		})
+	});
+};
+
 /**
  * Coordinates the execution of an entire Acrophobia game through the end of
  * the face-off round.
@@ -275,34 +1301,77 @@ AcroGame.prototype._playToCap = function(numLetters, cb) {
  */
 AcroGame.prototype._runGame = function() {
 	var self = this;
+	this._startTime = this._timers.now() - this._getElapsed();
 	Seq()
 		.seq(function mainGame() {
-			self._playToCap(self._opts.minLetters, this);
+			var saved = self._restored;
+			if (!saved)
+				self._playToCap(self._opts.minLetters, this);
+			else if (saved.phase == 'faceOff' || (!saved.round &&
+					self._isNormalPhaseOver()))
+				this();
+			else {
+				self._playToCap(saved.numLetters || self._opts.minLetters,
+					this, saved.round);
+			}
 		})
-		.seq(function getTopTwo() {
-			var users = Object.keys(self._scores);
-			users.sort(function(a, b) {
-				return self._scores[b] - self._scores[a];
-			});
-			this(null, users[0], users[1]);
+		.seq(function getQualifiers() {
+			var users = self._getFaceOffPlayers(),
+				teams = users.map(function(userId) {
+					return self._userTeams[userId];
+				});
+			if (self._opts.teamMode && users.length == 2 && teams[0] &&
+					teams[1] && teams[0] != teams[1]) {
+				self._sayPublic("The face-off pits team " + teams[0] +
+					"'s top player, " + self._userNames[users[0]] +
+					", against team " + teams[1] + "'s, " +
+					self._userNames[users[1]] + "!");
+			}
+			else if (self._opts.teamMode && users.length > 2 &&
+					teams.some(Boolean)) {
+				self._sayPublic("The face-off pits " + users.map(function(id) {
+					var team = self._userTeams[id];
+					return self._userNames[id] + (team ? ' (' + team + ')' :
+						'');
+				}).join(', ') + " against each other!");
+			}
+			this(null, users);
 		})
-		.seq(function faceOff(first, second) {
-			self._playFaceOff(first, second, this);
+		.seq(function faceOff(users) {
+			if (users.length > 1)
+				self._playFaceOff(users, this);
+			else if (users.length) {
+				self._sayPublic(self._userNames[users[0]] + " is the only \
+player with any points, so there's no face-off!");
+				this(null, users[0]);
+			}
+			else {
+				self._sayPublic("Nobody scored any points, so there's no \
+face-off and no winner this time.");
+				this(null, null);
+			}
 		})
 		.seq(function complete(winner) {
 			if (winner) {
+				self._winner = winner;
 				self._sayPublic(self._userNames[winner] +
 					" has won the game! Congratulations!");
 				self.emit('win', winner);
-				setTimeout(this, self._opts.secsBetweenMessages);
+				self._timers.setTimeout(this, self._opts.secsBetweenMessages);
 			}
 			else
 				this();
 		})
 		.seq(function endGame() {
+			var teams = self._sortTeams();
+			if (self._opts.teamMode && teams.length) {
+				self._sayPublic("Team " + teams[0] + " finishes with the most \
+points: " + self._teamScores[teams[0]] + "!");
+			}
 			self._sayPublic("Thanks for playing!");
 			if (!self._ended) {
 				self._ended = true;
+				self._teardown();
 				self.emit('end', true);
 			}
 		})
@@ -312,11 +1381,27 @@ AcroGame.prototype._runGame = function() {
 				if (!err.hasOwnProperty('code') && err.stack)
 					console.log(err.stack);
 				self._ended = true;
+				self._teardown();
 				self.emit('end', false);
 			}
 		});
 };
 
+/**
+ * Cancels every pending timer and stops the running round or face-off, so
+ * that no more callbacks from this game can fire.
+ *
+ * @private
+ */
+AcroGame.prototype._teardown = function() {
+	this._timers.close();
+	this._handleInput = function() {};
+	if (this._curRound)
+		this._curRound.stop();
+	if (this._faceOff)
+		this._faceOff.stop();
+};
+
 /**
  * Sends a private message to an Acrophobia participant by their userId.  This
  * function will have no effect if the Acrophobia game has been stopped.
@@ -343,4 +1428,10 @@ AcroGame.prototype._sayPublic = function(message) {
 		this._rawSayPublic(message);
 };
 
+/**
+ * The default options for every game, as described in {@link DEFAULT_OPTS}.
+ * @type {Object}
+ */
+AcroGame.DEFAULT_OPTS = DEFAULT_OPTS;
+
 module.exports = AcroGame;
@@ -0,0 +1,200 @@
+/*
+ * Acrophobia
+ * Toady Module
+ * Copyright 2013 Tom Frost
+ */
+
+/**
+ * The default list of strings that may not appear in an acro.
+ * @type {Array}
+ */
+const DEFAULT_BANNED = ['ASS', 'CUM', 'DIK', 'FAG', 'FCK', 'FUC', 'FUK', 'FUQ',
+	'KKK', 'NIG', 'STFU', 'TIT'];
+
+/**
+ * The number of times to try building an acro before giving up.  Letters are
+ * chosen so that every acro follows the rules, so an attempt only fails when
+ * every letter in the pool would break one partway through.
+ * @type {number}
+ */
+const MAX_ATTEMPTS = 200;
+
+/**
+ * The weight multiplier applied to a letter that repeats the letter before it,
+ * when bigram weighting is enabled.
+ * @type {number}
+ */
+const WEIGHT_DOUBLE = 0.5;
+
+/**
+ * The weight multiplier applied to a rare letter that follows another rare
+ * letter, when bigram weighting is enabled.
+ * @type {number}
+ */
+const WEIGHT_RARE_PAIR = 0.1;
+
+/**
+ * Gets the banned strings in the form they're matched against acros:
+ * uppercase, with anything but letters removed.
+ *
+ * @param {Object} opts The generator options, as described in
+ *      {@link generate}
+ * @returns {Array} The banned strings, skipping any left empty
+ */
+function bannedStrings(opts) {
+	return (opts.bannedAcros || []).map(function(banned) {
+		return String(banned).toUpperCase().replace(/[^A-Z]/g, '');
+	}).filter(Boolean);
+}
+
+/**
+ * Generates a playable acronym.  Letters are drawn from the 'charPool' option,
+ * so the more often a letter appears in the pool, the more likely it is to be
+ * chosen.  On top of that, the following options shape the result:
+ *      - rareLetters: {String} The letters that are hard to build phrases
+ *        around, such as Q, X, and Z
+ *      - maxRareLetters: {Number} The most rare letters allowed in one acro
+ *      - bannedAcros: {Array} Strings that may not appear anywhere in an
+ *        acro, such as offensive words
+ *      - acroBigrams: {boolean} true to weight each letter by the letter
+ *        before it, making doubled letters and back-to-back rare letters
+ *        much less likely
+ *
+ * Each letter is drawn only from the letters that keep the acro within these
+ * rules, so the result never breaks them.
+ *
+ * Any function with this signature can be used in place of this one by
+ * setting the 'acroGenerator' option.
+ *
+ * @param {Number} numLetters The number of letters in the acro
+ * @param {Object} opts An object mapping options keys to values.  For a
+ *      listing of these options and their defaults, see
+ *      AcroGame::DEFAULT_OPTS.
+ * @returns {String} The acronym, in all caps
+ * @throws {Error} If no acro of that length can follow the rules with the
+ *      letters in the pool
+ */
+function generate(numLetters, opts) {
+	for (var i = 0; i < MAX_ATTEMPTS; i++) {
+		var acro = draw(numLetters || 0, opts);
+		if (acro !== null && isAllowed(acro, opts))
+			return acro;
+	}
+	throw new Error("No " + numLetters + "-letter acro can be made from the \
+charPool without breaking the bannedAcros or maxRareLetters rules.");
+}
+
+/**
+ * Determines whether an acro passes the rare letter and banned string rules.
+ *
+ * @param {String} acro The acro to be checked
+ * @param {Object} opts The generator options, as described in
+ *      {@link generate}
+ * @returns {boolean} true if the acro is allowed; false otherwise
+ */
+function isAllowed(acro, opts) {
+	var rare = opts.rareLetters || '',
+		numRare = 0;
+	for (var i = 0; i < acro.length; i++) {
+		if (rare.indexOf(acro[i]) != -1)
+			numRare++;
+	}
+	if (opts.maxRareLetters !== undefined && numRare > opts.maxRareLetters)
+		return false;
+	return !bannedStrings(opts).some(function(banned) {
+		return acro.indexOf(banned) != -1;
+	});
+}
+
+/**
+ * Draws random letters from the pool to build a single acro.  Rare letters
+ * are left out of the draw once the acro has as many as it's allowed, and so
+ * is any letter that would finish a banned string.
+ *
+ * @param {Number} numLetters The number of letters in the acro
+ * @param {Object} opts The generator options, as described in
+ *      {@link generate}
+ * @returns {String|null} The acro, or null if every letter in the pool was
+ *      left out at some point
+ */
+function draw(numLetters, opts) {
+	var pool = opts.charPool || '',
+		rare = opts.rareLetters || '',
+		banned = bannedStrings(opts),
+		numRare = 0,
+		str = '';
+	while (str.length < numLetters) {
+		var choices = '',
+			letter;
+		for (var i = 0; i < pool.length; i++) {
+			var isRare = rare.indexOf(pool[i]) != -1;
+			if ((!isRare || opts.maxRareLetters === undefined ||
+					numRare < opts.maxRareLetters) &&
+					!endsBanned(str + pool[i], banned))
+				choices += pool[i];
+		}
+		if (!choices.length)
+			return null;
+		if (!opts.acroBigrams || !str.length)
+			letter = choices[Math.floor(Math.random() * choices.length)];
+		else
+			letter = drawWeighted(choices, str[str.length - 1], opts);
+		if (rare.indexOf(letter) != -1)
+			numRare++;
+		str += letter;
+	}
+	return str;
+}
+
+/**
+ * Draws a single letter from the pool, weighted by the letter before it.
+ *
+ * @param {String} pool The pool of characters to draw from
+ * @param {String} prev The letter preceding the one being drawn
+ * @param {Object} opts The generator options, as described in
+ *      {@link generate}
+ * @returns {String} The chosen letter
+ */
+function drawWeighted(pool, prev, opts) {
+	var rare = opts.rareLetters || '',
+		prevRare = rare.indexOf(prev) != -1,
+		weights = [],
+		total = 0;
+	for (var i = 0; i < pool.length; i++) {
+		var weight = 1;
+		if (pool[i] == prev)
+			weight *= WEIGHT_DOUBLE;
+		if (prevRare && rare.indexOf(pool[i]) != -1)
+			weight *= WEIGHT_RARE_PAIR;
+		weights.push(weight);
+		total += weight;
+	}
+	var pick = Math.random() * total;
+	for (i = 0; i < pool.length; i++) {
+		pick -= weights[i];
+		if (pick < 0)
+			return pool[i];
+	}
+	return pool[pool.length - 1];
+}
+
+/**
+ * Determines whether a string ends with any of the banned strings.
+ *
+ * @param {String} str The string to be checked
+ * @param {Array} banned The banned strings, as returned by
+ *      {@link bannedStrings}
+ * @returns {boolean} true if the string ends with a banned string
+ */
+function endsBanned(str, banned) {
+	return banned.some(function(word) {
+		return str.substr(-word.length) == word;
+	});
+}
+
+module.exports = {
+	DEFAULT_BANNED: DEFAULT_BANNED,
+	bannedStrings: bannedStrings,
+	generate: generate,
+	isAllowed: isAllowed
+};
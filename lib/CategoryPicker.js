@@ -0,0 +1,70 @@
+/*
+ * Acrophobia
+ * Toady Module
+ * Copyright 2013 Tom Frost
+ */
+
+/**
+ * The CategoryPicker decides which rounds of a game are themed, and chooses
+ * the category for each themed round, such as "Movies" or "Excuses for being
+ * late".
+ *
+ * @param {Object} opts An object mapping options keys to values for the
+ *      CategoryPicker.  The following are used:
+ *          - categories: {Array} The list of categories to choose from
+ *          - categoryChance: {Number} The percent chance, from 0 to 100, that
+ *            any given round will be themed
+ *          - categoryRepeats: {boolean} true to allow the same category to
+ *            be used more than once in a game.  If false, categories won't
+ *            be repeated until every one of them has been used.
+ * @param {Array} [used] The categories that have already been used in this
+ *      game, as returned by {@link #getUsed}
+ * @constructor
+ */
+var CategoryPicker = function(opts, used) {
+	this._categories = (opts.categories || []).filter(function(cat) {
+		return typeof cat == 'string' && cat.trim();
+	}).map(function(cat) {
+		return cat.trim();
+	});
+	this._chance = opts.categoryChance || 0;
+	this._repeats = !!opts.categoryRepeats;
+	this._used = (used || []).slice();
+};
+
+/**
+ * Gets the categories that have been chosen so far in this game.
+ *
+ * @returns {Array} The used categories, in the order they were chosen
+ */
+CategoryPicker.prototype.getUsed = function() {
+	return this._used.slice();
+};
+
+/**
+ * Decides whether the next round should be themed and, if so, chooses its
+ * category.
+ *
+ * @returns {String|null} The category for the next round, or null if the
+ *      round should not be themed
+ */
+CategoryPicker.prototype.next = function() {
+	if (!this._categories.length || Math.random() * 100 >= this._chance)
+		return null;
+	var self = this,
+		pool = this._categories;
+	if (!this._repeats) {
+		pool = pool.filter(function(cat) {
+			return self._used.indexOf(cat) == -1;
+		});
+		if (!pool.length) {
+			this._used = [];
+			pool = this._categories;
+		}
+	}
+	var category = pool[Math.floor(Math.random() * pool.length)];
+	this._used.push(category);
+	return category;
+};
+
+module.exports = CategoryPicker;
@@ -0,0 +1,85 @@
+/*
+ * Acrophobia
+ * Toady Module
+ * Copyright 2013 Tom Frost
+ */
+
+// Dependencies
+var JsonStore = require('./util/JsonStore'),
+	oUtil = require('./util/Object'),
+	util = require('util');
+
+/**
+ * The ChannelSettings store keeps the game options that have been changed
+ * for individual channels, so that each channel can play by its own rules
+ * while the rest keep using the config.  Channels are matched
+ * case-insensitively.
+ *
+ * @param {String} file The path to the JSON file in which the settings are
+ *      stored
+ * @constructor
+ */
+var ChannelSettings = function(file) {
+	JsonStore.call(this, file, {
+		channels: {}
+	});
+};
+util.inherits(ChannelSettings, JsonStore);
+
+/**
+ * Gets the options changed for a channel.
+ *
+ * @param {String} channel The channel whose options should be retrieved
+ * @returns {Object} A mapping of option keys to the channel's values, which
+ *      is empty if nothing has been changed
+ */
+ChannelSettings.prototype.get = function(channel) {
+	return oUtil.merge(this.data.channels[channel.toLowerCase()]);
+};
+
+/**
+ * Changes an option for a channel, and saves the settings to disk.
+ *
+ * @param {String} channel The channel whose option should be changed
+ * @param {String} key The option key
+ * @param {*} val The new value
+ * @param {Function} [cb] A callback function to be executed when the
+ *      settings have been saved.  Arguments provided are:
+ *          - {Error} If an error occurred
+ */
+ChannelSettings.prototype.set = function(channel, key, val, cb) {
+	var chanKey = channel.toLowerCase();
+	if (!this.data.channels[chanKey])
+		this.data.channels[chanKey] = {};
+	this.data.channels[chanKey][key] = val;
+	this.save(cb);
+};
+
+/**
+ * Removes a channel's change to an option, so that the channel goes back to
+ * using the config's value, and saves the settings to disk.
+ *
+ * @param {String} channel The channel whose option should be reset
+ * @param {String} key The option key
+ * @param {Function} [cb] A callback function to be executed when the
+ *      settings have been saved.  Arguments provided are:
+ *          - {Error} If an error occurred
+ * @returns {boolean} true if the channel had changed the option; false
+ *      otherwise
+ */
+ChannelSettings.prototype.unset = function(channel, key, cb) {
+	var chanKey = channel.toLowerCase(),
+		settings = this.data.channels[chanKey];
+	if (!settings || !settings.hasOwnProperty(key)) {
+		if (cb)
+			process.nextTick(cb);
+		return false;
+	}
+	delete settings[key];
+	if (!Object.keys(settings).length)
+		delete this.data.channels[chanKey];
+	this.save(cb);
+	return true;
+};
+
+module.exports = ChannelSettings;
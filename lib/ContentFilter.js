@@ -0,0 +1,113 @@
+/*
+ * Acrophobia
+ * Toady Module
+ * Copyright 2013 Tom Frost
+ */
+
+/**
+ * The actions that can be taken when a submitted phrase contains a filtered
+ * word:
+ *      - none: The filter is disabled
+ *      - reject: The phrase is refused, and the player must submit another
+ *      - mask: The phrase is accepted, but every letter of each filtered word
+ *        after the first is replaced with an asterisk
+ *      - flag: The phrase is accepted as-is, but marked as flagged when it's
+ *        listed for voting
+ * @type {Array}
+ */
+const ACTIONS = ['none', 'reject', 'mask', 'flag'];
+
+/**
+ * Builds a sentence explaining to a player what the content filter did with
+ * their phrase.
+ *
+ * @param {String} action The filter action taken: 'reject', 'mask', or 'flag'
+ * @param {Array} found The filtered words found in the phrase, as returned by
+ *      {@link find}
+ * @returns {String} The explanation
+ */
+function describe(action, found) {
+	var words = '"' + found.join('", "') + '"',
+		reason = words + (found.length == 1 ? " is" : " are") +
+			" filtered in this channel";
+	switch (action) {
+		case 'reject':
+			return "Your phrase was blocked because " + reason +
+				". Please submit a different one!";
+		case 'mask':
+			return "Phrase accepted, but " + reason +
+				", so it will be shown masked.";
+		default:
+			return "Phrase accepted, but " + reason +
+				", so it will be flagged when it's listed.";
+	}
+}
+
+/**
+ * Finds the filtered words that appear in a phrase.  Words are matched
+ * case-insensitively and only as whole words, so filtering "ass" will not
+ * catch "class".  A filtered word ending in '*' matches any word that starts
+ * with it, so "damn*" catches both "damn" and "damnit".
+ *
+ * @param {String} phrase The phrase to be checked
+ * @param {Array} words The list of filtered words
+ * @returns {Array} The filtered words found in the phrase, in the order they
+ *      appear in the list.  If none were found, the array is empty.
+ */
+function find(phrase, words) {
+	return (words || []).filter(function(word) {
+		var regex = toRegex(word);
+		return regex && regex.test(phrase);
+	});
+}
+
+/**
+ * Masks every filtered word in a phrase, leaving its first letter intact so
+ * that the phrase still visibly fits its acro.
+ *
+ * @param {String} phrase The phrase to be masked
+ * @param {Array} words The list of filtered words
+ * @returns {String} The phrase, with each filtered word masked
+ */
+function mask(phrase, words) {
+	(words || []).forEach(function(word) {
+		var regex = toRegex(word, true);
+		if (regex) {
+			phrase = phrase.replace(regex, function(all, before, match) {
+				return before + match[0] + match.substr(1).replace(/[a-z0-9]/gi,
+					'*');
+			});
+		}
+	});
+	return phrase;
+}
+
+/**
+ * Builds a regular expression matching a filtered word as a whole word.  The
+ * expression captures the character before the word (or an empty string at
+ * the start of the phrase) first, and the word itself second.
+ *
+ * @param {String} word The filtered word, optionally ending in '*'
+ * @param {boolean} [global] true to build a global expression
+ * @returns {RegExp|null} The expression, or null if the word is blank
+ */
+function toRegex(word, global) {
+	var wild = false;
+	word = String(word).trim();
+	if (word[word.length - 1] == '*') {
+		wild = true;
+		word = word.substr(0, word.length - 1);
+	}
+	if (!word)
+		return null;
+	var escaped = word.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&');
+	return new RegExp('(^|[^a-z0-9])(' + escaped + (wild ? "[a-z0-9']*" : '') +
+		")(?![a-z0-9])", global ? 'gi' : 'i');
+}
+
+module.exports = {
+	ACTIONS: ACTIONS,
+	describe: describe,
+	find: find,
+	mask: mask
+};
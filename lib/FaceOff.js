@@ -17,6 +17,37 @@ var Seq = require('seq'),
  * phases, while filling awkward conversation gaps with explanation as to how
  * the face-off works.
  *
+ * Any number of players, given by the 'players' option, may take part.  How
+ * the winner is found depends on the 'faceOffFormat' option:
+ *      - points: Every player plays every round, and the most votes wins
+ *      - elimination: Each round's votes are counted before the next round
+ *        starts, and the player with the fewest votes so far is knocked out.
+ *        The last player standing wins, or the player with the most votes if
+ *        the rounds run out first.
+ *
+ * The FaceOff emits the following events as it runs:
+ *      - 'phrase' When a player's phrase is accepted.  Arguments are:
+ *          - {Number} The 1-based number of the face-off round, counting any
+ *            sudden-death rounds after the regular ones
+ *          - {Number} The user ID of the player
+ *          - {String} The phrase as it was accepted
+ *          - {boolean} true if this is the player's first phrase this round
+ *      - 'vote' When a vote is accepted.  Arguments are:
+ *          - {Number} The 1-based number of the face-off round
+ *          - {Number} The user ID of the voter
+ *          - {Array} The user IDs whose phrases were voted for
+ *          - {boolean} true if this is the user's first vote this round
+ *      - 'roundResult' When a round's votes have been counted.  Arguments
+ *        are:
+ *          - {Number} The 1-based number of the face-off round
+ *          - {String} The round's acro
+ *          - {Object} A mapping of user IDs to the votes they received
+ *          - {Number|null} The user ID that answered first, or null if no
+ *            one answered
+ *          - {boolean} true if this was a sudden-death round
+ *          - {Object} A snapshot of the round's phrases and votes, as
+ *            returned by FaceOffRound::getState
+ *
  * @param {Object} opts An object mapping options keys to values for
  *      the FaceOff.  For a listing of these options and their defaults, see
  *      AcroGame::DEFAULT_OPTS.
@@ -25,11 +56,13 @@ var Seq = require('seq'),
 var FaceOff = function(opts) {
 	var self = this;
 	this._opts = opts;
+	this._timers = opts.timers;
+	this._players = opts.players.slice();
 	this._scores = {};
 	this._fastest = {};
 	this._fastestRounds = [];
 	this._playerHash = {};
-	opts.players.forEach(function(userId) {
+	this._players.forEach(function(userId) {
 		self._playerHash[userId] = true;
 		self._scores[userId] = 0;
 		self._fastest[userId] = 0;
@@ -40,15 +73,28 @@ var FaceOff = function(opts) {
 	this._completedVotes = 0;
 	this._voteRunning = false;
 	this._votingStarted = false;
+	this._votesDone = false;
 	this._rounds = [];
 	for (var i = 0; i < opts.faceOffRounds; i++) {
-		this._rounds.push(new FaceOffRound(oUtil.merge(opts, {
-			numLetters: opts.faceOffMinLetters + i
+		this._watchRound(new FaceOffRound(oUtil.merge(opts, {
+			players: this._players,
+			numLetters: opts.faceOffMinLetters + i,
+			category: opts.pickCategory()
 		})));
 	}
 };
 util.inherits(FaceOff, events.EventEmitter);
 
+/**
+ * Gets the acro of the face-off round that's currently accepting phrases.
+ *
+ * @returns {String|null} The acro, or null if no round is accepting phrases
+ */
+FaceOff.prototype.getOpenAcro = function() {
+	var state = this._curAcroRound ? this._curAcroRound.getState() : null;
+	return state && state.phase == 'acro' ? state.acro : null;
+};
+
 /**
  * Runs the face-off phase of an Acrophobia game.
  *
@@ -62,31 +108,50 @@ FaceOff.prototype.start = function(cb) {
 	this.on('voteComplete', this._announceWinner.bind(this, cb));
 	var self = this,
 		pub = this._opts.sayPublic,
-		p1 = this._opts.userNames[this._opts.players[0]],
-		p2 = this._opts.userNames[this._opts.players[1]];
+		elimination = this._opts.faceOffFormat == 'elimination',
+		names = listNames(this._players.map(function(userId) {
+			return self._opts.userNames[userId];
+		}));
 	Seq()
 		.seq(function introduce() {
-			pub("Our top player has reached the " + self._opts.pointCap +
-				" point mark!  It's time for the face-off round. " + p1 +
-				" and " + p2 +
+			var reason = self._opts.gameMode == 'limited' ?
+				"That's the end of the regular rounds!" :
+				"Our top player has reached the " + self._opts.pointCap +
+					" point mark!";
+			pub(reason + "  It's time for the face-off round. " + names +
 				", please switch to your private messages to continue.");
-			setTimeout(this, self._opts.secsBetweenMessages * 1000);
+			self._timers.setTimeout(this,
+				self._opts.secsBetweenMessages * 1000);
 		})
 		.seq(function instruct() {
 			self._sayPlayers("Welcome to the face-off! I'll be running " +
 				self._opts.faceOffRounds + " speed-rounds sent directly to " +
 				"you. Answer by saying " + self._opts.inputPrefix +
 				"ANSWER HERE. Get ready!");
-			self._explainFaceOff(p1, p2);
-			setTimeout(this, self._opts.secsBetweenMessages * 1000);
+			if (elimination) {
+				self._sayPlayers("After each round, the player with the \
+fewest votes so far is knocked out!");
+			}
+			self._explainFaceOff(names);
+			self._timers.setTimeout(this,
+				self._opts.secsBetweenMessages * 1000);
 		})
 		.set(this._rounds)
-		.seqEach(function playEachRound(round) {
-			var next = this;
+		.seqEach(function playEachRound(round, idx) {
+			var next = this,
+				pause = function() {
+					self._timers.setTimeout(next,
+						self._opts.secsBetweenFaceOffRounds * 1000);
+				};
+			if (self._votesDone)
+				return next();
 			self._curAcroRound = round;
 			round.startAcro(function() {
 				self._addVoteRound(round);
-				setTimeout(next, self._opts.secsBetweenFaceOffRounds * 1000);
+				if (elimination && idx < self._rounds.length - 1)
+					self.once('roundVoted', pause);
+				else
+					pause();
 			});
 		})
 		.seq(function finish() {
@@ -95,6 +160,20 @@ for the results.");
 		});
 };
 
+/**
+ * Stops the face-off immediately.  Every round is stopped, all listeners are
+ * removed, and no further input will be accepted.
+ */
+FaceOff.prototype.stop = function() {
+	this._rounds.forEach(function(round) {
+		round.stop();
+	});
+	this._curAcroRound = null;
+	this._curVoteRound = null;
+	this._votingStarted = true;
+	this.removeAllListeners();
+};
+
 /**
  * Submits any user input to the appropriate FaceOffRound during the course
  * of the face-off phase.  This function determines whether the user is a
@@ -130,7 +209,10 @@ FaceOff.prototype._addVoteRound = function(round) {
 };
 
 /**
- * Determines and announces the winner of the face-off phase.
+ * Determines and announces the winner of the face-off phase.  Players tied on
+ * votes are separated by who answered first most often, and if they're still
+ * tied and the 'faceOffTieBreaker' option is set to 'suddenDeath', by
+ * sudden-death rounds.
  *
  * @param {Function} cb A callback function to be executed after the winner
  *      has been announced.  Arguments provided are:
@@ -141,58 +223,107 @@ FaceOff.prototype._addVoteRound = function(round) {
  */
 FaceOff.prototype._announceWinner = function(cb) {
 	var self = this,
-		pub = this._opts.sayPublic;
+		pub = this._opts.sayPublic,
+		suddenDeath = this._opts.faceOffTieBreaker == 'suddenDeath',
+		tied = [];
 	Seq()
 		.seq(function showScores() {
 			var players = Object.keys(self._scores).sort(function(a, b) {
 				return self._scores[b] - self._scores[a];
 			});
-			var winner = self._scores[players[0]] != self._scores[players[1]] ?
-				players[0] : null;
+			var contenders = players.filter(function(userId) {
+				return self._playerHash[userId];
+			});
+			tied = contenders.filter(function(userId) {
+				return self._scores[userId] == self._scores[contenders[0]];
+			});
+			var winner = tied.length == 1 ? tied[0] : null;
 			var scores = "Final results:";
 			players.forEach(function(userId) {
 				scores += ' [' + self._opts.userNames[userId] + ' ' +
-					self._scores[userId] + ']';
+					self._scores[userId] +
+					(self._playerHash[userId] ? '' : ', out') + ']';
 			});
 			pub(scores);
 			var next = winner ? cb.bind(this, null, winner) : this;
-			setTimeout(next, self._opts.secsBetweenMessages);
+			self._timers.setTimeout(next, self._opts.secsBetweenMessages);
 		})
 		.seq(function showTie() {
 			pub("We have a tie! The winner will be decided by who answered \
 the fastest.");
-			setTimeout(this, self._opts.secsBetweenMessages);
+			self._timers.setTimeout(this, self._opts.secsBetweenMessages);
 		})
 		.seq(function showFastest() {
-			self._showFastestRounds(0, this);
+			self._showFastestRounds(0, tied, this);
+		})
+		.seq(function breakTie(winner) {
+			var most = Math.max.apply(Math, tied.map(function(userId) {
+				return self._fastest[userId];
+			}));
+			if (winner === null && suddenDeath) {
+				pub("Well, that didn't help much!  It's time for sudden \
+death.");
+				self._suddenDeath(tied.filter(function(userId) {
+					return self._fastest[userId] == most;
+				}), 0, this);
+			}
+			else
+				this(null, winner);
 		})
 		.seq(function showWinner(winner) {
 			if (winner === null) {
-				pub("Well, that didn't help much!  Let's just call it a tie.");
-				setTimeout(cb, self._opts.secsBetweenMessages);
+				pub(suddenDeath ? "Sudden death couldn't settle it either!  \
+Let's just call it a tie." : "Well, that didn't help much!  Let's just call \
+it a tie.");
+				self._timers.setTimeout(cb, self._opts.secsBetweenMessages);
 			}
 			else
 				cb(null, winner);
 		});
 };
 
+/**
+ * Knocks out the player with the fewest face-off votes so far, for the
+ * elimination format.  If several players share the fewest votes, the one
+ * who answered first least often is knocked out.  If they're still tied, no
+ * one is.  Knocked-out players may vote in the rounds that follow.
+ *
+ * @private
+ */
+FaceOff.prototype._eliminate = function() {
+	var self = this,
+		order = this._players.slice().sort(function(a, b) {
+			return (self._scores[a] - self._scores[b]) ||
+				(self._fastest[a] - self._fastest[b]);
+		}),
+		out = order[0];
+	if (this._players.length < 2 || (self._scores[out] == self._scores[order[1]]
+			&& self._fastest[out] == self._fastest[order[1]]))
+		return;
+	this._players.splice(this._players.indexOf(out), 1);
+	delete this._playerHash[out];
+	this._opts.sayPublic(this._opts.userNames[out] + " has the fewest votes \
+and is out of the face-off!");
+	this._opts.sayPrivate(out, "You've been knocked out of the face-off, but \
+you can still vote in the rounds that are left!");
+};
+
 /**
  * Fills the public channel gap created by the first round face-off submissions
  * with a brief explanation of what happens during the face off, and the
  * importance of voting.  If this happens to take longer than it takes for the
  * first face-off submissions to complete, this explanation will be cut short.
  *
- * @param {String} p1 The username (not ID) of the highest ranking face-off
- *      player
- * @param {String} p2 The username (not ID) of the second-highest ranking
- *      face-off player
+ * @param {String} names The usernames (not IDs) of the face-off players, as a
+ *      readable list
  * @private
  */
-FaceOff.prototype._explainFaceOff = function(p1, p2) {
+FaceOff.prototype._explainFaceOff = function(names) {
 	var msgs = [
-		"At the end of each game, the top two players go head-to-head in " +
-			this._opts.faceOffRounds + " speed rounds.",
-		p1 + " and " + p2 + " will have " + this._opts.secsPerFaceOffRound +
+		"At the end of each game, the top " + this._players.length +
+			" players go head-to-head in " + this._opts.faceOffRounds +
+			" speed rounds.",
+		names + " will have " + this._opts.secsPerFaceOffRound +
 			" seconds to answer each acro. Then everyone here will have the " +
 			"chance to vote for their favorites!",
 		"Votes are the ONLY points that these players get in the face-off, " +
@@ -200,6 +331,10 @@ FaceOff.prototype._explainFaceOff = function(p1, p2) {
 		"Once all the votes are tallied up, I'll announce our winner.  Get " +
 			"ready for the first round of voting!"
 	];
+	if (this._opts.faceOffFormat == 'elimination') {
+		msgs.splice(2, 0, "After each round, the player with the fewest " +
+			"votes so far is knocked out, until only one is left standing.");
+	}
 	this._sayGapFiller(msgs);
 };
 
@@ -207,16 +342,18 @@ FaceOff.prototype._explainFaceOff = function(p1, p2) {
  * Tabulates the player that answered fastest the majority of the time in all
  * completed face-off rounds.
  *
+ * @param {Array} userIds The userIds of the players to choose between
  * @returns {Number|null} The userId who answered fastest most often, or null
- *      if both players had an equal number of fast answers
+ *      if more than one of the players shares that number of fast answers
  * @private
  */
-FaceOff.prototype._getFastestPlayer = function() {
+FaceOff.prototype._getFastestPlayer = function(userIds) {
 	var self = this,
-		fastOrder = Object.keys(this._fastest).sort(function(a, b) {
+		fastOrder = userIds.slice().sort(function(a, b) {
 			return self._fastest[b] - self._fastest[a];
 		});
-	if (fastOrder[0] == fastOrder[1])
+	if (fastOrder.length > 1 &&
+			this._fastest[fastOrder[0]] == this._fastest[fastOrder[1]])
 		return null;
 	else
 		return fastOrder[0];
@@ -230,7 +367,7 @@ FaceOff.prototype._getFastestPlayer = function() {
  */
 FaceOff.prototype._sayPlayers = function(msg) {
 	var self = this;
-	this._opts.players.forEach(function(userId) {
+	this._players.forEach(function(userId) {
 		self._opts.sayPrivate(userId, msg);
 	});
 };
@@ -247,7 +384,7 @@ FaceOff.prototype._sayPlayers = function(msg) {
 FaceOff.prototype._sayGapFiller = function(msgs) {
 	if (msgs.length && !this._votingStarted) {
 		this._opts.sayPublic(msgs.shift());
-		setTimeout(this._sayGapFiller.bind(this, msgs),
+		this._timers.setTimeout(this._sayGapFiller.bind(this, msgs),
 			this._opts.secsBetweenMessages * 1000);
 	}
 };
@@ -259,31 +396,101 @@ FaceOff.prototype._sayGapFiller = function(msgs) {
  * @param {Number} roundIdx the 0-indexed round number to start with.  Mostly
  *      used to support recursion; this should generally always be 0 when
  *      called from another function.
+ * @param {Array} userIds The userIds of the tied players
  * @param {Function} cb A callback function to be executed when the results
  *      have been shown.  Arguments to this function are:
  *          - {Error} If an error occurred
- *          - {Number|null} The userId of the overall fastest player, or null
- *            if the two players tied.
+ *          - {Number|null} The userId of the overall fastest of the tied
+ *            players, or null if they tied on that too.
  * @private
  */
-FaceOff.prototype._showFastestRounds = function(roundIdx, cb) {
+FaceOff.prototype._showFastestRounds = function(roundIdx, userIds, cb) {
 	if (roundIdx >= this._fastestRounds.length)
-		cb(null, this._getFastestPlayer());
+		cb(null, this._getFastestPlayer(userIds));
 	else {
 		if (this._fastestRounds[roundIdx] === null) {
 			this._opts.sayPublic("Round " + (roundIdx + 1) +
-				": Neither player submitted.")
+				": No one submitted.")
 		}
 		else {
 			this._opts.sayPublic("Round " + (roundIdx + 1) + ": " +
 				this._opts.userNames[this._fastestRounds[roundIdx]] +
 				" answered first.");
 		}
-		setTimeout(this._showFastestRounds.bind(this, roundIdx + 1, cb),
+		this._timers.setTimeout(
+			this._showFastestRounds.bind(this, roundIdx + 1, userIds, cb),
 			this._opts.secsBetweenMessages / 2);
 	}
 };
 
+/**
+ * Plays single-acro rounds between tied players until one of them wins a
+ * round outright, or the number of rounds in the 'suddenDeathRounds' option
+ * has been played.  The tied players are the only ones who may submit
+ * phrases; everyone else votes.
+ *
+ * @param {Array} userIds The userIds of the tied players
+ * @param {Number} roundIdx The 0-indexed number of sudden-death rounds played
+ *      so far.  This should be 0 when called from another function.
+ * @param {Function} cb A callback function to be executed when the tie has
+ *      been broken or the rounds have run out.  Arguments provided are:
+ *          - {Error} If an error occurred
+ *          - {Number|null} The userId of the winner, or null if the players
+ *            are still tied.
+ * @private
+ */
+FaceOff.prototype._suddenDeath = function(userIds, roundIdx, cb) {
+	var self = this,
+		pub = this._opts.sayPublic;
+	if (roundIdx >= this._opts.suddenDeathRounds) {
+		cb(null, null);
+		return;
+	}
+	this._players.splice.apply(this._players,
+		[0, this._players.length].concat(userIds));
+	this._playerHash = {};
+	userIds.forEach(function(userId) {
+		self._playerHash[userId] = true;
+	});
+	var round = this._watchRound(new FaceOffRound(oUtil.merge(this._opts, {
+		players: this._players,
+		numLetters: this._opts.faceOffMinLetters + this._opts.faceOffRounds - 1,
+		category: this._opts.pickCategory()
+	})));
+	pub("Sudden death round " + (roundIdx + 1) + "! " +
+		listNames(userIds.map(function(userId) {
+			return self._opts.userNames[userId];
+		})) + ", check your private messages. The first to win a round \
+outright takes the game!");
+	Seq()
+		.seq(function playAcro() {
+			self._curAcroRound = round;
+			round.startAcro(this);
+		})
+		.seq(function playVote() {
+			var next = this;
+			self._curAcroRound = null;
+			self._curVoteRound = round;
+			round.startVote(function(err, points, fastest) {
+				next(err, points || {}, fastest);
+			});
+		})
+		.seq(function checkWinner(points, fastest) {
+			self._curVoteRound = null;
+			self.emit('roundResult', self._rounds.indexOf(round) + 1,
+				round.getAcro(), points, fastest, true, round.getState());
+			var order = userIds.slice().sort(function(a, b) {
+				return (points[b] || 0) - (points[a] || 0);
+			});
+			if ((points[order[0]] || 0) > (points[order[1]] || 0)) {
+				pub(self._opts.userNames[order[0]] + " wins the sudden death!");
+				cb(null, order[0]);
+			}
+			else
+				self._suddenDeath(userIds, roundIdx + 1, cb);
+		});
+};
+
 /**
  * Starts the voting process for the face-off rounds.  This function will
  * pull a round from the head of the vote queue and run the full vote
@@ -291,26 +498,79 @@ FaceOff.prototype._showFastestRounds = function(roundIdx, cb) {
  * that round will immediately start the voting phase.  Otherwise, this
  * function will exit and must be called again manually whenever a round is
  * added to the vote queue.
+ *
+ * This function emits the following events on the FaceOff:
+ *      - 'roundVoted' When a round's votes have been counted, and any player
+ *        has been knocked out.  Arguments are:
+ *          - {Number} The number of rounds counted so far
+ *      - 'voteComplete' When the last round's votes have been counted, or
+ *        only one player is left standing.  Arguments are:
+ *          - {Number} The number of rounds counted
  * @private
  */
 FaceOff.prototype._startVoteRound = function() {
-	var self = this;
-	this._curVoteRound = this._voteQueue.shift();
+	var self = this,
+		elimination = this._opts.faceOffFormat == 'elimination';
+	var round = this._voteQueue.shift();
+	this._curVoteRound = round;
 	this._voteRunning = true;
 	this._votingStarted = true;
-	this._curVoteRound.startVote(function(err, points, fastest) {
+	round.startVote(function(err, points, fastest) {
 		oUtil.forEach(points, function(userId, score) {
 			self._scores[userId] += score;
 		});
+		self.emit('roundResult', self._rounds.indexOf(round) + 1,
+			round.getAcro(), points, fastest, false, round.getState());
 		self._fastestRounds.push(fastest);
 		if (fastest !== null)
 			self._fastest[fastest]++;
 		self._voteRunning = false;
-		if (++self._completedVotes == self._opts.faceOffRounds)
+		self._completedVotes++;
+		if (elimination && self._completedVotes < self._rounds.length)
+			self._eliminate();
+		self.emit('roundVoted', self._completedVotes);
+		if (self._completedVotes == self._rounds.length ||
+				(elimination && self._players.length < 2)) {
+			self._votesDone = true;
 			self.emit('voteComplete', self._completedVotes);
+		}
 		else if (self._voteQueue.length)
 			self._startVoteRound();
 	});
 };
 
+/**
+ * Adds a round to the face-off, passing its 'phrase' and 'vote' events on
+ * as the FaceOff's own, tagged with the round's number.
+ *
+ * @param {FaceOffRound} round The round to be added
+ * @returns {FaceOffRound} The same round, for convenience
+ * @private
+ */
+FaceOff.prototype._watchRound = function(round) {
+	var self = this;
+	this._rounds.push(round);
+	round.on('phrase', function(userId, phrase, first) {
+		self.emit('phrase', self._rounds.indexOf(round) + 1, userId, phrase,
+			first);
+	});
+	round.on('vote', function(userId, ballot, first) {
+		self.emit('vote', self._rounds.indexOf(round) + 1, userId, ballot,
+			first);
+	});
+	return round;
+};
+
+/**
+ * Joins a list of names into a readable string, such as "Ann, Bob, and Cat".
+ *
+ * @param {Array} names The names to be listed
+ * @returns {String} The list
+ */
+function listNames(names) {
+	if (names.length < 3)
+		return names.join(' and ');
+	return names.slice(0, -1).join(', ') + ', and ' + names[names.length - 1];
+}
+
 module.exports = FaceOff;
@@ -5,7 +5,13 @@
  */
 
 // Dependencies
-var Seq = require('seq'),
+var ContentFilter = require('./ContentFilter'),
+	PhraseMatcher = require('./PhraseMatcher'),
+	Seq = require('seq'),
+	events = require('events'),
+	util = require('util'),
+	oUtil = require('./util/Object'),
+	sUtil = require('./util/String'),
 	Round = require('./Round');
 
 /**
@@ -30,7 +36,8 @@ const INPUTMODE_VOTE = 2;
 /**
  * The FaceOffRound object is responsible for playing through a single face-off
  * round, allowing the phrase submissions to be disjointed from the voting
- * process.
+ * process.  Each vote names a single phrase, whatever the 'voteMode' option
+ * says.
  *
  * @param {Object} opts An object mapping options keys to values for
  *      FaceOffRound.  For a listing of these options and their defaults, see
@@ -39,11 +46,24 @@ const INPUTMODE_VOTE = 2;
  */
 var FaceOffRound = function(opts) {
 	this._opts = opts;
+	this._timers = opts.timers;
 	this._inputMode = INPUTMODE_OFF;
-	this._round = new Round(opts);
+	this._round = new Round(oUtil.merge(opts, {
+		expectedPhrases: function() {
+			return opts.players;
+		},
+		expectedVotes: function() {
+			var voters = opts.activePlayers ? opts.activePlayers('vote') : [];
+			return voters.filter(function(userId) {
+				return opts.players.indexOf(userId) == -1;
+			});
+		},
+		voteMode: 'single'
+	}));
 	this._acro = '';
 	this._phrases = {};
 };
+util.inherits(FaceOffRound, events.EventEmitter);
 
 /**
  * An error code indicating that there were not enough phrase submissions to
@@ -60,7 +80,36 @@ FaceOffRound.prototype.ERR_NUM_SUBMISSIONS = 1;
 FaceOffRound.prototype.ERR_NO_VOTES = 2;
 
 /**
- * Starts the round.
+ * Gets the acronym for this round.
+ *
+ * @returns {String} The acronym, in all caps, or an empty string if the round
+ *      hasn't started
+ */
+FaceOffRound.prototype.getAcro = function() {
+	return this._acro;
+};
+
+/**
+ * Gets a snapshot of the round's phrases and votes.
+ *
+ * @returns {Object} The snapshot, in the format returned by Round::getState
+ */
+FaceOffRound.prototype.getState = function() {
+	return this._round.getState();
+};
+
+/**
+ * Starts the round.  This function emits the following events on the
+ * FaceOffRound:
+ *      - 'phrase' When a player's phrase is accepted.  Arguments are:
+ *          - {Number} The user ID of the player
+ *          - {String} The phrase as it was accepted
+ *          - {boolean} true if this is the player's first phrase this round
+ *      - 'vote' When a vote is accepted, once voting has started.  Arguments
+ *        are:
+ *          - {Number} The user ID of the voter
+ *          - {Array} The user IDs whose phrases were voted for
+ *          - {boolean} true if this is the user's first vote this round
  *
  * @param {Function} cb A callback function to be executed when the round
  *      completes.  There are no arguments for this function.
@@ -70,8 +119,9 @@ FaceOffRound.prototype.startAcro = function(cb) {
 		priv = this._opts.sayPrivate;
 	this._round.on('acroStart', function(acro) {
 		self._acro = acro;
-		self._sayPlayers("This round's acro is [ " + acro +
-			" ]. Submissions are open for " + self._opts.secsPerFaceOffRound +
+		self._sayPlayers("This round's acro is " +
+			sUtil.formatAcro(acro, self._opts.category) +
+			". Submissions are open for " + self._opts.secsPerFaceOffRound +
 			" seconds!");
 		self._sayPlayers("Submit a phrase to match this acro by typing: " +
 			self._opts.inputPrefix + 'YOUR PHRASE HERE');
@@ -84,12 +134,36 @@ FaceOffRound.prototype.startAcro = function(cb) {
 		self._inputMode = INPUTMODE_OFF;
 		cb();
 	});
-	this._round.on('phraseAccepted', function(userId) {
-		priv(userId, "Phrase accepted!");
+	this._round.on('phraseAccepted', function(userId, first, found, phrase) {
+		self.emit('phrase', userId, phrase, first);
+		priv(userId, found.length ?
+			ContentFilter.describe(self._opts.filterAction, found) :
+			"Phrase accepted!");
+	});
+	this._round.on('phraseBlocked', function(userId, found) {
+		priv(userId, ContentFilter.describe('reject', found));
+	});
+	this._round.on('phraseDuplicate', function(userId, firstId, merged) {
+		if (merged) {
+			priv(userId, "That phrase was already submitted by another \
+player, so yours has been merged with theirs. They keep the credit for it.");
+		}
+		else {
+			priv(userId, "That phrase was already submitted by another \
+player. Please submit a different one!");
+		}
+	});
+	this._round.on('phraseUnmerged', function(userId) {
+		priv(userId, "The phrase yours was merged with has been changed, so \
+you no longer have a phrase this round. Please submit a new one!");
 	});
-	this._round.on('phraseRejected', function(userId, acro) {
-		priv(userId, "Your phrase has the acronym [" + acro +
-			"] which does not match this round's acro: [" + self._acro + "].");
+	this._round.on('phraseRejected', function(userId, res) {
+		priv(userId, PhraseMatcher.describe(res, self._acro, self._opts));
+	});
+	this._round.on('acroEarlyClose', function(secs) {
+		self._sayPlayers((self._opts.players.length == 2 ? "Both players" :
+			"All players") + " are in! Submissions close in " + secs +
+			(secs == 1 ? " second." : " seconds."));
 	});
 	this._round.on('acroCountdown', this._announceMilestone.bind(this, false));
 	this._round.startAcro(self._opts.secsPerFaceOffRound);
@@ -109,9 +183,9 @@ FaceOffRound.prototype.startVote = function(cb) {
 	switch (this._userOrder.length) {
 		case 0:
 			this._opts.sayPublic("For the acro [ " + this._acro +
-				" ], neither player submitted an answer. No points will be " +
+				" ], no one submitted an answer. No points will be " +
 				"awarded.");
-			setTimeout(cb.bind(this, {}, null),
+			this._timers.setTimeout(cb.bind(this, null, {}, null),
 				this._opts.secsBetweenMessages);
 			break;
 		case 1:
@@ -122,6 +196,17 @@ FaceOffRound.prototype.startVote = function(cb) {
 	}
 };
 
+/**
+ * Stops the round immediately.  Its countdown is canceled, all listeners are
+ * removed from both the FaceOffRound and the underlying Round, and no further
+ * input will be accepted.
+ */
+FaceOffRound.prototype.stop = function() {
+	this._inputMode = INPUTMODE_OFF;
+	this._round.stop();
+	this.removeAllListeners();
+};
+
 /**
  * Submits an acro answer for the given user.  Note that this function does not
  * check to ensure the submitter if a face-off participant.
@@ -171,7 +256,7 @@ FaceOffRound.prototype._announceMilestone = function(isPublic, secs) {
  *          - {Error} If an error occurred
  *          - {Object} A mapping of user IDs to number of votes
  *          - {Number|null} The User ID that submitted the fastest answer, or
- *            null if neither player submitted.
+ *            null if no player submitted.
  * @private
  */
 FaceOffRound.prototype._runVote = function(cb) {
@@ -179,9 +264,12 @@ FaceOffRound.prototype._runVote = function(cb) {
 		pub = this._opts.sayPublic,
 		priv = this._opts.sayPrivate;
 	this._inputMode = INPUTMODE_VOTE;
-	pub("For the acro [ " + this._acro + " ] our players submitted:");
-	pub('1  | ' + this._phrases[this._userOrder[0]]);
-	pub('2  | ' + this._phrases[this._userOrder[1]]);
+	pub("For the acro " + sUtil.formatAcro(this._acro, this._opts.category) +
+		" our players submitted:");
+	this._userOrder.forEach(function(user, idx) {
+		pub((idx + 1) + '  | ' + self._phrases[user] +
+			(self._round.isFlagged(user) ? ' [flagged]' : ''));
+	});
 	pub("Voting is open for " + self._opts.secsPerFaceOffRound +
 		" seconds. Submit votes by typing: " + self._opts.inputPrefix +
 		"NUMBER");
@@ -191,15 +279,43 @@ FaceOffRound.prototype._runVote = function(cb) {
 			cb(null, results.acroVotes, results.fastest);
 		});
 	});
-	this._round.on('voteAccepted', function(userId, first) {
+	this._round.on('voteAccepted', function(userId, first, cloneId, ballot) {
+		self.emit('vote', userId, ballot, first);
 		pub(self._opts.userNames[userId] + ' ' +
 			(first ? '' : "re-") + "voted.");
-		priv(userId, "Vote accepted!");
+		if (cloneId === null)
+			priv(userId, "Vote accepted!");
+		else {
+			priv(userId, "Vote accepted! It replaces any vote from " +
+				self._opts.userNames[cloneId] + ", who shares your host.");
+		}
+	});
+	this._round.on('voteRejected', function(userId, reason) {
+		switch(reason) {
+			case 'self':
+				priv(userId, "You can't vote for yourself. That's lame.");
+				break;
+			case 'teammate':
+				priv(userId, "You can't vote for your own teammate!");
+				break;
+			case 'clone':
+				priv(userId, "Someone sharing your host has already voted \
+this round.");
+				break;
+			case 'absent':
+				priv(userId, "Only players who were in the channel when \
+the face-off started can vote.");
+				break;
+			default:
+				priv(userId, "That's an invalid vote! Vote using the format: "
+					+ self._opts.inputPrefix + "NUMBER (where NUMBER is the " +
+					"number of the phrase you're voting for).");
+				break;
+		}
 	});
-	this._round.on('voteRejected', function(userId) {
-		priv(userId, "That's an invalid vote! Vote using the format: "
-			+ self._opts.inputPrefix + "NUMBER (where NUMBER is the " +
-			"number of the phrase you're voting for).");
+	this._round.on('voteEarlyClose', function(secs) {
+		pub("Everyone has voted! Voting closes in " + secs +
+			(secs == 1 ? " second." : " seconds."));
 	});
 	this._round.on('voteCountdown', this._announceMilestone.bind(this, true));
 	this._round.startVote(self._opts.secsPerFaceOffRound);
@@ -237,18 +353,19 @@ FaceOffRound.prototype._showResults = function(res, cb) {
 		.seq(function preVoteResults() {
 			pub("Here's who submitted the answers, and how many votes they \
 got!");
-			setTimeout(this, self._opts.secsBetweenMessages * 1000);
+			self._timers.setTimeout(this,
+				self._opts.secsBetweenMessages * 1000);
 		})
 		.set(phraseOrder)
 		.seqEach(function voteResults(id) {
 			var votes = res.acroVotes[id] || 0,
-				voteStr = votes + ' ' + plural(votes, 'vote');
+				voteStr = votes + ' ' + sUtil.plural(votes, 'vote');
 			pub('[' + self._opts.userNames[id] + ' | ' + voteStr + '] ' +
 				self._phrases[id]);
 			this();
 		})
 		.seq(function resultPause() {
-			setTimeout(cb, self._opts.secsAfterResults * 1000);
+			self._timers.setTimeout(cb, self._opts.secsAfterResults * 1000);
 		});
 };
 
@@ -268,8 +385,9 @@ FaceOffRound.prototype._showSingleResult = function(userId, cb) {
 		pub = this._opts.sayPublic,
 		name = this._opts.userNames[this._userOrder[0]];
 	pub("For the acro [ " + this._acro + " ], " + name + " answered: \"" +
-		this._phrases[this._userOrder[0]] + "\".");
-	setTimeout(function() {
+		this._phrases[this._userOrder[0]] + "\"" +
+		(this._round.isFlagged(this._userOrder[0]) ? " [flagged]." : "."));
+	this._timers.setTimeout(function() {
 		pub("Since " + name + " was the only player to answer, " +
 			self._opts.numLetters + " points will be awarded automatically.");
 		var scores = {};
@@ -278,15 +396,4 @@ FaceOffRound.prototype._showSingleResult = function(userId, cb) {
 	}, this._opts.secsBetweenMessages);
 };
 
-/**
- * Adds an 's' to a given word if the provided num is not 1.
- *
- * @param {Number} num A number to decide if the word should be plural
- * @param {String} word A word that can be pluralized by adding 's'
- * @returns {String} The word, with the 's' appended if appropriate
- */
-function plural(num, word) {
-	return word + (num != 1 ? 's' : '');
-}
-
 module.exports = FaceOffRound;
@@ -0,0 +1,168 @@
+/*
+ * Acrophobia
+ * Toady Module
+ * Copyright 2013 Tom Frost
+ */
+
+// Dependencies
+var JsonStore = require('./util/JsonStore'),
+	util = require('util');
+
+/**
+ * The HallOfFame keeps every round-winning phrase from every Acrophobia
+ * game, recorded as each round ends, so the best ones can be brought back up
+ * long after the game is over.  Each entry is in the following format:
+ *
+ *      {
+ *          id: {Number} A number identifying the entry, unique across all
+ *              channels
+ *          channel: {String} The channel in which the phrase won
+ *          date: {String} When the round ended, as an ISO 8601 string
+ *          acro: {String} The round's acronym
+ *          phrase: {String} The winning phrase
+ *          nick: {String} The nick of the phrase's author
+ *          votes: {Number} The votes the phrase received
+ *          faceOff: {boolean} true if the phrase won a face-off round
+ *      }
+ *
+ * @param {String} file The path to the JSON file in which entries are stored
+ * @constructor
+ */
+var HallOfFame = function(file) {
+	JsonStore.call(this, file, {
+		entries: [],
+		nextId: 1
+	});
+};
+util.inherits(HallOfFame, JsonStore);
+
+/**
+ * Gets a player's best phrases, ranked by votes.
+ *
+ * @param {String} nick The nick of the player
+ * @param {String|null} channel The channel whose entries should be searched,
+ *      or null to search every channel
+ * @param {Number} limit The maximum number of entries to return
+ * @returns {Array} An array of entries, from the most votes to the fewest
+ */
+HallOfFame.prototype.getBest = function(nick, channel, limit) {
+	nick = nick.toLowerCase();
+	return rank(this._getEntries(channel).filter(function(entry) {
+		return entry.nick.toLowerCase() == nick;
+	})).slice(0, limit);
+};
+
+/**
+ * Gets a random entry.
+ *
+ * @param {String|null} channel The channel from which to pick an entry, or
+ *      null to pick from every channel
+ * @returns {Object|null} The entry, or null if there are none
+ */
+HallOfFame.prototype.getRandom = function(channel) {
+	var entries = this._getEntries(channel);
+	if (!entries.length)
+		return null;
+	return entries[Math.floor(Math.random() * entries.length)];
+};
+
+/**
+ * Gets the phrases with the most votes.  Ties go to the oldest phrase.
+ *
+ * @param {String|null} channel The channel whose entries should be ranked,
+ *      or null to rank the entries of every channel
+ * @param {Number} limit The maximum number of entries to return
+ * @returns {Array} An array of entries, from the most votes to the fewest
+ */
+HallOfFame.prototype.getTop = function(channel, limit) {
+	return rank(this._getEntries(channel)).slice(0, limit);
+};
+
+/**
+ * Adds the winning phrase of a round that just ended, and saves the hall of
+ * fame to disk.  Nothing is added for a face-off round that ended in a tie.
+ *
+ * @param {String} channel The channel in which the round was played
+ * @param {Object} round The round, as listed in the 'rounds' array of
+ *      AcroGame::getTranscript
+ * @param {Function} [cb] A callback function to be executed when the hall of
+ *      fame has been saved.  Arguments provided are:
+ *          - {Error} If an error occurred
+ */
+HallOfFame.prototype.recordRound = function(channel, round, cb) {
+	var winner = round.phrases.filter(function(phrase) {
+		return round.winner && phrase.userId == round.winner.userId;
+	})[0];
+	if (!winner) {
+		if (cb)
+			process.nextTick(cb);
+		return;
+	}
+	this.data.entries.push({
+		id: this.data.nextId++,
+		channel: channel,
+		date: new Date().toISOString(),
+		acro: round.acro,
+		phrase: winner.phrase,
+		nick: winner.name,
+		votes: winner.votes,
+		faceOff: round.faceOff
+	});
+	this.save(cb);
+};
+
+/**
+ * Removes an entry, and saves the hall of fame to disk.
+ *
+ * @param {Number} id The ID of the entry to be removed
+ * @param {String|null} channel The channel to which the entry must belong,
+ *      or null to remove it from any channel
+ * @param {Function} [cb] A callback function to be executed when the hall of
+ *      fame has been saved.  Arguments provided are:
+ *          - {Error} If an error occurred
+ * @returns {Object|null} The removed entry, or null if no entry matched
+ */
+HallOfFame.prototype.remove = function(id, channel, cb) {
+	var entries = this.data.entries;
+	for (var i = 0; i < entries.length; i++) {
+		if (entries[i].id == id && (!channel ||
+				entries[i].channel.toLowerCase() == channel.toLowerCase())) {
+			var removed = entries.splice(i, 1)[0];
+			this.save(cb);
+			return removed;
+		}
+	}
+	if (cb)
+		process.nextTick(cb);
+	return null;
+};
+
+/**
+ * Gets the entries for the given channel, or for every channel.
+ *
+ * @param {String|null} channel The channel whose entries should be returned
+ * @returns {Array} The matching entries, oldest first
+ * @private
+ */
+HallOfFame.prototype._getEntries = function(channel) {
+	if (!channel)
+		return this.data.entries;
+	channel = channel.toLowerCase();
+	return this.data.entries.filter(function(entry) {
+		return entry.channel.toLowerCase() == channel;
+	});
+};
+
+/**
+ * Sorts entries by votes, keeping the oldest first among ties.
+ *
+ * @param {Array} entries The entries to be sorted, oldest first
+ * @returns {Array} A sorted copy of the entries
+ */
+function rank(entries) {
+	return entries.slice().sort(function(a, b) {
+		return (b.votes - a.votes) || (a.id - b.id);
+	});
+}
+
+module.exports = HallOfFame;
@@ -5,9 +5,15 @@
  */
 
 // Dependencies
-var Seq = require('seq'),
+var ContentFilter = require('./ContentFilter'),
+	Seq = require('seq'),
+	events = require('events'),
+	util = require('util'),
 	oUtil = require('./util/Object'),
-	Round = require('./Round');
+	sUtil = require('./util/String'),
+	PhraseMatcher = require('./PhraseMatcher'),
+	Round = require('./Round'),
+	Scoring = require('./Scoring');
 
 /**
  * Indicates that the round is not currently accepting or reacting to user
@@ -28,10 +34,20 @@ const INPUTMODE_ACRO = 1;
  */
 const INPUTMODE_VOTE = 2;
 
+/**
+ * The fewest seconds a phase restored from a snapshot will be left open, so
+ * that players have a chance to notice the game has resumed.
+ * @type {number}
+ */
+const MIN_RESUME_SECS = 10;
+
 /**
  * The NormalRound object is responsible for playing through a single round
  * of Acrophobia during the standard phase as players work up to the point cap.
  *
+ * If a 'state' option is provided, as returned by {@link #getState}, the round
+ * will pick up from the stage at which that snapshot was taken.
+ *
  * @param {Object} opts An object mapping options keys to values for
  *      NormalRound.  For a listing of these options and their defaults, see
  *      AcroGame::DEFAULT_OPTS.
@@ -39,11 +55,17 @@ const INPUTMODE_VOTE = 2;
  */
 var NormalRound = function(opts) {
 	this._opts = opts;
+	this._timers = opts.timers;
 	this._inputMode = INPUTMODE_OFF;
-	this._round = new Round(opts);
+	this._round = new Round(oUtil.merge(opts, {
+		expectedPhrases: this._getExpected.bind(this, 'phrase'),
+		expectedVotes: this._getExpected.bind(this, 'vote')
+	}));
 	this._acro = '';
 	this._phrases = {};
+	this._stage = null;
 };
+util.inherits(NormalRound, events.EventEmitter);
 
 /**
  * An error code indicating that there were not enough phrase submissions to
@@ -60,7 +82,44 @@ NormalRound.prototype.ERR_NUM_SUBMISSIONS = 1;
 NormalRound.prototype.ERR_NO_VOTES = 2;
 
 /**
- * Starts the round.
+ * Gets a serializable snapshot of this round, as returned by
+ * Round::getState, with one additional property:
+ *
+ *      {
+ *          stage: {String|null} One of 'acro', 'vote', or 'results',
+ *              denoting which part of the round was running, or null if
+ *              the round hasn't started
+ *          category: {String|null} The round's category, or null if the
+ *              round is not themed
+ *      }
+ *
+ * @returns {Object} The round's state
+ */
+NormalRound.prototype.getState = function() {
+	var state = this._round.getState();
+	state.stage = this._stage;
+	state.category = this._opts.category || null;
+	return state;
+};
+
+/**
+ * Starts the round.  This function emits the following events on the
+ * NormalRound:
+ *      - 'stage' Each time the round moves to a new stage and should be
+ *        saved.  Arguments are:
+ *          - {String} The new stage: 'acro', 'vote', or 'results'
+ *      - 'acro' When the acro is revealed and submissions open.  Arguments
+ *        are:
+ *          - {String} The acronym, in all caps
+ *          - {Number} The number of seconds for which submissions are open
+ *      - 'phrase' When a player's phrase is accepted.  Arguments are:
+ *          - {Number} The user ID of the player
+ *          - {String} The phrase as it was accepted
+ *          - {boolean} true if this is the player's first phrase this round
+ *      - 'vote' When a player's vote is accepted.  Arguments are:
+ *          - {Number} The user ID of the player
+ *          - {Array} The user IDs whose phrases were voted for
+ *          - {boolean} true if this is the player's first vote this round
  *
  * @param {Function} cb A callback function to be executed when the round
  *      completes.  Arguments provided are:
@@ -74,35 +133,32 @@ NormalRound.prototype.ERR_NO_VOTES = 2;
  *                no one voted for an answer
  *          - {Object} A mapping of user IDs to the number of points they
  *            earned during this round
+ *          - {Object} The voting results for this round, as returned by
+ *            Round::_getResults
  */
 NormalRound.prototype.start = function(cb) {
 	var self = this,
 		pub = this._opts.sayPublic,
-		priv = this._opts.sayPrivate;
-	this._round.on('acroStart', function(acro) {
+		priv = this._opts.sayPrivate,
+		state = this._opts.state;
+	this._round.on('acroStart', function(acro, secs) {
 		self._acro = acro;
-		pub("This round's acro is [ " + acro + " ]. Submissions are open for "
-			+ self._opts.secsPerAcroRound + " seconds!");
+		self.emit('acro', acro, secs);
+		pub("This round's acro is " +
+			sUtil.formatAcro(acro, self._opts.category) +
+			". Submissions are open for " + secs + " seconds!");
 		pub("Submit with: " + self._opts.inputPrefix + 'YOUR PHRASE HERE');
 		self._inputMode = INPUTMODE_ACRO;
+		self._setStage('acro');
 	});
 	this._round.on('acroEnd', function(userOrder, userPhrases) {
 		pub("Submissions are now closed!");
 		self._phrases = userPhrases;
 		self._inputMode = INPUTMODE_OFF;
 		if (userOrder.length > 1) {
-			setTimeout(function() {
-				pub("Here are this round's submissions:");
-				userOrder.forEach(function(user, idx) {
-					pub((idx + 1) + (idx < 10 ? ' ' : '') + ' | ' +
-						userPhrases[user]);
-				});
-				pub("Voting is open for " + self._opts.secsPerVoteRound +
-					" seconds. YOU MUST VOTE TO RECEIVE POINTS! " +
-					"Submit votes by typing: " + self._opts.inputPrefix +
-					"NUMBER");
-				self._inputMode = INPUTMODE_VOTE;
-				self._round.startVote(self._opts.secsPerVoteRound);
+			self._timers.setTimeout(function() {
+				self._openVoting(userOrder,
+					self._getVoteSecs(userOrder.length));
 			}, self._opts.secsBetweenMessages * 1000);
 		}
 		else {
@@ -113,46 +169,106 @@ NormalRound.prototype.start = function(cb) {
 	});
 	this._round.on('voteEnd', function(results) {
 		self._inputMode = INPUTMODE_OFF;
-		if (results.winner) {
-			self._showResults(results, function() {
-				cb(null, self._getPoints(results));
-			});
+		self._endVoting(results, cb);
+	});
+	this._round.on('phraseAccepted', function(userId, first, found, phrase) {
+		self.emit('phrase', userId, phrase, first);
+		pub(self._opts.userNames[userId] + ' ' +
+			(first ? '' : "re-") + "submitted.");
+		priv(userId, found.length ?
+			ContentFilter.describe(self._opts.filterAction, found) :
+			"Phrase accepted!");
+	});
+	this._round.on('phraseBlocked', function(userId, found) {
+		priv(userId, ContentFilter.describe('reject', found));
+	});
+	this._round.on('phraseDuplicate', function(userId, firstId, merged) {
+		if (merged) {
+			priv(userId, "That phrase was already submitted by another \
+player, so yours has been merged with theirs. They keep the credit for it.");
 		}
 		else {
-			var err = new Error('No one voted!');
-			err.code = self.ERR_NO_VOTES;
-			cb(err);
+			priv(userId, "That phrase was already submitted by another \
+player. Please submit a different one!");
 		}
 	});
-	this._round.on('phraseAccepted', function(userId, first) {
-		pub(self._opts.userNames[userId] + ' ' +
-			(first ? '' : "re-") + "submitted.");
-		priv(userId, "Phrase accepted!");
+	this._round.on('phraseUnmerged', function(userId) {
+		priv(userId, "The phrase yours was merged with has been changed, so \
+you no longer have a phrase this round. Please submit a new one!");
 	});
-	this._round.on('phraseRejected', function(userId, acro) {
-		priv(userId, "Your phrase has the acronym [" + acro +
-			"] which does not match this round's acro: [" + self._acro + "].");
+	this._round.on('phraseRejected', function(userId, res) {
+		priv(userId, PhraseMatcher.describe(res, self._acro, self._opts));
 	});
-	this._round.on('voteAccepted', function(userId, first) {
+	this._round.on('voteAccepted', function(userId, first, cloneId, ballot) {
+		self.emit('vote', userId, ballot, first);
 		pub(self._opts.userNames[userId] + ' ' +
 			(first ? '' : "re-") + "voted.");
-		priv(userId, "Vote accepted!");
+		if (cloneId === null)
+			priv(userId, "Vote accepted!");
+		else {
+			priv(userId, "Vote accepted! It replaces any vote from " +
+				self._opts.userNames[cloneId] + ", who shares your host.");
+		}
 	});
 	this._round.on('voteRejected', function(userId, reason) {
 		switch(reason) {
 			case 'self':
 				priv(userId, "You can't vote for yourself. That's lame.");
 				break;
+			case 'teammate':
+				priv(userId, "You can't vote for your own teammate!");
+				break;
+			case 'clone':
+				priv(userId, "Someone sharing your host has already voted \
+this round.");
+				break;
+			case 'absent':
+				priv(userId, "Only players who were in the channel when \
+this round started can vote.");
+				break;
+			case 'tooMany':
+				priv(userId, "You can only vote for up to " +
+					self._opts.maxVotes + " phrases!");
+				break;
 			default:
-				priv(userId, "That's an invalid vote! Vote using the format: "
-					+ self._opts.inputPrefix + "NUMBER (where NUMBER is the " +
-					"number of the phrase you're voting for).");
+				if (self._opts.voteMode == 'single') {
+					priv(userId, "That's an invalid vote! Vote using the \
+format: " + self._opts.inputPrefix + "NUMBER (where NUMBER is the number of \
+the phrase you're voting for).");
+				}
+				else {
+					priv(userId, "That's an invalid vote! Vote using the \
+format: " + self._opts.inputPrefix + "NUMBER NUMBER ... (where each NUMBER is \
+the number of a phrase you're voting for).");
+				}
 				break;
 		}
 	});
+	this._round.on('acroEarlyClose', function(secs) {
+		pub("Everyone's in! Submissions close in " + secs + " " +
+			sUtil.plural(secs, "second") + ".");
+	});
+	this._round.on('voteEarlyClose', function(secs) {
+		pub("Everyone has voted! Voting closes in " + secs + " " +
+			sUtil.plural(secs, "second") + ".");
+	});
 	this._round.on('acroCountdown', this._announceMilestone.bind(this));
 	this._round.on('voteCountdown', this._announceMilestone.bind(this));
-	this._round.startAcro(self._opts.secsPerAcroRound);
+	if (state && state.stage)
+		this._resume(state, cb);
+	else
+		this._round.startAcro(this._getAcroSecs());
+};
+
+/**
+ * Stops the round immediately.  Its countdown is canceled, all listeners are
+ * removed, and no further input will be accepted.  The callback passed to
+ * {@link #start} will not be called.
+ */
+NormalRound.prototype.stop = function() {
+	this._inputMode = INPUTMODE_OFF;
+	this._round.stop();
+	this.removeAllListeners();
 };
 
 /**
@@ -184,90 +300,219 @@ NormalRound.prototype._announceMilestone = function(secs) {
 };
 
 /**
- * Calculates the final points for this round, given the voting results.
+ * Explains how to vote in this round, according to the 'voteMode' option.
+ *
+ * @returns {String} A sentence telling players how to submit their votes
+ * @private
+ */
+NormalRound.prototype._describeVoting = function() {
+	var format = this._opts.inputPrefix + "NUMBER",
+		upTo = this._opts.maxVotes ? " (up to " + this._opts.maxVotes + ")" :
+			'';
+	switch (this._opts.voteMode) {
+		case 'approval':
+			return "Vote for every phrase you like" + upTo + " by typing: " +
+				format + " NUMBER ...";
+		case 'ranked':
+			return "Rank your favorites" + upTo + ", best first, by typing: " +
+				format + " NUMBER ...";
+		default:
+			return "Submit votes by typing: " + format;
+	}
+};
+
+/**
+ * Completes the round once voting has closed, showing the results and
+ * calculating the points earned.
+ *
+ * @param {Object} results The voting results for this round, as returned by
+ *      Round::_getResults
+ * @param {Function} cb The callback function passed to {@link #start}
+ * @private
+ */
+NormalRound.prototype._endVoting = function(results, cb) {
+	var self = this;
+	this._setStage('results');
+	if (results.winner) {
+		var score = this._getScore(results);
+		this._showResults(results, score.lines, function() {
+			cb(null, score.points, results);
+		});
+	}
+	else {
+		var err = new Error('No one voted!');
+		err.code = this.ERR_NO_VOTES;
+		cb(err);
+	}
+};
+
+/**
+ * Gets the number of seconds for which phrase submissions should be open.  If
+ * the 'timerMode' option is 'adaptive', this is 'secsPerLetter' for each
+ * letter of the acro, kept between 'minSecsPerAcroRound' and
+ * 'maxSecsPerAcroRound'.  Otherwise, it's simply 'secsPerAcroRound'.
+ *
+ * @returns {Number} The number of seconds
+ * @private
+ */
+NormalRound.prototype._getAcroSecs = function() {
+	var opts = this._opts;
+	if (opts.timerMode != 'adaptive')
+		return opts.secsPerAcroRound;
+	return scale(opts.numLetters, opts.secsPerLetter, opts.minSecsPerAcroRound,
+		opts.maxSecsPerAcroRound);
+};
+
+/**
+ * Gets the number of seconds for which voting should be open.  If the
+ * 'timerMode' option is 'adaptive', this is 'secsPerEntry' for each listed
+ * phrase, kept between 'minSecsPerVoteRound' and 'maxSecsPerVoteRound'.
+ * Otherwise, it's simply 'secsPerVoteRound'.
+ *
+ * @param {Number} numEntries The number of phrases listed for voting
+ * @returns {Number} The number of seconds
+ * @private
+ */
+NormalRound.prototype._getVoteSecs = function(numEntries) {
+	var opts = this._opts;
+	if (opts.timerMode != 'adaptive')
+		return opts.secsPerVoteRound;
+	return scale(numEntries, opts.secsPerEntry, opts.minSecsPerVoteRound,
+		opts.maxSecsPerVoteRound);
+};
+
+/**
+ * Gets the players this round expects to hear from before a phase can close
+ * early, as described in Round::_checkEarlyClose.  Submissions wait on the
+ * players who have recently submitted phrases, and voting waits on the
+ * players who have recently voted, along with everyone who submitted a
+ * phrase this round.
+ *
+ * @param {String} type 'phrase' for the submission phase, or 'vote' for the
+ *      voting phase
+ * @returns {Array} The user IDs of the expected players
+ * @private
+ */
+NormalRound.prototype._getExpected = function(type) {
+	var users = this._opts.activePlayers ? this._opts.activePlayers(type) : [];
+	if (type == 'vote') {
+		Object.keys(this._phrases).forEach(function(userId) {
+			if (users.indexOf(userId) == -1)
+				users.push(userId);
+		});
+	}
+	return users;
+};
+
+/**
+ * Calculates the final points for this round, given the voting results,
+ * using the scoring strategy named in the 'scoring' option.  Any tie or
+ * instant runoff is explained ahead of the strategy's own lines.
  *
  * @param {Object} res The voting results for this round, as returned by
  *      Round::_getResults (provided in the voteEnd event).
- * @returns {Object} A hash of user IDs to the number of points they earned by
- *      the end of this round
+ * @returns {{points: Object, lines: Array}} A hash of user IDs to the number
+ *      of points they earned by the end of this round, and the lines
+ *      explaining those points to the channel
  * @private
  */
-NormalRound.prototype._getPoints = function(res) {
+NormalRound.prototype._getScore = function(res) {
 	var self = this,
-		points = {};
-	oUtil.forEach(res.acroVotes, function(userId, votes) {
-		points[userId] = votes;
-	});
-	points[res.fastestWithVote] += this._opts.pointsFastestWithVote;
-	points[res.winner] += this._opts.numLetters;
-	res.topVoters.forEach(function(voter) {
-		points[voter] = (points[voter] || 0) + self._opts.pointsVoteForWinner;
-	});
-	res.nonVoters.forEach(function(nonVoter) {
-		if (points[nonVoter])
-			points[nonVoter] = 0;
-	});
-	return points;
+		score = Scoring.get(this._opts.scoring)(res, this._opts),
+		lines = score.lines || [];
+	if (res.tie) {
+		lines = ["We have a tie! The winner will be chosen by which of these \
+players answered the fastest: " + res.tie.map(function(uid) {
+			return self._opts.userNames[uid];
+		}).join(', ')].concat(lines);
+	}
+	if (res.runoff && res.runoff.length) {
+		lines = ["No answer had a majority of first choices, so the runoff \
+knocked out: " + res.runoff.map(function(uid) {
+			return self._opts.userNames[uid];
+		}).join(', ')].concat(lines);
+	}
+	return {points: score.points, lines: lines};
 };
 
 /**
- * Shows the points that have been awarded to players during this round,
- * configurable to only show certain types of point bonuses.  Messages will be
- * paced according to the wait times specified in this round's options.
+ * Lists the submitted phrases and opens the voting phase.
  *
- * @param {Array} types An array of strings, defining which bonus types to
- *      show and in which order they should be shown.  Available values are:
- *      ['tie', 'winner', 'fastest', 'topVoters', 'nonVoters']
- * @param {Object} res A result set, as returned by {@link #_getResults}
- * @param {Function} cb A callback function to be executed after all point
- *      bonuses have been shown.  No arguments will be passed to this function.
+ * @param {Array} userOrder The randomized order of the phrases, as provided
+ *      by the Round's acroEnd event
+ * @param {Number} secs The number of seconds for which voting should be open
  * @private
  */
-NormalRound.prototype._showPoints = function(types, res, cb) {
+NormalRound.prototype._openVoting = function(userOrder, secs) {
 	var self = this,
-		names = [];
-	if (!types.length)
+		pub = this._opts.sayPublic;
+	pub("Here are this round's submissions:");
+	userOrder.forEach(function(user, idx) {
+		pub((idx + 1) + (idx < 10 ? ' ' : '') + ' | ' + self._phrases[user] +
+			(self._round.isFlagged(user) ? ' [flagged]' : ''));
+	});
+	pub("Voting is open for " + secs + " seconds. YOU MUST VOTE TO RECEIVE " +
+		"POINTS! " + this._describeVoting());
+	this._inputMode = INPUTMODE_VOTE;
+	this._round.startVote(secs);
+	this._setStage('vote');
+};
+
+/**
+ * Picks the round back up from a saved snapshot, restarting the stage that
+ * was running when the snapshot was taken with the time it had left.
+ *
+ * @param {Object} state A snapshot, as returned by {@link #getState}
+ * @param {Function} cb The callback function passed to {@link #start}
+ * @private
+ */
+NormalRound.prototype._resume = function(state, cb) {
+	var secs = Math.max(state.remaining, MIN_RESUME_SECS);
+	this._acro = state.acro;
+	this._phrases = oUtil.merge(state.phrases);
+	switch (state.stage) {
+		case 'acro':
+			this._round.startAcro(secs);
+			break;
+		case 'vote':
+			this._opts.sayPublic("Voting on the acro " +
+				sUtil.formatAcro(this._acro, this._opts.category) +
+				" picks up where it left off.");
+			this._openVoting(state.userOrder, secs);
+			break;
+		default:
+			this._endVoting(this._round._getResults(), cb);
+	}
+};
+
+/**
+ * Moves the round to a new stage, notifying any listeners.
+ *
+ * @param {String} stage The new stage: 'acro', 'vote', or 'results'
+ * @private
+ */
+NormalRound.prototype._setStage = function(stage) {
+	this._stage = stage;
+	this.emit('stage', stage);
+};
+
+/**
+ * Shows the lines explaining the points that have been awarded to players
+ * during this round.  Messages will be paced according to the wait times
+ * specified in this round's options.
+ *
+ * @param {Array} lines The lines to be shown, in order, as returned by
+ *      {@link #_getScore}
+ * @param {Function} cb A callback function to be executed after all lines
+ *      have been shown.  No arguments will be passed to this function.
+ * @private
+ */
+NormalRound.prototype._showPoints = function(lines, cb) {
+	if (!lines.length)
 		cb();
 	else {
-		var type = types.pop(),
-			pub = this._opts.sayPublic;
-		switch (type) {
-			case 'tie':
-				res.tie.forEach(function(uid) {
-					names.push(self._opts.userNames[uid]);
-				});
-				pub("We have a tie! The winner will be chosen by which of \
-these players answered the fastest: " + names.join(', '));
-				break;
-			case 'winner':
-				pub(this._opts.userNames[res.winner] + " wins the round! A " +
-					this._opts.numLetters +
-					" point bonus will be awarded to this player.");
-				break;
-			case 'fastest':
-				pub(this._opts.userNames[res.fastestWithVote] +
-					" submitted the fastest answer to receive a vote, and \
-earns " + this._opts.pointsFastestWithVote + " " +
-					plural(this._opts.pointsFastestWithVote, "point") + ".");
-				break;
-			case 'topVoters':
-				res.topVoters.forEach(function(uid) {
-					names.push(self._opts.userNames[uid]);
-				});
-				pub("The following users voted for the winning answer, and \
-will each receive " + this._opts.pointsVoteForWinner + ' ' +
-					plural(this._opts.pointsVoteForWinner, "point") + ': ' +
-					names.join(', '));
-				break;
-			case 'nonVoters':
-				res.nonVoters.forEach(function(uid) {
-					names.push(self._opts.userNames[uid]);
-				});
-				pub("The following users did not vote, and forfeit their \
-points for this round: " + names.join(', '));
-				break;
-		}
-		setTimeout(this._showPoints.bind(this, types, res, cb),
+		this._opts.sayPublic(lines[0]);
+		this._timers.setTimeout(this._showPoints.bind(this, lines.slice(1), cb),
 			this._opts.secsBetweenMessages * 1000);
 	}
 };
@@ -277,58 +522,61 @@ points for this round: " + names.join(', '));
  * times specified in this round's options.
  *
  * @param {Object} res A result set, as returned by {@link #_getResults}
+ * @param {Array} lines The lines explaining the points awarded, as returned
+ *      by {@link #_getScore}
  * @param {Function} cb A callback function to be executed when all results
  *      have been shown.  No arguments will be passed to this function.
  * @private
  */
-NormalRound.prototype._showResults = function(res, cb) {
+NormalRound.prototype._showResults = function(res, lines, cb) {
 	var self = this,
 		pub = self._opts.sayPublic,
-		resTypes = [];
-	if (res.tie)
-		resTypes.push('tie');
-	resTypes.push('winner');
-	if (self._opts.pointsFastestWithVote)
-		resTypes.push('fastest');
-	if (self._opts.pointsVoteForWinner)
-		resTypes.push('topVoters');
-	if (res.nonVoters.length)
-		resTypes.push('nonVoters');
-	resTypes.reverse();
+		header = "Here's who submitted the answers, and how many votes they \
+got!";
+	if (res.runoff) {
+		header = "Here's who submitted the answers, and how many first-choice \
+votes they got!";
+	}
+	else if (this._opts.voteMode == 'ranked') {
+		header += " A first choice counts as " + (this._opts.maxVotes ||
+			Object.keys(this._phrases).length) + " votes, and each \
+choice after that one fewer.";
+	}
 	var phraseOrder = Object.keys(this._phrases).sort(function(a, b) {
 		return (res.acroVotes[b] || 0) - (res.acroVotes[a] || 0);
 	});
 	Seq()
 		.seq(function preVoteResults() {
-			pub("Here's who submitted the answers, and how many votes they \
-got!");
+			pub(header);
 			this();
 		})
 		.set(phraseOrder)
 		.seqEach(function voteResults(id) {
 			var votes = res.acroVotes[id] || 0,
-				voteStr = votes + ' ' + plural(votes, 'vote');
+				voteStr = votes + ' ' + sUtil.plural(votes, 'vote');
 			pub('[' + self._opts.userNames[id] + ' | ' + voteStr + '] ' +
 				self._phrases[id]);
 			this();
 		})
 		.seq(function resultPause() {
-			setTimeout(this, self._opts.secsAfterResults * 1000);
+			self._timers.setTimeout(this, self._opts.secsAfterResults * 1000);
 		})
 		.seq(function pointResults() {
-			self._showPoints(resTypes, res, cb);
+			self._showPoints(lines, cb);
 		});
 };
 
 /**
- * Adds an 's' to a given word if the provided num is not 1.
+ * Scales a duration by a number of items, keeping it within the given bounds.
  *
- * @param {Number} num A number to decide if the word should be plural
- * @param {String} word A word that can be pluralized by adding 's'
- * @returns {String} The word, with the 's' appended if appropriate
+ * @param {Number} count The number of items
+ * @param {Number} secsEach The number of seconds to allow for each item
+ * @param {Number} min The fewest seconds allowed
+ * @param {Number} max The most seconds allowed
+ * @returns {Number} The scaled duration, in whole seconds
  */
-function plural(num, word) {
-	return word + (num != 1 ? 's' : '');
+function scale(count, secsEach, min, max) {
+	return Math.min(Math.max(Math.round(count * secsEach), min), max);
 }
 
 module.exports = NormalRound;
@@ -0,0 +1,564 @@
+/*
+ * Acrophobia
+ * Toady Module
+ * Copyright 2013 Tom Frost
+ */
+
+// Dependencies
+var AcroGenerator = require('./AcroGenerator'),
+	ContentFilter = require('./ContentFilter'),
+	Scoring = require('./Scoring'),
+	oUtil = require('./util/Object');
+
+/**
+ * The most letters any acro may have, in a normal round or the face-off.
+ * @type {number}
+ */
+const MAX_LETTERS = 24;
+
+/**
+ * The rules for every game option.  Each rule is an object in the following
+ * format:
+ *
+ *      {
+ *          desc: {String} A short description of the option
+ *          type: {String} One of 'boolean', 'function', 'integer', 'list',
+ *              'number', 'object', or 'string'
+ *          min: {Number} For numbers, the lowest allowed value
+ *          max: {Number} For numbers, the highest allowed value
+ *          values: {Array} For strings, the only values allowed
+ *          pattern: {RegExp} For strings and the items of lists, a pattern
+ *              the value must match
+ *          patternError: {String} The error message for a value that doesn't
+ *              match the pattern
+ *          orFunction: {boolean} true if a function may be given in place of
+ *              the string
+ *          check: {Function} A check involving other options.  It's given
+ *              every option, with the new value in place, and the option's
+ *              key, and returns an error message or null.
+ *      }
+ *
+ * @type {Object}
+ */
+const SCHEMA = {
+	acroBigrams: {
+		desc: "Whether each letter of an acro is weighted by the one before it",
+		type: 'boolean'
+	},
+	acroGenerator: {
+		desc: "The function that creates acros",
+		type: 'function'
+	},
+	bannedAcros: {
+		desc: "Strings that may never appear in an acro",
+		type: 'list',
+		check: checkPool
+	},
+	categories: {
+		desc: "Categories for themed rounds",
+		type: 'list'
+	},
+	categoryChance: {
+		desc: "The percent chance that a round will be themed",
+		type: 'number',
+		min: 0,
+		max: 100
+	},
+	categoryRepeats: {
+		desc: "Whether a category may come up more than once in a game",
+		type: 'boolean'
+	},
+	channelUsers: {
+		desc: "The function that lists the users in the channel",
+		type: 'function'
+	},
+	charPool: {
+		desc: "The pool of letters from which acros are drawn",
+		type: 'string',
+		pattern: /^[A-Z]+$/,
+		patternError: "Value must be one or more uppercase letters from A " +
+			"to Z.",
+		check: checkPool
+	},
+	cloneVotes: {
+		desc: "What to do with votes from clones",
+		type: 'string',
+		values: ['allow', 'reject', 'merge']
+	},
+	duplicateAction: {
+		desc: "What to do with a phrase another player already submitted",
+		type: 'string',
+		values: ['allow', 'reject', 'merge']
+	},
+	duplicateFuzzy: {
+		desc: "Whether duplicates ignore case and punctuation",
+		type: 'boolean'
+	},
+	earlyClose: {
+		desc: "Whether rounds close early once every active player is in",
+		type: 'boolean'
+	},
+	faceOffFormat: {
+		desc: "How the face-off winner is decided",
+		type: 'string',
+		values: ['points', 'elimination']
+	},
+	faceOffMinLetters: {
+		desc: "The number of letters in the first face-off acro",
+		type: 'integer',
+		min: 2,
+		max: 12,
+		check: checkFaceOffLetters
+	},
+	faceOffPlayers: {
+		desc: "The number of top players who qualify for the face-off",
+		type: 'integer',
+		min: 2,
+		max: 10
+	},
+	faceOffRounds: {
+		desc: "The number of rounds in the face-off",
+		type: 'integer',
+		min: 1,
+		max: 20,
+		check: checkFaceOffLetters
+	},
+	faceOffTieBreaker: {
+		desc: "What to do when the face-off ends in a tie",
+		type: 'string',
+		values: ['suddenDeath', 'none']
+	},
+	filterAction: {
+		desc: "What to do with phrases containing filtered words",
+		type: 'string',
+		values: ContentFilter.ACTIONS
+	},
+	filterWords: {
+		desc: "The words caught by the content filter",
+		type: 'list'
+	},
+	gameMode: {
+		desc: "How the normal rounds end",
+		type: 'string',
+		values: ['points', 'limited']
+	},
+	inputPrefix: {
+		desc: "The text players type before their game input",
+		type: 'string'
+	},
+	maxLetters: {
+		desc: "The maximum number of letters per acro",
+		type: 'integer',
+		min: 4,
+		max: MAX_LETTERS,
+		check: notBelow('minLetters')
+	},
+	maxRareLetters: {
+		desc: "The most rare letters in a single acro",
+		type: 'integer',
+		min: 0,
+		max: MAX_LETTERS,
+		check: checkPool
+	},
+	maxSecsPerAcroRound: {
+		desc: "The most seconds to answer an acro, in adaptive mode",
+		type: 'number',
+		min: 1,
+		check: notBelow('minSecsPerAcroRound')
+	},
+	maxSecsPerVoteRound: {
+		desc: "The most seconds to vote, in adaptive mode",
+		type: 'number',
+		min: 1,
+		check: notBelow('minSecsPerVoteRound')
+	},
+	maxVotes: {
+		desc: "The most phrases a single vote may list, or 0 for no limit",
+		type: 'integer',
+		min: 0,
+		max: 100
+	},
+	matchApostrophes: {
+		desc: "How apostrophes count when matching a phrase to the acro",
+		type: 'string',
+		values: ['join', 'split']
+	},
+	matchHyphens: {
+		desc: "How hyphens count when matching a phrase to the acro",
+		type: 'string',
+		values: ['join', 'split']
+	},
+	matchMode: {
+		desc: "How strictly phrases must match the acro",
+		type: 'string',
+		values: ['strict', 'lenient']
+	},
+	matchNumbers: {
+		desc: "How numbers count when matching a phrase to the acro",
+		type: 'string',
+		values: ['literal', 'spell', 'skip']
+	},
+	matchStopwords: {
+		desc: "The filler words that may be skipped in lenient mode",
+		type: 'list'
+	},
+	minLetters: {
+		desc: "The minimum number of letters per acro",
+		type: 'integer',
+		min: 2,
+		max: 12,
+		check: notAbove('maxLetters')
+	},
+	minSecsPerAcroRound: {
+		desc: "The fewest seconds to answer an acro, in adaptive mode",
+		type: 'number',
+		min: 1,
+		check: notAbove('maxSecsPerAcroRound')
+	},
+	minSecsPerVoteRound: {
+		desc: "The fewest seconds to vote, in adaptive mode",
+		type: 'number',
+		min: 1,
+		check: notAbove('maxSecsPerVoteRound')
+	},
+	pointCap: {
+		desc: "Number of points to be reached before entering face-off",
+		type: 'integer',
+		min: 1,
+		max: 500
+	},
+	pointsFastestWithVote: {
+		desc: "The points for the fastest phrase to earn a vote",
+		type: 'integer',
+		min: 0,
+		max: 100
+	},
+	pointsVoteForWinner: {
+		desc: "The points for voting for the winning phrase",
+		type: 'integer',
+		min: 0,
+		max: 100
+	},
+	presentVotersOnly: {
+		desc: "Whether only nicks in the channel when a round starts may vote",
+		type: 'boolean'
+	},
+	rankedCount: {
+		desc: "How ranked votes are counted",
+		type: 'string',
+		values: ['borda', 'runoff']
+	},
+	rareLetters: {
+		desc: "The letters that are hard to build phrases around",
+		type: 'string',
+		pattern: /^[A-Z]*$/,
+		patternError: "Value may only contain uppercase letters from A to Z.",
+		check: checkPool
+	},
+	roundLimit: {
+		desc: "The most normal rounds to play in a limited game",
+		type: 'integer',
+		min: 1
+	},
+	sayPrivate: {
+		desc: "The function that sends a private message",
+		type: 'function'
+	},
+	sayPublic: {
+		desc: "The function that sends a message to the channel",
+		type: 'function'
+	},
+	scheduler: {
+		desc: "The object that schedules timeouts",
+		type: 'object'
+	},
+	scoring: {
+		desc: "How each round's points are handed out",
+		type: 'string',
+		values: Scoring.NAMES,
+		orFunction: true
+	},
+	secsAfterResults: {
+		desc: "The seconds to wait after voting results are shown",
+		type: 'number',
+		min: 0
+	},
+	secsBetweenFaceOffRounds: {
+		desc: "The seconds to wait between face-off rounds",
+		type: 'number',
+		min: 0
+	},
+	secsBetweenMessages: {
+		desc: "The seconds to wait between game messages",
+		type: 'number',
+		min: 0
+	},
+	secsBetweenRounds: {
+		desc: "The seconds to wait between normal rounds",
+		type: 'number',
+		min: 0
+	},
+	secsEarlyClose: {
+		desc: "The seconds a round stays open after everyone is in",
+		type: 'number',
+		min: 0
+	},
+	secsPerAcroRound: {
+		desc: "The seconds to answer an acro, in fixed mode",
+		type: 'number',
+		min: 1
+	},
+	secsPerEntry: {
+		desc: "The seconds to vote per phrase listed, in adaptive mode",
+		type: 'number',
+		min: 1
+	},
+	secsPerFaceOffRound: {
+		desc: "The seconds to answer and vote in a face-off round",
+		type: 'number',
+		min: 1
+	},
+	secsPerLetter: {
+		desc: "The seconds to answer per letter, in adaptive mode",
+		type: 'number',
+		min: 1
+	},
+	secsPerVoteRound: {
+		desc: "The seconds to vote, in fixed mode",
+		type: 'number',
+		min: 1
+	},
+	suddenDeathRounds: {
+		desc: "The most sudden-death rounds to play before calling a tie",
+		type: 'integer',
+		min: 1,
+		max: 10
+	},
+	teamFaceOff: {
+		desc: "Who plays in the face-off of a team game",
+		type: 'string',
+		values: ['teams', 'players']
+	},
+	teamMode: {
+		desc: "Whether every game is a team game",
+		type: 'boolean'
+	},
+	teamNames: {
+		desc: "The only team names players may join",
+		type: 'list',
+		pattern: /^[a-z0-9_\-]{1,16}$/i,
+		patternError: "Team names may only contain letters, numbers, - and _, \
+and can be at most 16 characters long."
+	},
+	teamVoting: {
+		desc: "Whether players may vote for their teammates",
+		type: 'string',
+		values: ['allow', 'forbid']
+	},
+	timeLimit: {
+		desc: "The most minutes of normal rounds to play in a limited game",
+		type: 'number',
+		min: 1
+	},
+	timerMode: {
+		desc: "How long normal rounds last",
+		type: 'string',
+		values: ['adaptive', 'fixed']
+	},
+	voteMode: {
+		desc: "How players vote in normal rounds",
+		type: 'string',
+		values: ['single', 'approval', 'ranked']
+	}
+};
+
+/**
+ * Checks a single option value against its rule in {@link SCHEMA}, including
+ * any checks against the other options.
+ *
+ * @param {String} key The option key
+ * @param {*} val The value to be checked
+ * @param {Object} [opts] The other options the value will be used with.  Any
+ *      that are missing are left out of the checks.
+ * @returns {boolean|Error} true if the value is acceptable, or an Error
+ *      explaining why it isn't
+ */
+function validate(key, val, opts) {
+	var rule = SCHEMA[key],
+		all = oUtil.merge(opts),
+		msg;
+	if (!rule)
+		return new Error("There's no option called " + key + ".");
+	all[key] = val;
+	if (!rule.orFunction || typeof val != 'function')
+		msg = checkValue(rule, val);
+	if (!msg && rule.check)
+		msg = rule.check(all, key);
+	return msg ? new Error(msg) : true;
+}
+
+/**
+ * Checks every option in {@link SCHEMA} that has been given a value.  Keys
+ * that aren't game options are ignored.
+ *
+ * @param {Object} opts A mapping of option keys to values
+ * @returns {boolean|Error} true if every value is acceptable, or an Error
+ *      naming the first option that isn't and explaining why
+ */
+function validateAll(opts) {
+	var keys = Object.keys(SCHEMA);
+	for (var i = 0; i < keys.length; i++) {
+		var val = opts[keys[i]],
+			res = val === undefined || val === null ? true :
+				validate(keys[i], val, opts);
+		if (res instanceof Error)
+			return new Error(keys[i] + ": " + res.message);
+	}
+	return true;
+}
+
+/**
+ * Makes sure the last face-off acro, which grows by one letter each round,
+ * isn't longer than {@link MAX_LETTERS}.
+ *
+ * @param {Object} opts Every option, with the value being checked in place
+ * @returns {String|null} An error message, or null if the length is fine
+ */
+function checkFaceOffLetters(opts) {
+	var longest = opts.faceOffMinLetters + opts.faceOffRounds - 1;
+	if (longest > MAX_LETTERS) {
+		return "The last face-off acro would have " + longest + " letters, \
+but acros can have at most " + MAX_LETTERS + ". Lower faceOffMinLetters or \
+faceOffRounds.";
+	}
+	return null;
+}
+
+/**
+ * Checks that a number is within the bounds of its rule.
+ *
+ * @param {Object} rule The option's rule, as described in {@link SCHEMA}
+ * @param {*} val The value to be checked
+ * @returns {String|null} An error message, or null if the number is fine
+ */
+function checkNumber(rule, val) {
+	if (typeof val != 'number' || !isFinite(val))
+		return "Value must be a number.";
+	if (rule.type == 'integer' && val % 1)
+		return "Value must be a whole number.";
+	if (rule.max === undefined && val < rule.min) {
+		return rule.min === 0 ? "Value cannot be negative." :
+			"Value must be at least " + rule.min + ".";
+	}
+	if (val < rule.min || val > rule.max)
+		return "Value must be between " + rule.min + " and " + rule.max + ".";
+	return null;
+}
+
+/**
+ * Makes sure acros can always be drawn from the pool: some letter must not be
+ * banned on its own, and unless an acro may be all rare letters, some letter
+ * must be neither banned nor rare.
+ *
+ * @param {Object} opts Every option, with the value being checked in place
+ * @returns {String|null} An error message, or null if the pool is fine
+ */
+function checkPool(opts) {
+	var rare = opts.rareLetters || '',
+		banned, usable, common;
+	if (typeof opts.charPool != 'string' || typeof rare != 'string' ||
+			!Array.isArray(opts.bannedAcros || []))
+		return null;
+	banned = AcroGenerator.bannedStrings(opts);
+	usable = opts.charPool.split('').filter(function(letter) {
+		return banned.indexOf(letter) == -1;
+	});
+	common = usable.filter(function(letter) {
+		return rare.indexOf(letter) == -1;
+	});
+	if (!usable.length)
+		return "bannedAcros bans every letter in charPool.";
+	if (!common.length && opts.maxRareLetters < MAX_LETTERS) {
+		return "Every letter in charPool is banned or in rareLetters, so \
+acros couldn't have more than maxRareLetters letters.";
+	}
+	return null;
+}
+
+/**
+ * Checks that a value is of the right type for its rule, and within the
+ * rule's bounds, values, or pattern.
+ *
+ * @param {Object} rule The option's rule, as described in {@link SCHEMA}
+ * @param {*} val The value to be checked
+ * @returns {String|null} An error message, or null if the value is fine
+ */
+function checkValue(rule, val) {
+	switch (rule.type) {
+		case 'boolean':
+			return typeof val == 'boolean' ? null :
+				"Value must be true or false.";
+		case 'function':
+			return typeof val == 'function' ? null :
+				"Value must be a function.";
+		case 'integer':
+		case 'number':
+			return checkNumber(rule, val);
+		case 'list':
+			if (!Array.isArray(val))
+				return "Value must be a list.";
+			for (var i = 0; i < val.length; i++) {
+				if (typeof val[i] != 'string' && typeof val[i] != 'number')
+					return "Every item in the list must be text.";
+				if (rule.pattern && !rule.pattern.test(val[i]))
+					return rule.patternError;
+			}
+			return null;
+		case 'object':
+			return val && typeof val == 'object' ? null :
+				"Value must be an object.";
+		default:
+			if (typeof val != 'string')
+				return "Value must be text.";
+			if (rule.values && rule.values.indexOf(val) == -1)
+				return "Value must be one of: " + rule.values.join(', ') + ".";
+			if (rule.pattern && !rule.pattern.test(val))
+				return rule.patternError;
+			return null;
+	}
+}
+
+/**
+ * Creates a check that an option is no greater than another.
+ *
+ * @param {String} other The key of the option that must not be exceeded
+ * @returns {Function} The check, as described in {@link SCHEMA}
+ */
+function notAbove(other) {
+	return function(opts, key) {
+		if (opts[key] > opts[other])
+			return "Value cannot be greater than " + other + ".";
+		return null;
+	};
+}
+
+/**
+ * Creates a check that an option is no less than another.
+ *
+ * @param {String} other The key of the option that must be reached
+ * @returns {Function} The check, as described in {@link SCHEMA}
+ */
+function notBelow(other) {
+	return function(opts, key) {
+		if (opts[key] < opts[other])
+			return "Value cannot be less than " + other + ".";
+		return null;
+	};
+}
+
+module.exports = {
+	MAX_LETTERS: MAX_LETTERS,
+	SCHEMA: SCHEMA,
+	validate: validate,
+	validateAll: validateAll
+};
@@ -0,0 +1,267 @@
+/*
+ * Acrophobia
+ * Toady Module
+ * Copyright 2013 Tom Frost
+ */
+
+/**
+ * The default filler words that may be skipped in lenient matching mode.
+ * @type {Array}
+ */
+const DEFAULT_STOPWORDS = ['A', 'AN', 'AND', 'AT', 'BY', 'FOR', 'IN', 'OF',
+	'ON', 'OR', 'THE', 'TO', 'WITH'];
+
+/**
+ * The English names of the numbers below twenty, used to find the letter a
+ * spelled-out number starts with.
+ * @type {Array}
+ */
+const ONES = ['ZERO', 'ONE', 'TWO', 'THREE', 'FOUR', 'FIVE', 'SIX', 'SEVEN',
+	'EIGHT', 'NINE', 'TEN', 'ELEVEN', 'TWELVE', 'THIRTEEN', 'FOURTEEN',
+	'FIFTEEN', 'SIXTEEN', 'SEVENTEEN', 'EIGHTEEN', 'NINETEEN'];
+
+/**
+ * The English names of each multiple of ten, indexed by the tens digit.
+ * @type {Array}
+ */
+const TENS = ['', '', 'TWENTY', 'THIRTY', 'FORTY', 'FIFTY', 'SIXTY', 'SEVENTY',
+	'EIGHTY', 'NINETY'];
+
+/**
+ * Checks a phrase against an acro.  How the phrase is broken into words is
+ * controlled by the following options:
+ *      - matchMode: {String} 'strict' if every word must match a letter of
+ *        the acro, or 'lenient' if the words in matchStopwords may be
+ *        skipped when they don't fit
+ *      - matchStopwords: {Array} The filler words that may be skipped in
+ *        lenient mode, such as "of" and "the"
+ *      - matchHyphens: {String} 'join' to treat a hyphenated word as a single
+ *        word, or 'split' to count each part as its own word
+ *      - matchApostrophes: {String} 'join' to treat "don't" as a single word,
+ *        or 'split' to count "don" and "t" separately
+ *      - matchNumbers: {String} 'literal' if numbers can't stand in for
+ *        letters, 'spell' if a number counts as the first letter of its
+ *        English name (so "4" counts as F), or 'skip' if numbers are ignored
+ *
+ * The result is returned in the following format:
+ *
+ *      {
+ *          match: {boolean} true if the phrase fits the acro
+ *          acro: {String} The acronym the phrase actually spells
+ *          reason: {String|null} Why the phrase doesn't fit, or null if it
+ *              does.  One of:
+ *                  - 'empty': The phrase has no words
+ *                  - 'number': A number was used where a letter is needed
+ *                  - 'letter': A word starts with the wrong letter
+ *                  - 'tooShort': The phrase ran out of words
+ *                  - 'tooLong': The phrase has words left over
+ *          word: {String|null} The word responsible, for the 'number' and
+ *              'letter' reasons
+ *          position: {Number|null} The 0-based position in the acro where
+ *              the problem was found
+ *          missing: {Number} For the 'tooShort' reason, the number of
+ *              letters left without a word
+ *          extra: {Number} For the 'tooLong' reason, the number of words
+ *              left over
+ *      }
+ *
+ * @param {String} phrase The phrase submitted by a player
+ * @param {String} acro The acro the phrase should match, in all caps
+ * @param {Object} opts An object mapping options keys to values.  For a
+ *      listing of these options and their defaults, see
+ *      AcroGame::DEFAULT_OPTS.
+ * @returns {Object} The result, as described above
+ */
+function match(phrase, acro, opts) {
+	var words = tokenize(phrase, opts),
+		stopwords = {},
+		initials = words.map(function(word) {
+			return initial(word, opts);
+		});
+	if (opts.matchMode == 'lenient') {
+		(opts.matchStopwords || []).forEach(function(word) {
+			stopwords[String(word).toUpperCase()] = true;
+		});
+	}
+	var res = {
+		match: false,
+		acro: initials.join(''),
+		reason: null,
+		word: null,
+		position: null,
+		missing: 0,
+		extra: 0
+	};
+	if (!words.length)
+		res.reason = 'empty';
+	else if (fits(words, initials, stopwords, acro, 0, 0, {}))
+		res.match = true;
+	else
+		explain(res, words, initials, stopwords, acro);
+	return res;
+}
+
+/**
+ * Builds a sentence explaining to a player why their phrase was rejected.
+ *
+ * @param {Object} res The result of {@link match}
+ * @param {String} acro The acro the phrase should have matched
+ * @param {Object} opts The matching options, as described in {@link match}
+ * @returns {String} The explanation
+ */
+function describe(res, acro, opts) {
+	var msg = "Your phrase has the acronym [" + res.acro + "] which does \
+not match this round's acro: [" + acro + "].";
+	switch (res.reason) {
+		case 'empty':
+			return "Your phrase doesn't have any words in it! This round's \
+acro is: [" + acro + "].";
+		case 'number':
+			return msg + " Numbers don't count as letters, so spell out \"" +
+				res.word + "\" instead.";
+		case 'letter':
+			msg += " Word " + (res.position + 1) + " should start with " +
+				acro[res.position] + ", but \"" + res.word + "\" doesn't.";
+			break;
+		case 'tooShort':
+			msg += " It needs " + res.missing + " more " +
+				(res.missing == 1 ? "word" : "words") + ".";
+			break;
+		case 'tooLong':
+			msg += " It has " + res.extra + " too many " +
+				(res.extra == 1 ? "word" : "words") + ".";
+			break;
+	}
+	if (opts.matchMode == 'lenient' && (opts.matchStopwords || []).length) {
+		msg += " Filler words like \"" + opts.matchStopwords.slice(0, 3)
+			.join("\", \"").toLowerCase() + "\" can be skipped.";
+	}
+	return msg;
+}
+
+/**
+ * Finds the first problem with a phrase that doesn't fit the acro, by
+ * walking through its words and skipping stopwords only where they don't fit.
+ * The findings are written to the result object.
+ *
+ * @param {Object} res The result object being built by {@link match}
+ * @param {Array} words The words of the phrase
+ * @param {Array} initials The letter each word stands for
+ * @param {Object} stopwords A hash of the words that may be skipped
+ * @param {String} acro The acro the phrase should match
+ */
+function explain(res, words, initials, stopwords, acro) {
+	var pos = 0;
+	for (var i = 0; i < words.length; i++) {
+		if (pos < acro.length && initials[i] == acro[pos])
+			pos++;
+		else if (!stopwords[words[i]]) {
+			if (pos >= acro.length) {
+				res.reason = 'tooLong';
+				res.extra = words.length - i;
+			}
+			else {
+				res.reason = /^[0-9]/.test(initials[i]) ? 'number' : 'letter';
+				res.word = words[i];
+			}
+			res.position = pos;
+			return;
+		}
+	}
+	res.reason = 'tooShort';
+	res.position = pos;
+	res.missing = acro.length - pos;
+}
+
+/**
+ * Determines whether the words from a given point onward can fit the acro
+ * from a given letter onward, skipping stopwords as needed.
+ *
+ * @param {Array} words The words of the phrase
+ * @param {Array} initials The letter each word stands for
+ * @param {Object} stopwords A hash of the words that may be skipped
+ * @param {String} acro The acro the phrase should match
+ * @param {Number} wordIdx The index of the first word to consider
+ * @param {Number} letterIdx The index of the first acro letter to consider
+ * @param {Object} memo A cache of previously checked positions
+ * @returns {boolean} true if the remaining words fit; false otherwise
+ */
+function fits(words, initials, stopwords, acro, wordIdx, letterIdx, memo) {
+	var key = wordIdx + ':' + letterIdx;
+	if (memo.hasOwnProperty(key))
+		return memo[key];
+	var res;
+	if (wordIdx == words.length)
+		res = letterIdx == acro.length;
+	else {
+		res = (letterIdx < acro.length &&
+			initials[wordIdx] == acro[letterIdx] &&
+			fits(words, initials, stopwords, acro, wordIdx + 1, letterIdx + 1,
+				memo)) ||
+			(!!stopwords[words[wordIdx]] &&
+			fits(words, initials, stopwords, acro, wordIdx + 1, letterIdx,
+				memo));
+	}
+	memo[key] = res;
+	return res;
+}
+
+/**
+ * Gets the letter that a word stands for in the acro.
+ *
+ * @param {String} word An uppercase word
+ * @param {Object} opts The matching options, as described in {@link match}
+ * @returns {String} The letter, or the word's first digit if it's a number
+ *      and numbers count literally
+ */
+function initial(word, opts) {
+	var num = /^[0-9]+/.exec(word);
+	if (num && opts.matchNumbers == 'spell')
+		return spell(num[0])[0];
+	return word[0];
+}
+
+/**
+ * Gets the first word of a number's English name, which is all that's
+ * needed to know which letter it starts with.  A number's name starts with
+ * the name of its leading group of up to three digits, as in "twelve
+ * thousand", so only that group is read, however long the number is.
+ *
+ * @param {String} digits The digits of a non-negative integer
+ * @returns {String} The first word of the number's name, in all caps
+ */
+function spell(digits) {
+	var trimmed = digits.replace(/^0+/, ''),
+		num = parseInt(trimmed.substr(0, (trimmed.length - 1) % 3 + 1) || '0',
+			10);
+	if (num < 20)
+		return ONES[num];
+	if (num < 100)
+		return TENS[Math.floor(num / 10)];
+	return ONES[Math.floor(num / 100)];
+}
+
+/**
+ * Breaks a phrase into uppercase words, according to the hyphen, apostrophe,
+ * and number options.
+ *
+ * @param {String} phrase The phrase to be broken up
+ * @param {Object} opts The matching options, as described in {@link match}
+ * @returns {Array} The words of the phrase
+ */
+function tokenize(phrase, opts) {
+	var str = phrase.toUpperCase().replace(/[‘’`]/g, "'");
+	str = str.replace(/-/g, opts.matchHyphens == 'split' ? ' ' : '');
+	str = str.replace(/'/g, opts.matchApostrophes == 'split' ? ' ' : '');
+	return str.replace(/[^A-Z0-9]/g, ' ').split(/\s+/).filter(function(word) {
+		if (!word)
+			return false;
+		return opts.matchNumbers != 'skip' || !/^[0-9]/.test(word);
+	});
+}
+
+module.exports = {
+	DEFAULT_STOPWORDS: DEFAULT_STOPWORDS,
+	describe: describe,
+	match: match
+};
@@ -5,7 +5,10 @@
  */
 
 // Dependencies
-var Seq = require('seq'),
+var AcroGenerator = require('./AcroGenerator'),
+	ContentFilter = require('./ContentFilter'),
+	PhraseMatcher = require('./PhraseMatcher'),
+	Seq = require('seq'),
 	util = require('util'),
 	events = require('events'),
 	oUtil = require('./util/Object');
@@ -14,6 +17,12 @@ const PHASE_STOPPED = 0;
 const PHASE_ACRO = 1;
 const PHASE_VOTE = 2;
 
+/**
+ * The names under which each phase is saved by {@link Round#getState}.
+ * @type {Array}
+ */
+const PHASE_NAMES = ['stopped', 'acro', 'vote'];
+
 /**
  * The Round object is responsible for playing through a single round
  * of acrophobia, abstracting out all player/channel communication so that
@@ -26,12 +35,23 @@ const PHASE_VOTE = 2;
  */
 var Round = function(opts) {
 	this._opts = opts;
+	this._timers = opts.timers;
 	this._acro = this._makeAcro();
 	this._phase = PHASE_STOPPED;
+	this._phaseEnd = null;
+	this._phaseCb = null;
+	this._expected = [];
+	this._closingEarly = false;
+	this._timer = null;
 	this._phrases = {};
+	this._acroTime = null;
 	this._submitTimes = {};
+	this._flagged = {};
+	this._merged = {};
 	this._userOrder = [];
 	this._votes = {};
+	if (opts.state)
+		this._setState(opts.state);
 };
 util.inherits(Round, events.EventEmitter);
 
@@ -42,10 +62,15 @@ util.inherits(Round, events.EventEmitter);
  * This function emits the following events on the Round:
  *      - 'acroStart' When phrase submissions are opened.  Arguments are:
  *          - {String} The acronym, in all caps, that submissions must match
+ *          - {Number} The number of seconds for which submissions are open
  *      - 'acroCountdown' When a milestone is reached in the time limit, such
  *        as the halfway point, 10 seconds remaining, 3 remaining, and so on.
  *        Arguments are:
  *          - {Number} The number of seconds remaining
+ *      - 'acroEarlyClose' When every player listed by the 'expectedPhrases'
+ *        option has submitted, and submissions will close after a short
+ *        grace period.  Arguments are:
+ *          - {Number} The number of seconds until submissions close
  *      - 'acroEnd' When the voting window has closed.  Arguments are:
  *          - {Array} The randomized order of the phrases.  Votes should be
  *            submitted for the chosen index + 1 (this allows the phrases to
@@ -61,12 +86,15 @@ Round.prototype.startAcro = function(timeLimit) {
 	if (this._phase == PHASE_STOPPED) {
 		var self = this;
 		this._phase = PHASE_ACRO;
-		this.emit('acroStart', self._acro);
+		if (this._acroTime === null)
+			this._acroTime = this._timers.now();
+		this._expected = expect(this._opts.expectedPhrases);
 		this._countdown(timeLimit, 'acroCountdown', function() {
 			self._phase = PHASE_STOPPED;
 			self._userOrder = shuffle(Object.keys(self._phrases));
 			self.emit('acroEnd', self._userOrder, self._phrases);
 		});
+		this.emit('acroStart', self._acro, timeLimit);
 	}
 };
 
@@ -85,6 +113,10 @@ Round.prototype.startAcro = function(timeLimit) {
  *        as the halfway point, 10 seconds remaining, 3 remaining, and so on.
  *        Arguments are:
  *          - {Number} The number of seconds remaining
+ *      - 'voteEarlyClose' When every user listed by the 'expectedVotes'
+ *        option has voted, and voting will close after a short grace period.
+ *        Arguments are:
+ *          - {Number} The number of seconds until voting closes
  *      - 'voteEnd' When the voting window has closed.  Arguments are:
  *          - {Object} The results object, as returned by {@link #_getResults}
  *
@@ -95,16 +127,132 @@ Round.prototype.startVote = function(timeLimit) {
 	if (this._phase == PHASE_STOPPED) {
 		var self = this;
 		this._phase = PHASE_VOTE;
-		this.emit('voteStart', this._userOrder, this._phrases);
+		this._expected = expect(this._opts.expectedVotes);
 		this._countdown(timeLimit, 'voteCountdown', function() {
-			this._phase = PHASE_STOPPED;
+			self._phase = PHASE_STOPPED;
 			self.emit('voteEnd', self._getResults());
 		});
+		this.emit('voteStart', this._userOrder, this._phrases);
+	}
+};
+
+/**
+ * Gets the acronym that submissions must match for this round.
+ *
+ * @returns {String} The acronym, in all caps
+ */
+Round.prototype.getAcro = function() {
+	return this._acro;
+};
+
+/**
+ * Determines whether a player's phrase was flagged by the content filter.
+ *
+ * @param {Number} userId The user ID of the player
+ * @returns {boolean} true if the phrase was flagged; false otherwise
+ */
+Round.prototype.isFlagged = function(userId) {
+	return !!this._flagged[userId];
+};
+
+/**
+ * Gets a serializable snapshot of this round, from which an identical round
+ * can be recreated by passing it as the 'state' option of a new Round.  The
+ * snapshot is in the following format:
+ *
+ *      {
+ *          acro: {String} The round's acronym
+ *          phase: {String} One of 'stopped', 'acro', or 'vote'
+ *          remaining: {Number} The number of seconds left in the current
+ *              phase, or 0 if no phase is running
+ *          phrases: {Object} A mapping of userIds to submitted phrases
+ *          acroTime: {Number|null} The time at which submissions first
+ *              opened, or null if they haven't
+ *          flagged: {Object} A mapping of userIds to true, for each phrase
+ *              flagged by the content filter
+ *          merged: {Object} A mapping of the userIds whose phrases were
+ *              merged as duplicates to the userId that submitted them first
+ *          submitTimes: {Object} A mapping of userIds to submission times,
+ *              comparable to acroTime
+ *          userOrder: {Array} The randomized order of the phrases, if the
+ *              acro phase has ended
+ *          votes: {Object} A mapping of voter userIds to the userId they
+ *              voted for, or to the array of userIds on their ballot in
+ *              approval or ranked voting
+ *      }
+ *
+ * @returns {Object} The round's state
+ */
+Round.prototype.getState = function() {
+	var remaining = 0;
+	if (this._phase != PHASE_STOPPED && this._phaseEnd !== null) {
+		remaining = Math.max(Math.ceil(
+			(this._phaseEnd - this._timers.now()) / 1000), 0);
 	}
+	return {
+		acro: this._acro,
+		phase: PHASE_NAMES[this._phase],
+		remaining: remaining,
+		phrases: oUtil.merge(this._phrases),
+		acroTime: this._acroTime,
+		flagged: oUtil.merge(this._flagged),
+		merged: oUtil.merge(this._merged),
+		submitTimes: oUtil.merge(this._submitTimes),
+		userOrder: this._userOrder.slice(),
+		votes: oUtil.merge(this._votes)
+	};
 };
 
 /**
- * Handles phrase submissions during the acro phase of the round.
+ * Stops the round immediately, canceling any running countdown without
+ * emitting its end event, and removing all listeners from the round.
+ */
+Round.prototype.stop = function() {
+	if (this._timer !== null)
+		this._timers.clearTimeout(this._timer);
+	this._timer = null;
+	this._phase = PHASE_STOPPED;
+	this.removeAllListeners();
+};
+
+/**
+ * Handles phrase submissions during the acro phase of the round.  Phrases
+ * that match the acro are run through the content filter described by the
+ * 'filterAction' and 'filterWords' options, then checked against the other
+ * players' phrases, before being accepted.
+ *
+ * A phrase that duplicates one submitted earlier is rejected or merged
+ * according to the 'duplicateAction' option.  A merged phrase isn't listed
+ * on its own: the first player to submit it keeps all the credit, and the
+ * player whose phrase was merged can't vote for it.
+ *
+ * This function emits one of the following events on the Round:
+ *      - 'phraseAccepted' When the phrase has been accepted.  Arguments are:
+ *          - {Number} The user ID of the submitting player
+ *          - {boolean} true if this is the player's first phrase this round
+ *          - {Array} The filtered words found in the phrase, which were
+ *            masked or flagged according to the 'filterAction' option
+ *          - {String} The phrase as it was accepted, after any masking
+ *      - 'phraseRejected' When the phrase doesn't match the acro.  Arguments
+ *        are:
+ *          - {Number} The user ID of the submitting player
+ *          - {Object} The match result, as returned by PhraseMatcher.match
+ *      - 'phraseBlocked' When the phrase was refused by the content filter.
+ *        Arguments are:
+ *          - {Number} The user ID of the submitting player
+ *          - {Array} The filtered words found in the phrase
+ *      - 'phraseDuplicate' When another player already submitted the same
+ *        phrase, as decided by the 'duplicateAction' and 'duplicateFuzzy'
+ *        options.  Arguments are:
+ *          - {Number} The user ID of the submitting player
+ *          - {Number} The user ID of the player who submitted it first
+ *          - {boolean} true if the phrase was merged into the first player's
+ *            entry; false if it was rejected
+ *      - 'phraseUnmerged' For each player whose phrase had been merged into
+ *        the submitting player's old phrase, which is now gone.  They no
+ *        longer have a phrase in the round.  Arguments are:
+ *          - {Number} The user ID of the player who needs a new phrase
+ *          - {Number} The user ID of the submitting player
  *
  * @param {Number} userId The user ID of the submitting player
  * @param {String} phrase A message input from the player, which, if formatted
@@ -112,48 +260,165 @@ Round.prototype.startVote = function(timeLimit) {
  */
 Round.prototype.submitPhrase = function(userId, phrase) {
 	if (this._phase == PHASE_ACRO) {
-		var acro = '',
-			words = phrase
-				.toUpperCase()
-				.replace(/[^A-Z0-9'\-]/g, ' ')
-				.replace(/\s+/g, ' ')
-				.replace(/(?:^\s|\s$)/g, '')
-				.split(' ');
-		words.forEach(function(word) {
-			acro += word[0];
-		});
-		if (acro == this._acro) {
-			var first = !this._phrases[userId];
-			this._phrases[userId] = phrase.replace(/(?:^\s|\s$)/g, '');
-			this._submitTimes[userId] = new Date().getTime();
-			this.emit('phraseAccepted', userId, first);
+		var res = PhraseMatcher.match(phrase, this._acro, this._opts);
+		if (!res.match) {
+			this.emit('phraseRejected', userId, res);
+			return;
+		}
+		var action = this._opts.filterAction,
+			found = [];
+		phrase = phrase.replace(/(?:^\s|\s$)/g, '');
+		if (action && action != 'none')
+			found = ContentFilter.find(phrase, this._opts.filterWords);
+		if (found.length && action == 'reject') {
+			this.emit('phraseBlocked', userId, found);
+			return;
 		}
-		else
-			this.emit('phraseRejected', userId, acro);
+		if (found.length && action == 'mask')
+			phrase = ContentFilter.mask(phrase, found);
+		var dupe = this._findDuplicate(userId, phrase);
+		if (dupe !== null) {
+			var merge = this._opts.duplicateAction == 'merge';
+			if (merge) {
+				this._removePhrase(userId);
+				this._merged[userId] = dupe;
+			}
+			this.emit('phraseDuplicate', userId, dupe, merge);
+			if (merge)
+				this._checkEarlyClose();
+			return;
+		}
+		var first = !this._phrases[userId];
+		this._removePhrase(userId);
+		delete this._merged[userId];
+		if (found.length && action == 'flag')
+			this._flagged[userId] = true;
+		this._phrases[userId] = phrase;
+		this._submitTimes[userId] = this._timers.now();
+		this.emit('phraseAccepted', userId, first, found, phrase);
+		this._checkEarlyClose();
 	}
 };
 
 /**
- * Handles user submissions during the voting phase of the round.
+ * Handles user submissions during the voting phase of the round.  If the
+ * 'teamVoting' option is set to 'forbid', players may not vote for a
+ * teammate, as given by the 'userTeams' option.  Users allowed to vote at all
+ * are decided by the 'canVote' option, if it was given.
+ *
+ * How a vote is read depends on the 'voteMode' option.  In 'single' mode, a
+ * vote names one phrase.  In 'approval' and 'ranked' modes, it lists up to
+ * 'maxVotes' phrases, separated by spaces or commas; in 'ranked' mode, the
+ * list is in order of preference.  If any phrase on the list can't be voted
+ * for, the whole vote is rejected.
+ *
+ * Users sharing a host or account, as given by the 'userKeys' option, are
+ * treated as clones of each other.  Unless the 'cloneVotes' option is set to
+ * 'allow', clones may not vote for each other's phrases.  If it's set to
+ * 'reject', only one of them may vote; if it's set to 'merge', each vote
+ * replaces the last one cast by any of them, and is counted for whichever of
+ * them joined the game first.  Either way, once one clone has voted, none of
+ * them forfeit their points for not voting.
+ *
+ * This function emits one of the following events on the Round:
+ *      - 'voteAccepted' When the vote has been counted.  Arguments are:
+ *          - {Number} The ID of the voting user
+ *          - {boolean} true if this is the user's first vote this round
+ *          - {Number|null} The ID of the clone the vote was counted for, or
+ *            null if it was counted for the voting user
+ *          - {Array} The user IDs whose phrases were voted for, in the order
+ *            they were listed
+ *      - 'voteRejected' When the vote could not be counted.  Arguments are:
+ *          - {Number} The ID of the voting user
+ *          - {String} The reason: 'self' for a vote for the user's own
+ *            phrase or a clone's, 'teammate' for a vote for a teammate's
+ *            phrase, 'clone' for a vote from a user whose clone has already
+ *            voted, 'absent' for a user not allowed to vote, 'tooMany' for a
+ *            vote listing more than 'maxVotes' phrases, or 'invalid' for a
+ *            vote that doesn't name only listed phrases
  *
  * @param {Number} userId The ID of the user submitting the vote
  * @param {String} voteStr A message which, if properly formatted, should
- *      contain the number of their chosen phrase.
+ *      contain the number of their chosen phrase, or the numbers of their
+ *      chosen phrases in approval or ranked voting.
  */
 Round.prototype.submitVote = function(userId, voteStr) {
 	if (this._phase == PHASE_VOTE) {
-		var vote = parseInt(voteStr) - 1;
-		if (vote >= 0 && vote < this._userOrder.length) {
-			if (userId != this._userOrder[vote]) {
-				var first = !this._votes[userId];
-				this._votes[userId] = this._userOrder[vote];
-				this.emit('voteAccepted', userId, first);
-			}
-			else
+		var self = this,
+			ballot = this._parseBallot(voteStr),
+			canVote = this._opts.canVote;
+		if (canVote && !canVote(userId))
+			this.emit('voteRejected', userId, 'absent');
+		else if (!ballot)
+			this.emit('voteRejected', userId, 'invalid');
+		else if (ballot.length > this._getMaxVotes())
+			this.emit('voteRejected', userId, 'tooMany');
+		else {
+			var clones = this._findClones(userId),
+				voted = clones.filter(function(cloneId) {
+					return self._votes[cloneId] !== undefined;
+				});
+			if (ballot.some(function(target) {
+					return userId == target || self._merged[userId] == target ||
+						clones.indexOf(String(target)) != -1;
+				}))
 				this.emit('voteRejected', userId, 'self');
+			else if (ballot.some(this._isTeammate.bind(this, userId)))
+				this.emit('voteRejected', userId, 'teammate');
+			else if (this._opts.cloneVotes == 'reject' && voted.length)
+				this.emit('voteRejected', userId, 'clone');
+			else {
+				var voterId = userId,
+					first = !this._votes[userId] && !voted.length;
+				if (clones.length && this._opts.cloneVotes == 'merge') {
+					voted.forEach(function(cloneId) {
+						delete self._votes[cloneId];
+					});
+					voterId = Math.min.apply(Math, clones.concat(userId));
+				}
+				this._votes[voterId] = this._isMultiVote() ? ballot :
+					ballot[0];
+				this.emit('voteAccepted', userId, first,
+					voterId == userId ? null : voterId, ballot);
+				this._checkEarlyClose();
+			}
 		}
-		else
-			this.emit('voteRejected', userId, 'invalid');
+	}
+};
+
+/**
+ * Closes the running phase early if every expected user has taken part, as
+ * listed by the 'expectedPhrases' or 'expectedVotes' option when the phase
+ * started.  The phase stays open for the number of seconds in the
+ * 'secsEarlyClose' option, so that players can still change their minds.
+ * Early closing only happens when the 'earlyClose' option is set.
+ * A user counts as having voted if one of their clones has.
+ *
+ * @private
+ */
+Round.prototype._checkEarlyClose = function() {
+	var self = this,
+		grace = (this._opts.secsEarlyClose || 0) * 1000,
+		done = this._phase == PHASE_ACRO ? this._phrases : this._votes,
+		eventName = this._phase == PHASE_ACRO ? 'acroEarlyClose' :
+			'voteEarlyClose';
+	if (!this._opts.earlyClose || this._closingEarly ||
+			!this._expected.length || this._phaseEnd === null ||
+			this._phaseEnd - this._timers.now() <= grace)
+		return;
+	var all = this._expected.every(function(userId) {
+		if (done.hasOwnProperty(userId))
+			return true;
+		if (done === self._phrases)
+			return self._merged.hasOwnProperty(userId);
+		return self._hasVoted(userId);
+	});
+	if (all) {
+		this._closingEarly = true;
+		this._timers.clearTimeout(this._timer);
+		this._phaseEnd = this._timers.now() + grace;
+		this._timer = this._timers.setTimeout(this._phaseCb, grace);
+		this.emit(eventName, grace / 1000);
 	}
 };
 
@@ -176,6 +441,9 @@ Round.prototype._countdown = function(secs, eventName, cb) {
 	if (half > 15)
 		milestones.push(10);
 	milestones.push(half);
+	this._phaseEnd = this._timers.now() + secs * 1000;
+	this._phaseCb = cb;
+	this._closingEarly = false;
 	this._emitMilestones(eventName, secs, milestones, cb);
 };
 
@@ -197,18 +465,32 @@ Round.prototype._countdown = function(secs, eventName, cb) {
  */
 Round.prototype._emitMilestones = function(eventName, last, milestones, cb) {
 	if (!milestones.length)
-		setTimeout(cb, last * 1000);
+		this._timer = this._timers.setTimeout(cb, last * 1000);
 	else {
 		var cur = milestones.pop(),
 			diff = last - cur,
 			self = this;
-		setTimeout(function() {
+		this._timer = this._timers.setTimeout(function() {
 			self.emit(eventName, cur);
 			self._emitMilestones(eventName, cur, milestones, cb);
 		}, diff * 1000);
 	}
 };
 
+/**
+ * Gets the most phrases a single vote may list.  This is the 'maxVotes'
+ * option in approval and ranked voting, or every listed phrase if that
+ * option isn't set, and always 1 in single voting.
+ *
+ * @returns {Number} The most phrases a vote may list
+ * @private
+ */
+Round.prototype._getMaxVotes = function() {
+	if (!this._isMultiVote())
+		return 1;
+	return this._opts.maxVotes || this._userOrder.length;
+};
+
 /**
  * Calculates the results of this round.  Results are returned in the following
  * object:
@@ -226,13 +508,25 @@ Round.prototype._emitMilestones = function(eventName, last, milestones, cb) {
  *              fastest answer to earn a vote, or null if there were no
  *              submissions or no votes
  *          topVoters: {Array} The userIds that voted for the
- *              winning answer.
+ *              winning answer.  In ranked voting, only those who ranked it
+ *              first are included.
  *          nonVoters: {Array} The userIds that submitted a phrase but
- *              didn't vote this round.
+ *              didn't vote this round, and whose clones didn't either.
  *          acroVotes: {Object} mapping userId to the number of votes
  *              their submitted acro got.
+ *          runoff: {Array|null} In ranked voting counted by instant runoff,
+ *              the userIds whose phrases were knocked out, in order.  This
+ *              is null for any other kind of voting.
  *      }
  *
+ * How votes are counted depends on the 'voteMode' option.  In 'single' and
+ * 'approval' voting, each phrase gets one vote from every ballot it's on.  In
+ * 'ranked' voting, the 'rankedCount' option decides: 'borda' gives a phrase
+ * as many votes as the most phrases a ballot may list for each ballot that
+ * ranks it first, one fewer for each that ranks it second, and so on, while
+ * 'runoff' counts only first choices, and finds the winner by knocking out
+ * the phrase with the fewest first choices until one has a majority.
+ *
  * @returns {{
  *      winner: number|null,
  *      tie: Array|null,
@@ -240,13 +534,17 @@ Round.prototype._emitMilestones = function(eventName, last, milestones, cb) {
  *      fastestWithVote: number|null
  *      topVoters: Array,
  *      nonVoters: Array,
- *      acroVotes: {}
+ *      acroVotes: {},
+ *      runoff: Array|null
  *      }|null} The results as described if votes were placed; null if no one
  *             voted.
  * @private
  */
 Round.prototype._getResults = function() {
 	var self = this,
+		ranked = this._opts.voteMode == 'ranked',
+		runoff = ranked && this._opts.rankedCount == 'runoff',
+		maxVotes = this._getMaxVotes(),
 		usersToVoteCount = {},
 		usersToVoters = {},
 		firstSubmitTimeWithVote = Infinity,
@@ -254,18 +552,24 @@ Round.prototype._getResults = function() {
 		firstSubmitTime = Infinity,
 		fastest = null,
 		nonVoters = [];
-	oUtil.forEach(this._votes, function(userId, votedFor) {
-		if (!usersToVoteCount.hasOwnProperty(votedFor)) {
-			usersToVoteCount[votedFor] = 0;
-			usersToVoters[votedFor] = [];
-		}
-		usersToVoteCount[votedFor]++;
-		if (!usersToVoters[votedFor])
-			usersToVoters[votedFor] = [];
-		usersToVoters[votedFor].push(userId);
+	oUtil.forEach(this._votes, function(userId, ballot) {
+		[].concat(ballot).forEach(function(votedFor, rank) {
+			var votes = 1;
+			if (ranked)
+				votes = runoff ? (rank ? 0 : 1) : maxVotes - rank;
+			if (votes) {
+				usersToVoteCount[votedFor] =
+					(usersToVoteCount[votedFor] || 0) + votes;
+			}
+			if (!ranked || !rank) {
+				if (!usersToVoters[votedFor])
+					usersToVoters[votedFor] = [];
+				usersToVoters[votedFor].push(userId);
+			}
+		});
 	});
 	Object.keys(this._phrases).forEach(function(userId) {
-		if (!self._votes.hasOwnProperty(userId))
+		if (!self._hasVoted(userId))
 			nonVoters.push(userId);
 		if (self._submitTimes[userId] < firstSubmitTime) {
 			firstSubmitTime = self._submitTimes[userId];
@@ -277,51 +581,294 @@ Round.prototype._getResults = function() {
 			fastestWithVote = userId;
 		}
 	});
-	var voteOrder = Object.keys(usersToVoteCount).sort(function(a, b) {
-		if (usersToVoteCount[b] == usersToVoteCount[a])
-			return self._submitTimes[a] - self._submitTimes[b];
-		return usersToVoteCount[b] - usersToVoteCount[a];
-	});
-	var winner = voteOrder[0] || null,
-		tie = [],
-		curScore = usersToVoteCount[winner],
-		i = 0;
-	while (voteOrder.length && usersToVoteCount[voteOrder[i]] == curScore)
-		tie.push(voteOrder[i++]);
+	var winner, tie = [], eliminated = null;
+	if (runoff) {
+		var res = this._runoff();
+		winner = res.winner;
+		tie = res.tie || [];
+		eliminated = res.eliminated;
+	}
+	else {
+		var voteOrder = Object.keys(usersToVoteCount).sort(function(a, b) {
+			if (usersToVoteCount[b] == usersToVoteCount[a])
+				return self._submitTimes[a] - self._submitTimes[b];
+			return usersToVoteCount[b] - usersToVoteCount[a];
+		});
+		var curScore = usersToVoteCount[voteOrder[0]],
+			i = 0;
+		winner = voteOrder[0] || null;
+		while (voteOrder.length && usersToVoteCount[voteOrder[i]] == curScore)
+			tie.push(voteOrder[i++]);
+	}
 	return {
 		winner: winner,
 		tie: tie.length > 1 ? tie : null,
 		fastest: fastest,
 		fastestWithVote: fastestWithVote,
-		topVoters: winner ? usersToVoters[winner] : [],
+		topVoters: winner ? usersToVoters[winner] || [] : [],
 		nonVoters: nonVoters,
-		acroVotes: usersToVoteCount
+		acroVotes: usersToVoteCount,
+		runoff: eliminated
 	};
 };
 
+/**
+ * Finds a phrase submitted by another player that duplicates the given one.
+ * Phrases are compared after collapsing whitespace; if the 'duplicateFuzzy'
+ * option is set, case and punctuation are ignored as well.
+ *
+ * @param {Number} userId The user ID of the submitting player
+ * @param {String} phrase The phrase being submitted
+ * @returns {String|null} The user ID of the player who submitted the phrase
+ *      first, or null if it isn't a duplicate or duplicate checking is off
+ * @private
+ */
+Round.prototype._findDuplicate = function(userId, phrase) {
+	var self = this,
+		action = this._opts.duplicateAction,
+		fuzzy = this._opts.duplicateFuzzy,
+		key = normalize(phrase, fuzzy),
+		dupe = null;
+	if (!action || action == 'allow')
+		return null;
+	Object.keys(this._phrases).forEach(function(otherId) {
+		if (otherId != userId &&
+				normalize(self._phrases[otherId], fuzzy) == key &&
+				(dupe === null ||
+				self._submitTimes[otherId] < self._submitTimes[dupe]))
+			dupe = otherId;
+	});
+	return dupe;
+};
+
+/**
+ * Determines whether a user has voted this round.  A user counts as having
+ * voted if one of their clones has, since with the 'cloneVotes' option set to
+ * 'merge' their votes are all kept under one clone's ID.
+ *
+ * @param {Number} userId The user ID to check
+ * @returns {boolean} true if the user or one of their clones has voted;
+ *      false otherwise
+ * @private
+ */
+Round.prototype._hasVoted = function(userId) {
+	var self = this;
+	return this._votes.hasOwnProperty(userId) ||
+		this._findClones(userId).some(function(cloneId) {
+			return self._votes.hasOwnProperty(cloneId);
+		});
+};
+
+/**
+ * Finds the other users sharing a host or account with the given user, as
+ * listed in the 'userKeys' option.
+ *
+ * @param {Number} userId The user ID to find clones of
+ * @returns {Array} The user IDs of the user's clones, as strings.  If the
+ *      'cloneVotes' option is set to 'allow', this is always empty.
+ * @private
+ */
+Round.prototype._findClones = function(userId) {
+	var keys = this._opts.userKeys || {},
+		mine = keys[userId] || [],
+		action = this._opts.cloneVotes;
+	if (!action || action == 'allow' || !mine.length)
+		return [];
+	return Object.keys(keys).filter(function(otherId) {
+		return otherId != userId && keys[otherId].some(function(key) {
+			return mine.indexOf(key) != -1;
+		});
+	});
+};
+
+/**
+ * Determines whether a vote from one player to another is forbidden because
+ * they are on the same team.
+ *
+ * @param {Number} voterId The user ID of the voter
+ * @param {Number} userId The user ID of the player being voted for
+ * @returns {boolean} true if teammate votes are forbidden and the two
+ *      players are teammates; false otherwise
+ * @private
+ */
+Round.prototype._isTeammate = function(voterId, userId) {
+	var teams = this._opts.userTeams || {};
+	return this._opts.teamVoting == 'forbid' && !!teams[voterId] &&
+		teams[voterId] == teams[userId];
+};
+
+/**
+ * Determines whether votes in this round may list more than one phrase.
+ *
+ * @returns {boolean} true if the 'voteMode' option is 'approval' or
+ *      'ranked'; false otherwise
+ * @private
+ */
+Round.prototype._isMultiVote = function() {
+	var mode = this._opts.voteMode;
+	return mode == 'approval' || mode == 'ranked';
+};
+
 /**
  * Generates an acronym, in all caps, with the number of letters defined in
- * this round's options.
+ * this round's options.  The acro is built by the function in the
+ * 'acroGenerator' option, or by AcroGenerator.generate if none was given.
  *
  * @returns {String} An acronym appropriate for this round's options
  * @private
  */
 Round.prototype._makeAcro = function() {
-	var str = '';
-	while (str.length < this._opts.numLetters)
-		str += this._opts.charPool[rand(0, this._opts.charPool.length - 1)];
-	return str;
+	var generate = this._opts.acroGenerator || AcroGenerator.generate;
+	return generate(this._opts.numLetters, this._opts);
+};
+
+/**
+ * Reads the phrases named in a vote.  In approval and ranked voting, a vote
+ * may list several phrase numbers separated by spaces or commas; a phrase
+ * listed more than once only counts the first time.
+ *
+ * @param {String} voteStr The vote, as sent by the user
+ * @returns {Array|null} The userIds whose phrases were named, in the order
+ *      they were listed, or null if any of the numbers doesn't name a listed
+ *      phrase
+ * @private
+ */
+Round.prototype._parseBallot = function(voteStr) {
+	var ballot = [],
+		nums = this._isMultiVote() ? String(voteStr).trim().split(/[\s,]+/) :
+			[voteStr];
+	for (var i = 0; i < nums.length; i++) {
+		var vote = parseInt(nums[i]) - 1;
+		if (!(vote >= 0 && vote < this._userOrder.length))
+			return null;
+		if (ballot.indexOf(this._userOrder[vote]) == -1)
+			ballot.push(this._userOrder[vote]);
+	}
+	return ballot;
 };
 
 /**
- * Returns a random integer between a min and a max, inclusive.
+ * Removes a player's phrase from the round, along with any record of other
+ * players' phrases having been merged into it.  Each of those players is
+ * left without a phrase, and a 'phraseUnmerged' event is emitted for them as
+ * described in {@link #submitPhrase}.
+ *
+ * @param {Number} userId The user ID of the player
+ * @private
+ */
+Round.prototype._removePhrase = function(userId) {
+	var self = this;
+	delete this._phrases[userId];
+	delete this._submitTimes[userId];
+	delete this._flagged[userId];
+	Object.keys(this._merged).forEach(function(otherId) {
+		if (self._merged[otherId] == userId) {
+			delete self._merged[otherId];
+			self.emit('phraseUnmerged', parseInt(otherId, 10), userId);
+		}
+	});
+};
+
+/**
+ * Finds the winner of a ranked vote by instant runoff.  Each ballot counts
+ * toward its highest-ranked phrase still in the running.  Until one phrase
+ * holds a majority of the counted ballots, the phrase with the fewest is
+ * knocked out; of those tied for the fewest, the one submitted last goes
+ * first.
+ *
+ * @returns {{winner: String|null, tie: Array|null, eliminated: Array}} The
+ *      winning userId, the two userIds left tied at the end if the final
+ *      count was even, and the knocked-out userIds in order
+ * @private
+ */
+Round.prototype._runoff = function() {
+	var self = this,
+		ballots = [],
+		remaining = [],
+		eliminated = [],
+		tie = null,
+		tally;
+	oUtil.forEach(this._votes, function(userId, ballot) {
+		ballot = [].concat(ballot).map(String);
+		ballots.push(ballot);
+		ballot.forEach(function(target) {
+			if (remaining.indexOf(target) == -1)
+				remaining.push(target);
+		});
+	});
+	while (remaining.length) {
+		var total = 0;
+		tally = {};
+		remaining.forEach(function(userId) {
+			tally[userId] = 0;
+		});
+		ballots.forEach(function(ballot) {
+			for (var i = 0; i < ballot.length; i++) {
+				if (tally.hasOwnProperty(ballot[i])) {
+					tally[ballot[i]]++;
+					total++;
+					break;
+				}
+			}
+		});
+		remaining.sort(function(a, b) {
+			if (tally[b] == tally[a])
+				return self._submitTimes[a] - self._submitTimes[b];
+			return tally[b] - tally[a];
+		});
+		if (remaining.length == 1 || tally[remaining[0]] * 2 > total)
+			break;
+		if (remaining.length == 2 &&
+				tally[remaining[0]] == tally[remaining[1]]) {
+			tie = remaining.slice();
+			break;
+		}
+		eliminated.push(remaining.pop());
+	}
+	return {winner: remaining[0] || null, tie: tie, eliminated: eliminated};
+};
+
+/**
+ * Restores the data of a round from a snapshot.  The round is left in the
+ * stopped phase; it's up to the caller to restart the appropriate phase with
+ * the time that was remaining.
+ *
+ * @param {Object} state A snapshot, as returned by {@link #getState}
+ * @private
+ */
+Round.prototype._setState = function(state) {
+	this._acro = state.acro;
+	this._phrases = oUtil.merge(state.phrases);
+	this._acroTime = state.hasOwnProperty('acroTime') ? state.acroTime : null;
+	this._submitTimes = oUtil.merge(state.submitTimes);
+	this._flagged = oUtil.merge(state.flagged);
+	this._merged = oUtil.merge(state.merged);
+	this._userOrder = state.userOrder.slice();
+	this._votes = oUtil.merge(state.votes);
+};
+
+/**
+ * Gets the list of users expected to take part in a phase.
+ *
+ * @param {Function} [getUsers] A function returning an array of user IDs
+ * @returns {Array} The user IDs returned by the function, or an empty array
+ *      if no function was given
+ */
+function expect(getUsers) {
+	return typeof getUsers == 'function' ? getUsers() || [] : [];
+}
+
+/**
+ * Normalizes a phrase for duplicate checking.
  *
- * @param {Number} min The minimum value for the range
- * @param {Number} max The maximum value for the range
- * @returns {Number} A random number in the given range
+ * @param {String} phrase The phrase to be normalized
+ * @param {boolean} fuzzy true to ignore case and punctuation
+ * @returns {String} The normalized phrase
  */
-function rand(min, max) {
-	return Math.floor(Math.random() * (max - min + 1)) + min;
+function normalize(phrase, fuzzy) {
+	if (fuzzy)
+		phrase = phrase.toLowerCase().replace(/[^a-z0-9\s]/g, '');
+	return phrase.replace(/\s+/g, ' ').trim();
 }
 
 /**
@@ -0,0 +1,213 @@
+/*
+ * Acrophobia
+ * Toady Module
+ * Copyright 2013 Tom Frost
+ */
+
+// Dependencies
+var sUtil = require('./util/String');
+
+/**
+ * The points a phrase earns for each of its votes under the 'diminishing'
+ * strategy, in order.  Every vote past the end of this list earns the last
+ * value.
+ * @type {Array}
+ */
+const DIMINISHING_POINTS = [3, 2, 1];
+
+/**
+ * The lines explaining each built-in strategy in the acrohelp command.  Any
+ * {placeholders} are filled in from the config.
+ * @type {Object}
+ */
+const HELP = {
+	classic: [
+		"You get {pointsFastestWithVote} points for being the fastest \
+answer to get a vote, {pointsVoteForWinner} point for voting for the winning ",
+		"answer, and 1 point for each vote your answer receives. The \
+winner gets a bonus point for",
+		"every letter in the acronym."
+	],
+	diminishing: [
+		"Your answer gets " + DIMINISHING_POINTS.join(', ') + " points for \
+its first few votes, then 1 point for each vote after that.",
+		"You also get {pointsFastestWithVote} points for being the fastest \
+answer to get a vote, {pointsVoteForWinner} point for voting for the ",
+		"winning answer, and the winner gets a bonus point for every letter \
+in the acronym."
+	],
+	votesOnly: [
+		"You get 1 point for each vote your answer receives, and that's it!"
+	]
+};
+
+/**
+ * The built-in strategies, by name.
+ * @type {Object}
+ */
+const STRATEGIES = {
+	classic: classic,
+	diminishing: diminishing,
+	votesOnly: votesOnly
+};
+
+/**
+ * Scores a round the classic way:
+ *      - Each phrase earns 1 point per vote
+ *      - The winner earns a bonus of 1 point per letter of the acro
+ *      - The fastest phrase to get a vote earns the 'pointsFastestWithVote'
+ *        option
+ *      - Everyone who voted for the winner earns the 'pointsVoteForWinner'
+ *        option
+ *      - Players who submitted a phrase but didn't vote forfeit their points
+ *
+ * Any function with this signature can be used in place of this one by
+ * setting the 'scoring' option.
+ *
+ * @param {Object} res The voting results for the round, as returned by
+ *      Round::_getResults
+ * @param {Object} opts An object mapping options keys to values.  For a
+ *      listing of these options and their defaults, see
+ *      AcroGame::DEFAULT_OPTS.  The 'numLetters' and 'userNames' options are
+ *      also provided.
+ * @returns {{points: Object, lines: Array}} A mapping of userIds to the
+ *      points they earned, and the lines explaining them to the channel
+ */
+function classic(res, opts) {
+	var points = {};
+	Object.keys(res.acroVotes).forEach(function(userId) {
+		points[userId] = res.acroVotes[userId];
+	});
+	return addBonuses(points, res, opts);
+}
+
+/**
+ * Scores a round like {@link classic}, except that each vote is worth less
+ * than the one before it, as listed in {@link DIMINISHING_POINTS}.  This
+ * keeps a single crowd favorite from running away with the game.
+ *
+ * @param {Object} res The voting results for the round, as returned by
+ *      Round::_getResults
+ * @param {Object} opts The round's options, as described in {@link classic}
+ * @returns {{points: Object, lines: Array}} The points and their explanation
+ */
+function diminishing(res, opts) {
+	var points = {},
+		last = DIMINISHING_POINTS.length - 1;
+	Object.keys(res.acroVotes).forEach(function(userId) {
+		points[userId] = 0;
+		for (var i = 0; i < res.acroVotes[userId]; i++)
+			points[userId] += DIMINISHING_POINTS[Math.min(i, last)];
+	});
+	return addBonuses(points, res, opts);
+}
+
+/**
+ * Gets a scoring strategy.
+ *
+ * @param {String|Function} scoring The name of a built-in strategy, or a
+ *      custom strategy function
+ * @returns {Function} The strategy.  Unknown names get {@link classic}.
+ */
+function get(scoring) {
+	if (typeof scoring == 'function')
+		return scoring;
+	return STRATEGIES.hasOwnProperty(scoring) ? STRATEGIES[scoring] : classic;
+}
+
+/**
+ * Scores a round by votes alone: each phrase earns 1 point per vote, with no
+ * bonuses.  Players who submitted a phrase but didn't vote still forfeit
+ * their points.
+ *
+ * @param {Object} res The voting results for the round, as returned by
+ *      Round::_getResults
+ * @param {Object} opts The round's options, as described in {@link classic}
+ * @returns {{points: Object, lines: Array}} The points and their explanation
+ */
+function votesOnly(res, opts) {
+	var points = {},
+		votes = res.acroVotes[res.winner],
+		lines = [opts.userNames[res.winner] + " wins the round with " +
+			votes + " " + sUtil.plural(votes, "vote") + "!"];
+	Object.keys(res.acroVotes).forEach(function(userId) {
+		points[userId] = res.acroVotes[userId];
+	});
+	forfeit(points, lines, res, opts);
+	return {points: points, lines: lines};
+}
+
+/**
+ * Adds the classic winner, fastest, and voter bonuses to a set of points,
+ * and takes away the points of anyone who didn't vote.
+ *
+ * @param {Object} points A mapping of userIds to the points earned from votes
+ * @param {Object} res The voting results for the round
+ * @param {Object} opts The round's options, as described in {@link classic}
+ * @returns {{points: Object, lines: Array}} The points and their explanation
+ */
+function addBonuses(points, res, opts) {
+	var lines = [opts.userNames[res.winner] + " wins the round! A " +
+		opts.numLetters + " point bonus will be awarded to this player."];
+	points[res.fastestWithVote] += opts.pointsFastestWithVote;
+	points[res.winner] += opts.numLetters;
+	res.topVoters.forEach(function(voter) {
+		points[voter] = (points[voter] || 0) + opts.pointsVoteForWinner;
+	});
+	if (opts.pointsFastestWithVote) {
+		lines.push(opts.userNames[res.fastestWithVote] + " submitted the \
+fastest answer to receive a vote, and earns " + opts.pointsFastestWithVote +
+			" " + sUtil.plural(opts.pointsFastestWithVote, "point") + ".");
+	}
+	if (opts.pointsVoteForWinner) {
+		lines.push("The following users voted for the winning answer, and \
+will each receive " + opts.pointsVoteForWinner + ' ' +
+			sUtil.plural(opts.pointsVoteForWinner, "point") + ': ' +
+			names(res.topVoters, opts));
+	}
+	forfeit(points, lines, res, opts);
+	return {points: points, lines: lines};
+}
+
+/**
+ * Takes away the points of every player who submitted a phrase but didn't
+ * vote, and explains why.
+ *
+ * @param {Object} points A mapping of userIds to points, which is modified
+ * @param {Array} lines The explanation lines, to which a line is added if
+ *      anyone forfeits
+ * @param {Object} res The voting results for the round
+ * @param {Object} opts The round's options, as described in {@link classic}
+ */
+function forfeit(points, lines, res, opts) {
+	res.nonVoters.forEach(function(nonVoter) {
+		if (points[nonVoter])
+			points[nonVoter] = 0;
+	});
+	if (res.nonVoters.length) {
+		lines.push("The following users did not vote, and forfeit their \
+points for this round: " + names(res.nonVoters, opts));
+	}
+}
+
+/**
+ * Lists the names of a set of users.
+ *
+ * @param {Array} userIds The userIds to be listed
+ * @param {Object} opts The round's options, as described in {@link classic}
+ * @returns {String} The names, separated by commas
+ */
+function names(userIds, opts) {
+	return userIds.map(function(userId) {
+		return opts.userNames[userId];
+	}).join(', ');
+}
+
+module.exports = {
+	HELP: HELP,
+	NAMES: Object.keys(STRATEGIES),
+	classic: classic,
+	diminishing: diminishing,
+	get: get,
+	votesOnly: votesOnly
+};
@@ -0,0 +1,143 @@
+/*
+ * Acrophobia
+ * Toady Module
+ * Copyright 2013 Tom Frost
+ */
+
+// Dependencies
+var JsonStore = require('./util/JsonStore'),
+	util = require('util');
+
+/**
+ * The names of the counters tracked for each player.
+ * @type {Array}
+ */
+const STAT_KEYS = ['games', 'wins', 'faceOffs', 'roundWins', 'votes'];
+
+/**
+ * The StatsStore keeps an all-time record of every Acrophobia game, both per
+ * channel and across all channels, so that players' totals survive long after
+ * the AcroGame that produced them has ended.
+ *
+ * Players are tracked by nick, case-insensitively.  The following counters
+ * are kept for each:
+ *      - games: The number of games in which the player submitted a phrase
+ *        or voted
+ *      - wins: The number of games the player won
+ *      - faceOffs: The number of times the player reached the face-off
+ *      - roundWins: The number of normal rounds the player won
+ *      - votes: The total number of votes the player's phrases received
+ *
+ * @param {String} file The path to the JSON file in which stats are stored
+ * @constructor
+ */
+var StatsStore = function(file) {
+	JsonStore.call(this, file, {
+		global: {},
+		channels: {}
+	});
+};
+util.inherits(StatsStore, JsonStore);
+
+/**
+ * Gets the stats for a single player.
+ *
+ * @param {String} nick The nick of the player
+ * @param {String} [channel] The channel for which stats should be retrieved.
+ *      If omitted, the player's totals across all channels are returned.
+ * @returns {Object|null} An object containing the nick and each of the stat
+ *      counters, or null if the player has no recorded games.
+ */
+StatsStore.prototype.getPlayer = function(nick, channel) {
+	var players = this._getPlayers(channel);
+	return players[nick.toLowerCase()] || null;
+};
+
+/**
+ * Gets the players with the most wins, ranked by wins, then round wins, then
+ * votes received.
+ *
+ * @param {String} [channel] The channel for which to rank players.  If
+ *      omitted, the ranking will cover all channels.
+ * @param {Number} limit The maximum number of players to return
+ * @returns {Array} An array of stat objects, as returned by
+ *      {@link #getPlayer}, sorted from the best player to the worst
+ */
+StatsStore.prototype.getTop = function(channel, limit) {
+	var players = this._getPlayers(channel);
+	return Object.keys(players).map(function(key) {
+		return players[key];
+	}).sort(function(a, b) {
+		return (b.wins - a.wins) || (b.roundWins - a.roundWins) ||
+			(b.votes - a.votes);
+	}).slice(0, limit);
+};
+
+/**
+ * Records the outcome of a game that has ended, whether it finished or was
+ * stopped early, and saves the updated totals to disk.
+ *
+ * @param {String} channel The channel on which the game was played
+ * @param {Object} summary The game summary, as returned by
+ *      AcroGame::getSummary
+ * @param {Function} [cb] A callback function to be executed when the stats
+ *      have been saved.  Arguments provided are:
+ *          - {Error} If an error occurred
+ */
+StatsStore.prototype.recordGame = function(channel, summary, cb) {
+	var self = this,
+		chanKey = channel.toLowerCase();
+	if (!this.data.channels[chanKey])
+		this.data.channels[chanKey] = {};
+	summary.players.forEach(function(player) {
+		var won = summary.winner !== null &&
+			player.name.toLowerCase() == summary.winner.toLowerCase();
+		[self.data.global, self.data.channels[chanKey]].forEach(function(set) {
+			var stats = getOrCreate(set, player.name);
+			stats.games++;
+			if (won)
+				stats.wins++;
+			if (player.faceOff)
+				stats.faceOffs++;
+			stats.roundWins += player.roundWins;
+			stats.votes += player.votes;
+		});
+	});
+	this.save(cb);
+};
+
+/**
+ * Gets the player stats map for the given channel, or the global map.
+ *
+ * @param {String} [channel] The channel whose players should be returned
+ * @returns {Object} A mapping of lowercase nicks to stat objects
+ * @private
+ */
+StatsStore.prototype._getPlayers = function(channel) {
+	if (!channel)
+		return this.data.global;
+	return this.data.channels[channel.toLowerCase()] || {};
+};
+
+/**
+ * Gets the stats object for a nick from a player map, creating an empty one
+ * if it doesn't exist yet.  The displayed nick is always updated to the most
+ * recently seen capitalization.
+ *
+ * @param {Object} players A mapping of lowercase nicks to stat objects
+ * @param {String} nick The nick of the player
+ * @returns {Object} The player's stat object
+ */
+function getOrCreate(players, nick) {
+	var key = nick.toLowerCase();
+	if (!players[key]) {
+		players[key] = {};
+		STAT_KEYS.forEach(function(stat) {
+			players[key][stat] = 0;
+		});
+	}
+	players[key].nick = nick;
+	return players[key];
+}
+
+module.exports = StatsStore;
@@ -0,0 +1,257 @@
+/*
+ * Acrophobia
+ * Toady Module
+ * Copyright 2013 Tom Frost
+ */
+
+// Dependencies
+var http = require('http');
+
+/**
+ * The number of seconds between reloads of the HTML scoreboard.
+ * @type {number}
+ */
+const REFRESH_SECS = 5;
+
+/**
+ * The StatusServer is a small HTTP server that lets spectators follow the
+ * Acrophobia games from a browser or another program.  It answers
+ * the following requests:
+ *      - GET /: A scoreboard page for every game, which reloads
+ *        itself every few seconds
+ *      - GET /games: An array of the status of every game, as JSON
+ *      - GET /games/CHANNEL: The status of the game in a single channel, as
+ *        JSON.  The channel name must be URL-encoded, so '#acro' is requested
+ *        as /games/%23acro.
+ *
+ * Each game's status is the object returned by AcroGame::getStatus, with a
+ * 'channel' property added.
+ *
+ * @param {Function} getGames A function returning an object that maps
+ *      channel names to the AcroGame running in each
+ * @constructor
+ */
+var StatusServer = function(getGames) {
+	this._getGames = getGames;
+	this._server = http.createServer(this._handleRequest.bind(this));
+	this._listening = false;
+	this._closed = false;
+};
+
+/**
+ * Stops accepting requests.  Requests already in progress are finished
+ * first.  If the server is still starting, it shuts down as soon as it has
+ * started.
+ *
+ * @param {Function} [cb] A callback function to be executed when the server
+ *      has shut down
+ */
+StatusServer.prototype.close = function(cb) {
+	this._closed = true;
+	if (this._listening) {
+		this._listening = false;
+		this._server.close(function() {
+			if (cb)
+				cb();
+		});
+	}
+	else if (cb)
+		process.nextTick(cb);
+};
+
+/**
+ * Gets the port on which the server is listening.  This is most useful when
+ * the server was started on port 0, which lets the system choose one.
+ *
+ * @returns {Number|null} The port, or null if the server is not listening
+ */
+StatusServer.prototype.getPort = function() {
+	return this._listening ? this._server.address().port : null;
+};
+
+/**
+ * Starts accepting requests.
+ *
+ * @param {Number} port The port on which to listen
+ * @param {String} host The address on which to listen.  Use '127.0.0.1' to
+ *      only allow requests from the bot's own machine.
+ * @param {Function} [cb] A callback function to be executed when the server
+ *      is listening, or could not be started.  Arguments provided are:
+ *          - {Error} If the server could not be started
+ */
+StatusServer.prototype.listen = function(port, host, cb) {
+	var self = this;
+	function onError(err) {
+		self._server.removeListener('listening', onListening);
+		if (cb)
+			cb(err);
+	}
+	function onListening() {
+		self._server.removeListener('error', onError);
+		if (self._closed) {
+			self._server.close();
+			if (cb)
+				cb(new Error("The server was closed while starting"));
+		}
+		else {
+			self._listening = true;
+			if (cb)
+				cb();
+		}
+	}
+	this._server.once('error', onError);
+	this._server.once('listening', onListening);
+	this._server.listen(port, host);
+};
+
+/**
+ * Gets the status of every game, sorted by channel.
+ *
+ * @returns {Array} An array of game statuses, as described in
+ *      {@link StatusServer}
+ * @private
+ */
+StatusServer.prototype._getStatuses = function() {
+	var games = this._getGames();
+	return Object.keys(games).sort().map(function(channel) {
+		return gameStatus(channel, games[channel]);
+	});
+};
+
+/**
+ * Answers a single HTTP request.
+ *
+ * @param {http.IncomingMessage} req The request
+ * @param {http.ServerResponse} res The response to be sent
+ * @private
+ */
+StatusServer.prototype._handleRequest = function(req, res) {
+	var path = req.url.split('?')[0],
+		games, channel;
+	if (req.method != 'GET' && req.method != 'HEAD')
+		send(res, 405, 'text/plain', 'Method not allowed');
+	else if (path == '/')
+		send(res, 200, 'text/html', renderPage(this._getStatuses()));
+	else if (path == '/games')
+		sendJson(res, 200, this._getStatuses());
+	else if (path.indexOf('/games/') === 0) {
+		games = this._getGames();
+		try {
+			channel = decodeURIComponent(path.substr(7));
+		}
+		catch (e) {
+			channel = null;
+		}
+		if (channel && games.hasOwnProperty(channel))
+			sendJson(res, 200, gameStatus(channel, games[channel]));
+		else
+			sendJson(res, 404, {error: 'No game is running in that channel'});
+	}
+	else
+		send(res, 404, 'text/plain', 'Not found');
+};
+
+/**
+ * Escapes a string for use in HTML.
+ *
+ * @param {*} text The text to be escaped
+ * @returns {String} The escaped text
+ */
+function escapeHtml(text) {
+	return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Gets the status of a single game.
+ *
+ * @param {String} channel The channel in which the game is running
+ * @param {AcroGame} game The game
+ * @returns {Object} The game's status, as described in {@link StatusServer}
+ */
+function gameStatus(channel, game) {
+	var status = game.getStatus();
+	status.channel = channel;
+	return status;
+}
+
+/**
+ * Renders the scoreboard section for a single game.
+ *
+ * @param {Object} status The game's status, as described in
+ *      {@link StatusServer}
+ * @returns {String} The HTML for the game
+ */
+function renderGame(status) {
+	var html = '<h2>' + escapeHtml(status.channel) + '</h2>\n<p>',
+		rows = status.scoreboard.players.map(function(player) {
+			return '<tr><td>' + escapeHtml(player.name) + '</td><td>' +
+				player.score + '</td></tr>';
+		});
+	html += 'Round ' + status.round + ': ' + escapeHtml(status.phase);
+	if (status.paused)
+		html += ' (paused)';
+	if (status.acro)
+		html += ' &mdash; <strong>' + escapeHtml(status.acro) + '</strong>';
+	if (status.category)
+		html += ' (' + escapeHtml(status.category) + ')';
+	if (status.secsRemaining !== null)
+		html += ' &mdash; ' + status.secsRemaining + ' seconds left';
+	html += ' &mdash; ' + status.submitted + ' submitted</p>\n';
+	status.scoreboard.teams.forEach(function(team) {
+		rows.push('<tr><td><em>Team ' + escapeHtml(team.name) +
+			'</em></td><td>' + team.score + '</td></tr>');
+	});
+	if (rows.length) {
+		html += '<table>\n<tr><th>Player</th><th>Score</th></tr>\n' +
+			rows.join('\n') + '\n</table>\n';
+	}
+	return html;
+}
+
+/**
+ * Renders the scoreboard page.
+ *
+ * @param {Array} statuses The status of every game
+ * @returns {String} The page's HTML
+ */
+function renderPage(statuses) {
+	return '<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n' +
+		'<meta http-equiv="refresh" content="' + REFRESH_SECS + '">\n' +
+		'<title>Acrophobia</title>\n</head>\n<body>\n<h1>Acrophobia</h1>\n' +
+		(statuses.length ? statuses.map(renderGame).join('') :
+			'<p>No games are running.</p>\n') +
+		'</body>\n</html>\n';
+}
+
+/**
+ * Sends a complete response.  Connections are not kept alive, so that
+ * closing the server is never held up by an idle browser.
+ *
+ * @param {http.ServerResponse} res The response to be sent
+ * @param {Number} code The HTTP status code
+ * @param {String} type The MIME type of the body
+ * @param {String} body The body
+ */
+function send(res, code, type, body) {
+	res.writeHead(code, {
+		'Content-Type': type + '; charset=utf-8',
+		'Content-Length': Buffer.byteLength(body),
+		'Cache-Control': 'no-cache',
+		'Connection': 'close'
+	});
+	res.end(body);
+}
+
+/**
+ * Sends an object as a JSON response.
+ *
+ * @param {http.ServerResponse} res The response to be sent
+ * @param {Number} code The HTTP status code
+ * @param {Object} obj The object to be sent
+ */
+function sendJson(res, code, obj) {
+	send(res, code, 'application/json', JSON.stringify(obj));
+}
+
+module.exports = StatusServer;
@@ -0,0 +1,192 @@
+/*
+ * Acrophobia
+ * Toady Module
+ * Copyright 2013 Tom Frost
+ */
+
+// Dependencies
+var sUtil = require('./util/String');
+
+/**
+ * The characters that are escaped in Markdown transcripts, so that phrases
+ * and names are shown exactly as they were typed.
+ * @type {RegExp}
+ */
+const MARKDOWN_SPECIAL = /([\\`*_\[\]|<>])/g;
+
+/**
+ * Finds a single round of a transcript.
+ *
+ * @param {Object} transcript A transcript, as described in {@link toMarkdown}
+ * @param {String} name The round's number, such as '3' for the third normal
+ *      round, or 'f2' for the second face-off round
+ * @returns {Object|null} The round, or null if there's no such round
+ */
+function findRound(transcript, name) {
+	var match = /^(f?)(\d+)$/i.exec(name || ''),
+		found = null;
+	if (match) {
+		transcript.rounds.forEach(function(round) {
+			if (round.faceOff == !!match[1] && round.round == match[2])
+				found = round;
+		});
+	}
+	return found;
+}
+
+/**
+ * Summarizes a transcript for IRC, with the winning phrase of each round.
+ *
+ * @param {Object} transcript A transcript, as described in {@link toMarkdown}
+ * @returns {Array} The lines of the summary
+ */
+function summarize(transcript) {
+	var lines = ["The game in " + transcript.channel + " ended " +
+		formatDate(transcript.endedAt) + ". " +
+		(transcript.winner ? transcript.winner + " won!" : "No one won.")];
+	transcript.rounds.forEach(function(round) {
+		var top = round.phrases.filter(function(phrase) {
+			return round.winner && phrase.userId == round.winner.userId;
+		})[0];
+		lines.push(label(round) + " [" + round.acro + "]: " + (top ? '"' +
+			top.phrase + '" by ' + top.name + " (" + top.votes + " " +
+			sUtil.plural(top.votes, "vote") + ")" : "no winner"));
+	});
+	return lines;
+}
+
+/**
+ * Lists every phrase of a single round for IRC, with its author, submit
+ * time, and votes.
+ *
+ * @param {Object} round A round from the transcript, as described in
+ *      AcroGame::getTranscript
+ * @returns {Array} The lines of the listing
+ */
+function summarizeRound(round) {
+	var lines = [label(round) + " [" + round.acro + "]" +
+		(round.category ? " (" + round.category + ")" : "") + ":"];
+	round.phrases.forEach(function(phrase) {
+		lines.push('  "' + phrase.phrase + '" by ' + phrase.name +
+			(phrase.secs === null ? "" : " at " + phrase.secs + "s") + ", " +
+			phrase.votes + " " + sUtil.plural(phrase.votes, "vote") + ", " +
+			phrase.points + " " + sUtil.plural(phrase.points, "point"));
+	});
+	if (!round.phrases.length)
+		lines.push("  No phrases were submitted.");
+	return lines;
+}
+
+/**
+ * Renders a transcript as a readable Markdown document.
+ *
+ * @param {Object} transcript A transcript, as returned by
+ *      AcroGame::getTranscript, with two more properties:
+ *          - channel: {String} The channel in which the game was played
+ *          - endedAt: {String} When the game ended, as an ISO 8601 string
+ * @returns {String} The Markdown document
+ */
+function toMarkdown(transcript) {
+	var out = ["# Acrophobia in " + md(transcript.channel), "",
+		"Ended " + formatDate(transcript.endedAt) + ". " +
+		(transcript.winner ? "Winner: **" + md(transcript.winner) + "**" :
+			"No one won."), ""];
+	transcript.rounds.forEach(function(round) {
+		out.push("## " + label(round) + ": " + round.acro, "");
+		if (round.category)
+			out.push("Category: " + md(round.category), "");
+		if (round.phrases.length) {
+			out.push("| Player | Phrase | Time | Votes | Points |",
+				"| --- | --- | ---: | ---: | ---: |");
+			round.phrases.forEach(function(phrase) {
+				out.push("| " + [md(phrase.name), md(phrase.phrase),
+					phrase.secs === null ? "" : phrase.secs + "s",
+					phrase.votes, phrase.points].join(" | ") + " |");
+			});
+			out.push("");
+		}
+		else
+			out.push("No phrases were submitted.", "");
+		if (round.winner)
+			out.push("Winner: " + md(round.winner.name) + ".");
+		if (round.fastest) {
+			out.push((round.faceOff ? "Fastest: " :
+				"Fastest with a vote: ") + md(round.fastest.name) + ".");
+		}
+		if (round.votes.length) {
+			out.push("Votes: " + round.votes.map(function(vote) {
+				return md(vote.name) + " voted for " +
+					vote.votedFor.map(userName).join(", ");
+			}).join("; ") + ".");
+		}
+		out.push("");
+	});
+	out.push("## Final scores", "",
+		"| Player | Score | Round wins | Votes | Face-off |",
+		"| --- | ---: | ---: | ---: | --- |");
+	transcript.players.slice().sort(function(a, b) {
+		return b.score - a.score;
+	}).forEach(function(player) {
+		out.push("| " + [md(player.name) + (player.team ? " (" +
+			md(player.team) + ")" : ""), player.score, player.roundWins,
+			player.votes, player.faceOff ? "yes" : ""].join(" | ") + " |");
+	});
+	if (Object.keys(transcript.teams).length) {
+		out.push("", "| Team | Score |", "| --- | ---: |");
+		Object.keys(transcript.teams).forEach(function(team) {
+			out.push("| " + md(team) + " | " + transcript.teams[team] + " |");
+		});
+	}
+	out.push("");
+	return out.join("\n");
+}
+
+/**
+ * Formats a date for display, in UTC.
+ *
+ * @param {String} iso The date, as an ISO 8601 string
+ * @returns {String} The date, such as "2013-06-01 20:15 UTC"
+ */
+function formatDate(iso) {
+	return iso.substr(0, 10) + " " + iso.substr(11, 5) + " UTC";
+}
+
+/**
+ * Gets the label of a round, such as "Round 3" or "Face-off round 2".
+ *
+ * @param {Object} round A round from the transcript, as described in
+ *      AcroGame::getTranscript
+ * @returns {String} The round's label
+ */
+function label(round) {
+	if (round.suddenDeath)
+		return "Sudden death round " + round.round;
+	return (round.faceOff ? "Face-off round " : "Round ") + round.round;
+}
+
+/**
+ * Escapes text for use in Markdown.
+ *
+ * @param {*} text The text to be escaped
+ * @returns {String} The escaped text
+ */
+function md(text) {
+	return String(text).replace(MARKDOWN_SPECIAL, '\\$1');
+}
+
+/**
+ * Gets the escaped name of a user.
+ *
+ * @param {{userId: Number, name: String}} user The user
+ * @returns {String} The user's name, escaped for Markdown
+ */
+function userName(user) {
+	return md(user.name);
+}
+
+module.exports = {
+	findRound: findRound,
+	summarize: summarize,
+	summarizeRound: summarizeRound,
+	toMarkdown: toMarkdown
+};
@@ -0,0 +1,117 @@
+/*
+ * Acrophobia
+ * Toady Module
+ * Copyright 2013 Tom Frost
+ */
+
+// Dependencies
+var fs = require('fs'),
+	path = require('path');
+
+/**
+ * Creates a directory and any of its missing parents.
+ *
+ * @param {String} dir The path of the directory to be created
+ * @param {Function} cb A callback function to be executed when the directory
+ *      exists.  Arguments provided are:
+ *          - {Error} If an error occurred
+ */
+function mkdirs(dir, cb) {
+	fs.mkdir(dir, function(err) {
+		if (err && err.code == 'ENOENT') {
+			mkdirs(path.dirname(dir), function(err) {
+				if (err)
+					cb(err);
+				else
+					mkdirs(dir, cb);
+			});
+		}
+		else if (err && err.code != 'EEXIST')
+			cb(err);
+		else
+			cb();
+	});
+}
+
+/**
+ * Synchronously reads and parses a JSON file.  This is meant to be used only
+ * while the mod is loading, before any game is running.
+ *
+ * @param {String} file The path to the JSON file
+ * @param {*} defaultVal The value to be returned if the file does not exist
+ * @returns {*} The parsed contents of the file, or defaultVal
+ * @throws {Error} If the file exists but cannot be read or parsed
+ */
+function readJson(file, defaultVal) {
+	try {
+		return JSON.parse(fs.readFileSync(file, 'utf8'));
+	}
+	catch (e) {
+		if (e.code == 'ENOENT')
+			return defaultVal;
+		throw new Error("Could not read " + file + ": " + e.message);
+	}
+}
+
+/**
+ * Deletes a file, ignoring the error if it does not exist.
+ *
+ * @param {String} file The path to the file to be deleted
+ * @param {Function} [cb] A callback function to be executed when the file
+ *      is gone.  Arguments provided are:
+ *          - {Error} If an error occurred
+ */
+function remove(file, cb) {
+	fs.unlink(file, function(err) {
+		if (cb)
+			cb(err && err.code != 'ENOENT' ? err : null);
+	});
+}
+
+/**
+ * Serializes an object to a JSON file, in the same way as {@link writeText}.
+ *
+ * @param {String} file The path to the JSON file
+ * @param {*} obj The object to be serialized
+ * @param {Function} [cb] A callback function to be executed when the file
+ *      has been written.  Arguments provided are:
+ *          - {Error} If an error occurred
+ */
+function writeJson(file, obj, cb) {
+	writeText(file, JSON.stringify(obj, null, '\t'), cb);
+}
+
+/**
+ * Writes a string to a file.  The data is written to a temporary file first
+ * and then renamed over the target, so a crash in the middle of the write
+ * never leaves a truncated file behind.  Any missing directories in the path
+ * will be created.
+ *
+ * @param {String} file The path to the file
+ * @param {String} text The contents of the file
+ * @param {Function} [cb] A callback function to be executed when the file
+ *      has been written.  Arguments provided are:
+ *          - {Error} If an error occurred
+ */
+function writeText(file, text, cb) {
+	var tmp = file + '.tmp';
+	cb = cb || function() {};
+	mkdirs(path.dirname(file), function(err) {
+		if (err)
+			return cb(err);
+		fs.writeFile(tmp, text, function(err) {
+			if (err)
+				cb(err);
+			else
+				fs.rename(tmp, file, cb);
+		});
+	});
+}
+
+module.exports = {
+	mkdirs: mkdirs,
+	readJson: readJson,
+	remove: remove,
+	writeJson: writeJson,
+	writeText: writeText
+};
@@ -0,0 +1,75 @@
+/*
+ * Acrophobia
+ * Toady Module
+ * Copyright 2013 Tom Frost
+ */
+
+// Dependencies
+var fUtil = require('./File');
+
+/**
+ * A JsonStore keeps a single object in memory and persists it to a JSON file
+ * on disk.  The file is read once, when the store is created, and rewritten
+ * every time {@link #save} is called.  Saves are serialized, so calling save
+ * while a previous write is still in progress simply schedules one more write
+ * with the latest data once the current one completes.
+ *
+ * @param {String} file The path to the JSON file backing this store
+ * @param {Object} defaults An object providing the default value for any
+ *      top-level key missing from the file
+ * @throws {Error} If the file exists but cannot be read or parsed, so that
+ *      its data isn't overwritten by the next save
+ * @constructor
+ */
+var JsonStore = function(file, defaults) {
+	var self = this;
+	this._file = file;
+	this._saving = false;
+	this._dirty = false;
+	this._saveCbs = [];
+	this.data = fUtil.readJson(file, {});
+	Object.keys(defaults || {}).forEach(function(key) {
+		if (!self.data.hasOwnProperty(key))
+			self.data[key] = defaults[key];
+	});
+};
+
+/**
+ * Writes the current contents of {@link #data} to disk.
+ *
+ * @param {Function} [cb] A callback function to be executed when the data
+ *      has been written.  Arguments provided are:
+ *          - {Error} If an error occurred
+ */
+JsonStore.prototype.save = function(cb) {
+	if (cb)
+		this._saveCbs.push(cb);
+	if (this._saving)
+		this._dirty = true;
+	else
+		this._write();
+};
+
+/**
+ * Performs a single write of the store's data, looping if more changes were
+ * saved while the write was in progress.
+ *
+ * @private
+ */
+JsonStore.prototype._write = function() {
+	var self = this,
+		cbs = this._saveCbs;
+	this._saving = true;
+	this._dirty = false;
+	this._saveCbs = [];
+	fUtil.writeJson(this._file, this.data, function(err) {
+		self._saving = false;
+		cbs.forEach(function(cb) {
+			cb(err);
+		});
+		if (self._dirty)
+			self._write();
+	});
+};
+
+module.exports = JsonStore;
@@ -0,0 +1,44 @@
+/*
+ * Acrophobia
+ * Toady Module
+ * Copyright 2013 Tom Frost
+ */
+
+/**
+ * The Scheduler is the source of time for every Acrophobia game.  Anything
+ * that needs to wait or check the time goes through an object with this
+ * interface, passed in the 'scheduler' option, so that the real clock can be
+ * swapped out for a VirtualScheduler in tests and simulations.
+ *
+ * This default implementation simply wraps the real clock and Node's timers.
+ */
+module.exports = {
+	/**
+	 * Cancels a pending timeout.
+	 *
+	 * @param {*} handle The handle returned by {@link #setTimeout}
+	 */
+	clearTimeout: function(handle) {
+		clearTimeout(handle);
+	},
+
+	/**
+	 * Gets the current time.
+	 *
+	 * @returns {Number} The current time, in milliseconds
+	 */
+	now: function() {
+		return Date.now();
+	},
+
+	/**
+	 * Executes a function after the given number of milliseconds.
+	 *
+	 * @param {Function} fn The function to be executed
+	 * @param {Number} ms The number of milliseconds to wait
+	 * @returns {*} A handle that can be passed to {@link #clearTimeout}
+	 */
+	setTimeout: function(fn, ms) {
+		return setTimeout(fn, ms);
+	}
+};
@@ -0,0 +1,34 @@
+/*
+ * Acrophobia
+ * Toady Module
+ * Copyright 2013 Tom Frost
+ */
+
+/**
+ * Formats an acro for display in the channel, with its category if the
+ * round is themed.
+ *
+ * @param {String} acro The acro
+ * @param {String|null} [category] The round's category, if it has one
+ * @returns {String} The acro in brackets, followed by the category
+ */
+function formatAcro(acro, category) {
+	return "[ " + acro + " ]" + (category ? " (Category: " + category + ")" :
+		'');
+}
+
+/**
+ * Adds an 's' to a given word if the provided num is not 1.
+ *
+ * @param {Number} num A number to decide if the word should be plural
+ * @param {String} word A word that can be pluralized by adding 's'
+ * @returns {String} The word, with the 's' appended if appropriate
+ */
+function plural(num, word) {
+	return word + (num != 1 ? 's' : '');
+}
+
+module.exports = {
+	formatAcro: formatAcro,
+	plural: plural
+};
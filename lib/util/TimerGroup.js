@@ -0,0 +1,176 @@
+/*
+ * Acrophobia
+ * Toady Module
+ * Copyright 2013 Tom Frost
+ */
+
+// Dependencies
+var Scheduler = require('./Scheduler');
+
+/**
+ * A TimerGroup manages a set of timeouts that can be paused and resumed
+ * together.  When the group is paused, every pending timeout is frozen with
+ * its remaining time intact; resuming the group schedules each of them again
+ * for exactly the time they had left.
+ *
+ * The group also keeps its own clock, available through {@link #now}, which
+ * stands still while the group is paused.
+ *
+ * @param {Object} [scheduler] The scheduler providing the underlying clock and
+ *      timeouts, as described in util/Scheduler.  Defaults to the real clock.
+ * @constructor
+ */
+var TimerGroup = function(scheduler) {
+	this._scheduler = scheduler || Scheduler;
+	this._timers = {};
+	this._nextId = 1;
+	this._paused = false;
+	this._closed = false;
+	this._pausedAt = 0;
+	this._pausedTotal = 0;
+};
+
+/**
+ * Cancels a pending timeout.
+ *
+ * @param {Number} id The ID of the timeout, as returned by {@link #setTimeout}
+ */
+TimerGroup.prototype.clearTimeout = function(id) {
+	var timer = this._timers[id];
+	if (timer) {
+		this._scheduler.clearTimeout(timer.handle);
+		delete this._timers[id];
+	}
+};
+
+/**
+ * Cancels every pending timeout and closes the group.  Any timeout scheduled
+ * on a closed group is silently ignored, so straggling callbacks from a
+ * stopped game can't start new timers.
+ */
+TimerGroup.prototype.close = function() {
+	for (var id in this._timers) {
+		if (this._timers.hasOwnProperty(id))
+			this.clearTimeout(id);
+	}
+	this._closed = true;
+};
+
+/**
+ * Determines whether the group is currently paused.
+ *
+ * @returns {boolean} true if paused; false otherwise
+ */
+TimerGroup.prototype.isPaused = function() {
+	return this._paused;
+};
+
+/**
+ * Gets the current time on this group's clock.  The clock does not advance
+ * while the group is paused.
+ *
+ * @returns {Number} The current time, in milliseconds
+ */
+TimerGroup.prototype.now = function() {
+	var now = this._paused ? this._pausedAt : this._scheduler.now();
+	return now - this._pausedTotal;
+};
+
+/**
+ * Freezes all pending timeouts, remembering the time each one has left.
+ *
+ * @returns {boolean} true if the group was paused; false if it was already
+ *      paused.
+ */
+TimerGroup.prototype.pause = function() {
+	if (this._paused)
+		return false;
+	var now = this.now();
+	this._pausedAt = this._scheduler.now();
+	this._paused = true;
+	for (var id in this._timers) {
+		if (this._timers.hasOwnProperty(id)) {
+			this._scheduler.clearTimeout(this._timers[id].handle);
+			this._timers[id].remaining = Math.max(this._timers[id].due - now,
+				0);
+		}
+	}
+	return true;
+};
+
+/**
+ * Gets the number of milliseconds left before a pending timeout fires.
+ *
+ * @param {Number} id The ID of the timeout, as returned by {@link #setTimeout}
+ * @returns {Number|null} The milliseconds remaining, or null if no such
+ *      timeout is pending
+ */
+TimerGroup.prototype.remaining = function(id) {
+	var timer = this._timers[id];
+	if (!timer)
+		return null;
+	return Math.max(timer.due - this.now(), 0);
+};
+
+/**
+ * Restarts all timeouts frozen by {@link #pause}, giving each the exact time
+ * it had left when the group was paused.
+ *
+ * @returns {boolean} true if the group was resumed; false if it was not
+ *      paused.
+ */
+TimerGroup.prototype.resume = function() {
+	if (!this._paused)
+		return false;
+	this._pausedTotal += this._scheduler.now() - this._pausedAt;
+	this._paused = false;
+	for (var id in this._timers) {
+		if (this._timers.hasOwnProperty(id))
+			this._schedule(id, this._timers[id].remaining);
+	}
+	return true;
+};
+
+/**
+ * Executes a function after the given number of milliseconds.  If the group
+ * is paused, the countdown will not begin until it is resumed.
+ *
+ * @param {Function} fn The function to be executed
+ * @param {Number} ms The number of milliseconds to wait
+ * @returns {Number|null} The ID of the timeout, which can be passed to
+ *      {@link #clearTimeout}, or null if the group has been closed
+ */
+TimerGroup.prototype.setTimeout = function(fn, ms) {
+	if (this._closed)
+		return null;
+	var id = this._nextId++;
+	this._timers[id] = {
+		fn: fn,
+		due: this.now() + ms,
+		remaining: ms,
+		handle: null
+	};
+	if (!this._paused)
+		this._schedule(id, ms);
+	return id;
+};
+
+/**
+ * Schedules a tracked timeout to fire after the given number of
+ * milliseconds.
+ *
+ * @param {Number} id The ID of the timeout
+ * @param {Number} ms The number of milliseconds to wait
+ * @private
+ */
+TimerGroup.prototype._schedule = function(id, ms) {
+	var self = this,
+		timer = this._timers[id];
+	timer.due = this.now() + ms;
+	timer.handle = this._scheduler.setTimeout(function() {
+		delete self._timers[id];
+		timer.fn();
+	}, ms);
+};
+
+module.exports = TimerGroup;
@@ -0,0 +1,175 @@
+/*
+ * Acrophobia
+ * Toady Module
+ * Copyright 2013 Tom Frost
+ */
+
+/**
+ * The VirtualScheduler implements the same interface as the default
+ * Scheduler, but its clock only moves when it's told to.  Timeouts fire in
+ * order of their due time as the clock is advanced, which allows an entire
+ * game to be played out deterministically and instantly.
+ *
+ * @param {Number} [start] The time at which the clock should start, in
+ *      milliseconds.  Defaults to 0.
+ * @constructor
+ */
+var VirtualScheduler = function(start) {
+	this._now = start || 0;
+	this._timers = [];
+	this._nextId = 1;
+};
+
+/**
+ * Moves the clock forward by the given number of milliseconds, firing every
+ * timeout that comes due along the way.  Timeouts scheduled by the fired
+ * functions will also be fired if they come due within the same window.
+ *
+ * @param {Number} ms The number of milliseconds to advance the clock
+ * @returns {Number} The number of timeouts that were fired
+ */
+VirtualScheduler.prototype.advance = function(ms) {
+	var target = this._now + ms,
+		fired = 0,
+		timer;
+	while ((timer = this._next()) && timer.due <= target) {
+		this._fire(timer);
+		fired++;
+	}
+	this._now = target;
+	return fired;
+};
+
+/**
+ * Cancels a pending timeout.
+ *
+ * @param {Number} handle The handle returned by {@link #setTimeout}
+ */
+VirtualScheduler.prototype.clearTimeout = function(handle) {
+	this._timers = this._timers.filter(function(timer) {
+		return timer.id !== handle;
+	});
+};
+
+/**
+ * Gets the current time on the virtual clock.
+ *
+ * @returns {Number} The current time, in milliseconds
+ */
+VirtualScheduler.prototype.now = function() {
+	return this._now;
+};
+
+/**
+ * Gets the number of timeouts that have not yet fired.
+ *
+ * @returns {Number} The number of pending timeouts
+ */
+VirtualScheduler.prototype.pending = function() {
+	return this._timers.length;
+};
+
+/**
+ * Moves the clock forward like {@link #advance}, but yields to the event loop
+ * before firing each timeout.  Work that is deferred with process.nextTick,
+ * as Seq chains are, is therefore allowed to finish and schedule its own
+ * timeouts before the clock moves on.  This is the method to use when driving
+ * a whole game.
+ *
+ * @param {Number|null} ms The number of milliseconds to advance the clock, or
+ *      null to keep going until no timeouts are pending
+ * @param {Function} cb A callback function to be executed when the clock has
+ *      been advanced.  Arguments provided are:
+ *          - {Number} The number of timeouts that were fired
+ */
+VirtualScheduler.prototype.play = function(ms, cb) {
+	var self = this,
+		target = ms === null ? Infinity : this._now + ms,
+		fired = 0;
+	(function step() {
+		setImmediate(function() {
+			var timer = self._next();
+			if (timer && timer.due <= target) {
+				self._fire(timer);
+				fired++;
+				step();
+			}
+			else {
+				if (target != Infinity)
+					self._now = target;
+				cb(fired);
+			}
+		});
+	})();
+};
+
+/**
+ * Fires every pending timeout, including any scheduled along the way,
+ * advancing the clock to each one's due time, until none are left.
+ *
+ * @param {Number} [limit] The maximum number of timeouts to fire before
+ *      giving up.  Defaults to 100,000.
+ * @returns {Number} The number of timeouts that were fired
+ * @throws {Error} If the limit was reached with timeouts still pending
+ */
+VirtualScheduler.prototype.runAll = function(limit) {
+	var fired = 0,
+		timer;
+	limit = limit || 100000;
+	while ((timer = this._next())) {
+		if (fired++ >= limit)
+			throw new Error("Timeouts were still pending after " + limit);
+		this._fire(timer);
+	}
+	return fired;
+};
+
+/**
+ * Executes a function once the virtual clock has advanced by the given number
+ * of milliseconds.
+ *
+ * @param {Function} fn The function to be executed
+ * @param {Number} ms The number of milliseconds to wait
+ * @returns {Number} A handle that can be passed to {@link #clearTimeout}
+ */
+VirtualScheduler.prototype.setTimeout = function(fn, ms) {
+	var id = this._nextId++;
+	this._timers.push({
+		id: id,
+		due: this._now + Math.max(ms || 0, 0),
+		fn: fn
+	});
+	return id;
+};
+
+/**
+ * Removes a timeout from the pending list, moves the clock to its due time,
+ * and executes it.
+ *
+ * @param {Object} timer The timeout to be fired
+ * @private
+ */
+VirtualScheduler.prototype._fire = function(timer) {
+	this._timers.splice(this._timers.indexOf(timer), 1);
+	if (timer.due > this._now)
+		this._now = timer.due;
+	timer.fn();
+};
+
+/**
+ * Finds the pending timeout that will fire next.  Timeouts with the same due
+ * time fire in the order in which they were scheduled.
+ *
+ * @returns {Object|null} The next timeout, or null if none are pending
+ * @private
+ */
+VirtualScheduler.prototype._next = function() {
+	var next = null;
+	this._timers.forEach(function(timer) {
+		if (!next || timer.due < next.due)
+			next = timer;
+	});
+	return next;
+};
+
+module.exports = VirtualScheduler;
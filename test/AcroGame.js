@@ -0,0 +1,489 @@
+/*
+ * Acrophobia
+ * Toady Module
+ * Copyright 2013 Tom Frost
+ */
+
+var should = require('should'),
+	AcroGame = require('../lib/AcroGame'),
+	VirtualScheduler = require('../lib/util/VirtualScheduler');
+
+var PLAYERS = ['Ann', 'Bob', 'Cat'];
+
+/**
+ * Creates a game on a virtual clock, with players that answer every acro and
+ * vote in every round a few seconds after being asked.
+ *
+ * @param {VirtualScheduler} clock The clock on which to run the game
+ * @param {Object} [opts] Additional options for the game
+ * @returns {AcroGame} The new game
+ */
+function getGame(clock, opts) {
+	var game,
+		log = [];
+	function later(fn) {
+		clock.setTimeout(fn, 1000);
+	}
+	function answer(acro, nick) {
+		return acro.split('').map(function(letter) {
+			return letter + nick.toLowerCase();
+		}).join(' ');
+	}
+	function react(msg, to) {
+		var acro = /acro is \[ (\w+) \]/.exec(msg);
+		if (acro) {
+			(to ? [to] : PLAYERS).forEach(function(nick) {
+				later(function() {
+					game.userInput(nick, answer(acro[1], nick));
+				});
+			});
+		}
+		if (/Voting is open/.test(msg)) {
+			PLAYERS.concat(['Dan']).forEach(function(nick) {
+				later(function() {
+					game.userInput(nick, '1');
+					game.userInput(nick, '2');
+				});
+			});
+		}
+	}
+	opts = opts || {};
+	opts.scheduler = clock;
+	opts.sayPublic = function(msg) {
+		log.push(msg);
+		react(msg);
+	};
+	opts.sayPrivate = function(nick, msg) {
+		log.push(nick + ': ' + msg);
+		react(msg, nick);
+	};
+	game = new AcroGame(opts);
+	game.log = log;
+	return game;
+}
+
+/**
+ * Creates a game on a virtual clock that lasts a single round, in which Ann
+ * and Bob submit phrases and only the given players vote.  Bob never votes,
+ * and so forfeits any points earned.
+ *
+ * @param {VirtualScheduler} clock The clock on which to run the game
+ * @param {Object} votes A mapping of voting nicks to the nick whose phrase
+ *      each one votes for
+ * @returns {AcroGame} The new game
+ */
+function getOneRoundGame(clock, votes) {
+	var game,
+		log = [],
+		numbers = {};
+	function later(fn) {
+		clock.setTimeout(fn, 1000);
+	}
+	game = new AcroGame({
+		scheduler: clock,
+		gameMode: 'limited',
+		roundLimit: 1,
+		pointsVoteForWinner: 0,
+		sayPublic: function(msg) {
+			var acro = /acro is \[ (\w+) \]/.exec(msg),
+				listed = /^(\d+) +\| \w(\w+)/.exec(msg);
+			log.push(msg);
+			if (acro) {
+				later(function() {
+					['Ann', 'Bob'].forEach(function(nick) {
+						var name = nick.toLowerCase();
+						game.userInput(nick,
+							acro[1].split('').join(name + ' ') + name);
+					});
+				});
+			}
+			if (listed)
+				numbers[listed[2]] = listed[1];
+			if (/Voting is open/.test(msg)) {
+				later(function() {
+					Object.keys(votes).forEach(function(nick) {
+						game.userInput(nick,
+							numbers[votes[nick].toLowerCase()]);
+					});
+				});
+			}
+		},
+		sayPrivate: function() {}
+	});
+	game.log = log;
+	return game;
+}
+
+describe('AcroGame', function() {
+	it('should keep options set to 0 and refuse bad options', function() {
+		var clock = new VirtualScheduler(),
+			game = getGame(clock, {pointsVoteForWinner: 0, maxVotes: null});
+		game._opts.pointsVoteForWinner.should.eql(0);
+		game._opts.maxVotes.should.eql(3);
+		(function() {
+			getGame(clock, {charPool: 'abc'});
+		}).should.throw(/^charPool: /);
+	});
+	it('should play a full game on a virtual clock', function(done) {
+		var clock = new VirtualScheduler(),
+			game = getGame(clock, {pointCap: 15, earlyClose: false}),
+			ended = null,
+			winner = null;
+		game.on('win', function(userId) {
+			winner = userId;
+		});
+		game.on('end', function(natural) {
+			ended = natural;
+		});
+		game.startIn(15).should.eql(true);
+		clock.play(null, function() {
+			ended.should.eql(true);
+			should.exist(winner);
+			game.getSummary().winner.should.eql(PLAYERS[winner]);
+			game.log.should.include('Thanks for playing!');
+			clock.now().should.be.above(5 * 60 * 1000);
+			done();
+		});
+	});
+	it('should close phases early once everyone is in', function(done) {
+		var clock = new VirtualScheduler(),
+			game = getGame(clock, {pointCap: 15});
+		game.startIn(15);
+		clock.play(null, function() {
+			game.log.should.include("Everyone's in! Submissions close in 5 " +
+				"seconds.");
+			game.log.should.include("Everyone has voted! Voting closes in 5 " +
+				"seconds.");
+			game.log.should.include('Thanks for playing!');
+			done();
+		});
+	});
+	it('should keep team scores and face off the top teams', function(done) {
+		var clock = new VirtualScheduler(),
+			game = getGame(clock, {pointCap: 15, teamMode: true});
+		game.userInput('Ann', 'team red');
+		game.userInput('Bob', 'team Red');
+		game.userInput('Cat', 'team blue');
+		game.userInput('Cat', 'team red');
+		game.log.should.include('Cat: You\'re on team blue. Players can\'t \
+switch teams in the middle of a game.');
+		game.startIn(15);
+		clock.play(null, function() {
+			var summary = game.getSummary(),
+				faceOff = summary.players.filter(function(player) {
+					return player.faceOff;
+				}).map(function(player) {
+					return player.team;
+				});
+			Object.keys(summary.teams).sort().should.eql(['blue', 'red']);
+			faceOff.sort().should.eql(['blue', 'red']);
+			game.log.some(function(msg) {
+				return /^Teams: \[/.test(msg);
+			}).should.be.true;
+			done();
+		});
+	});
+	it('should accept team-like phrases that fit the acro', function(done) {
+		var clock = new VirtualScheduler(),
+			game = getGame(clock, {
+				teamMode: true,
+				pointCap: 1,
+				acroGenerator: function() { return 'TR'; }
+			}),
+			phrases = [];
+		game.on('phraseAccepted', function(info) {
+			if (info.name == 'Dan')
+				phrases.push(info.phrase);
+		});
+		game.on('phase', function() {
+			if (game.getStatus().phase == 'acro' && !phrases.length) {
+				game.userInput('Dan', 'team');
+				game.userInput('Dan', 'Team Rocket');
+			}
+		});
+		game.startIn(15);
+		clock.play(null, function() {
+			phrases[0].should.eql('Team Rocket');
+			game.log.should.include('Dan: Join a team with: team NAME');
+			done();
+		});
+	});
+	it('should not advance while paused', function(done) {
+		var clock = new VirtualScheduler(),
+			game = getGame(clock),
+			logLength = 0;
+		game.startIn(15);
+		clock.play(20000, function() {
+			game.isRunning().should.eql(true);
+			game.pause().should.eql(true);
+			logLength = game.log.length;
+			clock.play(60 * 60 * 1000, function() {
+				game.log.length.should.eql(logLength);
+				game.isPaused().should.eql(true);
+				game.resume().should.eql(true);
+				clock.play(60 * 1000, function() {
+					game.log.length.should.be.above(logLength);
+					game.stop();
+					done();
+				});
+			});
+		});
+	});
+	it('should report its status mid-round', function(done) {
+		var clock = new VirtualScheduler(),
+			game = getGame(clock);
+		game.getStatus().phase.should.eql('waiting');
+		game.startIn(15);
+		clock.play(20000, function() {
+			var status = game.getStatus();
+			status.phase.should.eql('acro');
+			status.round.should.eql(1);
+			status.acro.length.should.eql(3);
+			status.secsRemaining.should.be.above(0);
+			status.submitted.should.eql(PLAYERS.length);
+			game.stop();
+			game.getStatus().phase.should.eql('ended');
+			done();
+		});
+	});
+	it('should cancel everything when stopped mid-round', function(done) {
+		var clock = new VirtualScheduler(),
+			game = getGame(clock),
+			round;
+		game.startIn(15);
+		clock.play(30000, function() {
+			round = game._curRound;
+			should.exist(round);
+			game.stop().should.eql(true);
+			game.stop().should.eql(false);
+			var logLength = game.log.length;
+			clock.play(null, function(fired) {
+				game.log.length.should.eql(logLength);
+				clock.pending().should.eql(0);
+				round.listeners('stage').length.should.eql(0);
+				round._round.listeners('acroEnd').length.should.eql(0);
+				game.listeners('end').length.should.eql(0);
+				done();
+			});
+		});
+	});
+	it('should never start once stopped during the start delay',
+		function(done) {
+			var clock = new VirtualScheduler(),
+				game = getGame(clock),
+				started = false;
+			game.on('start', function() {
+				started = true;
+			});
+			game.startIn(15);
+			game.stop();
+			clock.play(null, function() {
+				started.should.eql(false);
+				clock.pending().should.eql(0);
+				done();
+			});
+		});
+	it('should stop a face-off without leaving timers behind', function(done) {
+		var clock = new VirtualScheduler(),
+			game = getGame(clock, {pointCap: 1}),
+			stopped = false,
+			logLength = 0;
+		game.on('phase', function() {
+			if (game.getState().phase == 'faceOff') {
+				clock.setTimeout(function() {
+					game.stop();
+					stopped = true;
+					logLength = game.log.length;
+				}, 40000);
+			}
+		});
+		game.on('win', function() {
+			throw new Error('The face-off should have been stopped');
+		});
+		game.startIn(15);
+		clock.play(null, function() {
+			stopped.should.eql(true);
+			game.log.length.should.eql(logLength);
+			clock.pending().should.eql(0);
+			done();
+		});
+	});
+	it('should end the normal rounds at a round limit', function(done) {
+		var clock = new VirtualScheduler(),
+			game = getGame(clock, {gameMode: 'limited', roundLimit: 2}),
+			rounds = 0;
+		game.on('phase', function() {
+			if (game.getState().phase == 'normal')
+				rounds = game.getState().roundNum;
+		});
+		game.startIn(15);
+		clock.play(null, function() {
+			rounds.should.eql(2);
+			game.log.should.include('Get ready for the final round!');
+			game.log.some(function(msg) {
+				return /^That's the end of the regular rounds!/.test(msg);
+			}).should.be.true;
+			done();
+		});
+	});
+	it('should end the normal rounds at a time limit', function(done) {
+		var clock = new VirtualScheduler(),
+			game = getGame(clock, {
+				gameMode: 'limited',
+				roundLimit: 50,
+				timeLimit: 2,
+				earlyClose: false
+			}),
+			faceOffAt = null;
+		game.on('phase', function() {
+			if (game.getState().phase == 'faceOff' && faceOffAt === null)
+				faceOffAt = game.getState();
+		});
+		game.startIn(15);
+		clock.play(null, function() {
+			faceOffAt.roundNum.should.be.below(50);
+			faceOffAt.elapsed.should.not.be.below(2 * 60 * 1000);
+			done();
+		});
+	});
+	it('should end without a winner when nobody scores', function(done) {
+		var clock = new VirtualScheduler(),
+			game = getOneRoundGame(clock, {Ann: 'Bob'}),
+			phases = [],
+			won = false;
+		game.on('phase', function() {
+			phases.push(game.getState().phase);
+		});
+		game.on('win', function() {
+			won = true;
+		});
+		game.startIn(15);
+		clock.play(null, function() {
+			won.should.be.false;
+			phases.should.not.include('faceOff');
+			game.log.should.include("Nobody scored any points, so there's " +
+				"no face-off and no winner this time.");
+			game.getSummary().players.map(function(player) {
+				return player.name + ' ' + player.score;
+			}).sort().should.eql(['Ann 0', 'Bob 0']);
+			done();
+		});
+	});
+	it('should make the only scorer the winner', function(done) {
+		var clock = new VirtualScheduler(),
+			game = getOneRoundGame(clock, {Ann: 'Bob', Cat: 'Ann'}),
+			phases = [],
+			winner = null;
+		game.on('phase', function() {
+			phases.push(game.getState().phase);
+		});
+		game.on('win', function(userId) {
+			winner = userId;
+		});
+		game.startIn(15);
+		clock.play(null, function() {
+			phases.should.not.include('faceOff');
+			game.getState().userNames[winner].should.eql('Ann');
+			game.log.should.include("Ann is the only player with any " +
+				"points, so there's no face-off!");
+			done();
+		});
+	});
+	it('should face off more than two players', function(done) {
+		var clock = new VirtualScheduler(),
+			game = getGame(clock, {pointCap: 15, faceOffPlayers: 3}),
+			winner = null;
+		game.on('win', function(userId) {
+			winner = userId;
+		});
+		game.startIn(15);
+		clock.play(null, function() {
+			game.getSummary().players.filter(function(player) {
+				return player.faceOff;
+			}).length.should.eql(3);
+			game.log.some(function(msg) {
+				return /face-off round\. \w+, \w+, and \w+, please/.test(msg);
+			}).should.be.true;
+			should.exist(winner);
+			done();
+		});
+	});
+	it('should finish an elimination face-off', function(done) {
+		var clock = new VirtualScheduler(),
+			game = getGame(clock, {
+				pointCap: 15,
+				faceOffPlayers: 3,
+				faceOffFormat: 'elimination'
+			}),
+			ended = null;
+		game.on('end', function(natural) {
+			ended = natural;
+		});
+		game.startIn(15);
+		clock.play(null, function() {
+			ended.should.eql(true);
+			game.log.should.include('Thanks for playing!');
+			clock.pending().should.eql(0);
+			done();
+		});
+	});
+	it('should keep a transcript of every round', function(done) {
+		var clock = new VirtualScheduler(),
+			game = getGame(clock, {pointCap: 15});
+		game.startIn(15);
+		clock.play(null, function() {
+			var transcript = game.getTranscript(),
+				first = transcript.rounds[0],
+				last = transcript.rounds[transcript.rounds.length - 1];
+			first.round.should.eql(1);
+			first.faceOff.should.be.false;
+			first.phrases.length.should.eql(PLAYERS.length);
+			first.phrases[0].votes.should.be.above(0);
+			first.phrases[0].secs.should.eql(1);
+			first.votes.length.should.eql(PLAYERS.length + 1);
+			last.faceOff.should.be.true;
+			last.phrases.length.should.eql(2);
+			transcript.winner.should.eql(game.getSummary().winner);
+			done();
+		});
+	});
+	it('should emit events describing the whole game', function(done) {
+		var clock = new VirtualScheduler(),
+			game = getGame(clock, {pointCap: 15}),
+			names = ['roundStart', 'phraseAccepted', 'voteCast',
+				'roundResults', 'scoreboard', 'faceOffStart',
+				'faceOffRoundResult'],
+			events = {};
+		names.forEach(function(name) {
+			events[name] = [];
+			game.on(name, function(data) {
+				events[name].push(data);
+			});
+		});
+		game.startIn(15);
+		clock.play(null, function() {
+			var rounds = events.roundStart.length;
+			rounds.should.be.above(0);
+			events.roundResults.length.should.eql(rounds);
+			events.scoreboard.length.should.eql(rounds);
+			events.roundStart[0].acro.length.should.eql(3);
+			var phrase = events.phraseAccepted[0];
+			phrase.round.should.eql(1);
+			phrase.faceOff.should.be.false;
+			phrase.name.should.eql(PLAYERS[phrase.userId]);
+			var vote = events.voteCast[0];
+			vote.votedFor[0].name.should.eql(PLAYERS[vote.votedFor[0].userId]);
+			events.roundResults[0].winner.name.should.eql(
+				PLAYERS[events.roundResults[0].winner.userId]);
+			events.scoreboard[rounds - 1].players[0].score
+				.should.be.above(14);
+			events.faceOffStart.length.should.eql(1);
+			events.faceOffStart[0].players.length.should.eql(2);
+			events.faceOffRoundResult.length.should.be.above(2);
+			events.phraseAccepted.some(function(data) {
+				return data.faceOff;
+			}).should.be.true;
+			done();
+		});
+	});
+});
@@ -0,0 +1,77 @@
+/*
+ * Acrophobia
+ * Toady Module
+ * Copyright 2013 Tom Frost
+ */
+
+var should = require('should'),
+	AcroGenerator = require('../lib/AcroGenerator'),
+	Round = require('../lib/Round');
+
+function getOpts(extra) {
+	var opts = {
+		charPool: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+		rareLetters: 'JKQVXZ',
+		maxRareLetters: 1,
+		bannedAcros: []
+	};
+	Object.keys(extra || {}).forEach(function(key) {
+		opts[key] = extra[key];
+	});
+	return opts;
+}
+
+describe('AcroGenerator', function() {
+	it('should generate acros of the requested length', function() {
+		AcroGenerator.generate(5, getOpts()).should.match(/^[A-Z]{5}$/);
+		AcroGenerator.generate(0, getOpts()).should.eql('');
+	});
+	it('should cap the number of rare letters', function() {
+		var opts = getOpts({charPool: 'AQXZ', maxRareLetters: 1});
+		for (var i = 0; i < 50; i++) {
+			AcroGenerator.generate(4, opts).replace(/[^QXZ]/g, '').length
+				.should.not.be.above(1);
+		}
+	});
+	it('should never produce banned strings', function() {
+		var opts = getOpts({charPool: 'AB', bannedAcros: ['ab', 'BB']});
+		for (var i = 0; i < 50; i++)
+			AcroGenerator.generate(3, opts).should.match(/^(?:AAA|BAA)$/);
+	});
+	it('should build acros that follow the rules by construction',
+		function() {
+			var opts = getOpts({charPool: 'ABQ', rareLetters: 'Q',
+				bannedAcros: ['B', 'AAA']});
+			for (var i = 0; i < 50; i++)
+				AcroGenerator.generate(5, opts).should.eql('AAQAA');
+		});
+	it('should refuse to break the rules when no acro fits', function() {
+		(function() {
+			AcroGenerator.generate(3, getOpts({charPool: 'QXZ'}));
+		}).should.throw(/maxRareLetters/);
+		(function() {
+			AcroGenerator.generate(4, getOpts({charPool: 'ABQ',
+				bannedAcros: ['A', 'B']}));
+		}).should.throw();
+	});
+	it('should check acros against the rules', function() {
+		var opts = getOpts({bannedAcros: ['KKK']});
+		AcroGenerator.isAllowed('ABC', opts).should.eql(true);
+		AcroGenerator.isAllowed('QXA', opts).should.eql(false);
+		AcroGenerator.isAllowed('AKKKA', opts).should.eql(false);
+	});
+	it('should support bigram weighting', function() {
+		var opts = getOpts({acroBigrams: true});
+		for (var i = 0; i < 20; i++)
+			AcroGenerator.generate(7, opts).should.match(/^[A-Z]{7}$/);
+	});
+	it('should be swappable in a Round', function() {
+		var round = new Round({
+			numLetters: 3,
+			acroGenerator: function(numLetters) {
+				return new Array(numLetters + 1).join('Z');
+			}
+		});
+		round.getAcro().should.eql('ZZZ');
+	});
+});
@@ -0,0 +1,45 @@
+/*
+ * Acrophobia
+ * Toady Module
+ * Copyright 2013 Tom Frost
+ */
+
+var should = require('should'),
+	CategoryPicker = require('../lib/CategoryPicker');
+
+var CATEGORIES = ['Movies', 'Headlines', 'Band names'];
+
+describe('CategoryPicker', function() {
+	it('should never theme rounds at a 0% chance', function() {
+		var picker = new CategoryPicker({
+			categories: CATEGORIES,
+			categoryChance: 0
+		});
+		for (var i = 0; i < 20; i++)
+			should.not.exist(picker.next());
+	});
+	it('should not repeat until every category is used', function() {
+		var picker = new CategoryPicker({
+				categories: CATEGORIES,
+				categoryChance: 100
+			}),
+			picked = [picker.next(), picker.next(), picker.next()];
+		picked.sort().should.eql(CATEGORIES.slice().sort());
+		CATEGORIES.should.include(picker.next());
+		picker.getUsed().length.should.eql(1);
+	});
+	it('should remember categories used before a restore', function() {
+		var picker = new CategoryPicker({
+			categories: CATEGORIES,
+			categoryChance: 100
+		}, ['Movies', 'Headlines']);
+		picker.next().should.eql('Band names');
+	});
+	it('should ignore blank categories', function() {
+		var picker = new CategoryPicker({
+			categories: [' ', '', ' Movies '],
+			categoryChance: 100
+		});
+		picker.next().should.eql('Movies');
+	});
+});
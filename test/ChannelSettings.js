@@ -0,0 +1,49 @@
+/*
+ * Acrophobia
+ * Toady Module
+ * Copyright 2013 Tom Frost
+ */
+
+var should = require('should'),
+	fs = require('fs'),
+	os = require('os'),
+	path = require('path'),
+	ChannelSettings = require('../lib/ChannelSettings');
+
+var file = path.join(os.tmpdir(), 'acrophobia-chans-' + process.pid + '.json');
+
+describe('ChannelSettings', function() {
+	afterEach(function() {
+		if (fs.existsSync(file))
+			fs.unlinkSync(file);
+	});
+	it('should keep options per channel, ignoring case', function(done) {
+		var settings = new ChannelSettings(file);
+		settings.set('#Fast', 'pointCap', 15);
+		settings.set('#slow', 'secsPerAcroRound', 90, function(err) {
+			should.not.exist(err);
+			settings.get('#fast').should.eql({pointCap: 15});
+			settings.get('#SLOW').should.eql({secsPerAcroRound: 90});
+			settings.get('#other').should.eql({});
+			done();
+		});
+	});
+	it('should reset options back to the config', function(done) {
+		var settings = new ChannelSettings(file);
+		settings.set('#fast', 'pointCap', 15);
+		settings.unset('#fast', 'minLetters').should.be.false;
+		settings.unset('#fast', 'pointCap', function() {
+			settings.get('#fast').should.eql({});
+			settings.data.channels.should.eql({});
+			done();
+		}).should.be.true;
+	});
+	it('should reload saved options from disk', function(done) {
+		var settings = new ChannelSettings(file);
+		settings.set('#fast', 'teamNames', ['Red', 'Blue'], function() {
+			var reloaded = new ChannelSettings(file);
+			reloaded.get('#fast').teamNames.should.eql(['Red', 'Blue']);
+			done();
+		});
+	});
+});
@@ -0,0 +1,24 @@
+/*
+ * Acrophobia
+ * Toady Module
+ * Copyright 2013 Tom Frost
+ */
+
+var should = require('should'),
+	ContentFilter = require('../lib/ContentFilter');
+
+describe('ContentFilter', function() {
+	it('should only match whole words', function() {
+		ContentFilter.find('Heck of a class', ['heck', 'ass'])
+			.should.eql(['heck']);
+		ContentFilter.find('Classy Heckler', ['heck', 'ass']).should.eql([]);
+	});
+	it('should match prefixes of wildcard words', function() {
+		ContentFilter.find('Darnit all', ['darn*']).should.eql(['darn*']);
+		ContentFilter.find('Undarned socks', ['darn*']).should.eql([]);
+	});
+	it('should mask all but the first letter', function() {
+		ContentFilter.mask('Heck, heck, and darnit', ['heck', 'darn*'])
+			.should.eql('H***, h***, and d*****');
+	});
+});
@@ -0,0 +1,108 @@
+/*
+ * Acrophobia
+ * Toady Module
+ * Copyright 2013 Tom Frost
+ */
+
+var should = require('should'),
+	FaceOff = require('../lib/FaceOff'),
+	TimerGroup = require('../lib/util/TimerGroup'),
+	VirtualScheduler = require('../lib/util/VirtualScheduler');
+
+/**
+ * Creates a three-player elimination face-off on a virtual clock.
+ *
+ * @param {Array} log An array to which every message will be pushed
+ * @param {VirtualScheduler} [clock] The clock on which to run the face-off
+ * @param {Function} [onPrivate] A function to be called with the userId and
+ *      text of every private message
+ * @returns {FaceOff} The new face-off
+ */
+function getFaceOff(log, clock, onPrivate) {
+	function say(msg) {
+		log.push(msg);
+	}
+	return new FaceOff({
+		players: ['0', '1', '2'],
+		acroGenerator: function() { return 'AB'; },
+		faceOffFormat: 'elimination',
+		faceOffMinLetters: 3,
+		faceOffRounds: 3,
+		inputPrefix: '',
+		pickCategory: function() { return null; },
+		sayPrivate: function(userId, msg) {
+			say(msg);
+			if (onPrivate)
+				onPrivate(userId, msg);
+		},
+		sayPublic: say,
+		secsAfterResults: 7,
+		secsBetweenMessages: 5,
+		secsPerFaceOffRound: 30,
+		suddenDeathRounds: 3,
+		timers: new TimerGroup(clock || new VirtualScheduler()),
+		userNames: ['Ann', 'Bob', 'Cat']
+	});
+}
+
+describe('FaceOff', function() {
+	it('should knock out the player with the fewest votes', function() {
+		var log = [],
+			faceOff = getFaceOff(log);
+		faceOff._scores = {'0': 2, '1': 0, '2': 1};
+		faceOff._eliminate();
+		faceOff._players.should.eql(['0', '2']);
+		log.should.include('Bob has the fewest votes and is out of the ' +
+			'face-off!');
+		should.not.exist(faceOff._playerHash['1']);
+	});
+	it('should break ties for the fewest votes by speed', function() {
+		var log = [],
+			faceOff = getFaceOff(log);
+		faceOff._scores = {'0': 1, '1': 1, '2': 1};
+		faceOff._eliminate();
+		faceOff._players.length.should.eql(3);
+		faceOff._scores['2'] = 2;
+		faceOff._fastest['0'] = 1;
+		faceOff._eliminate();
+		faceOff._players.should.eql(['0', '2']);
+	});
+	it('should only pick a fastest player when there is one', function() {
+		var faceOff = getFaceOff([]);
+		should.not.exist(faceOff._getFastestPlayer(['0', '1']));
+		faceOff._fastest['1'] = 2;
+		faceOff._getFastestPlayer(['0', '1']).should.eql('1');
+	});
+	it('should play sudden death until a round is won', function(done) {
+		var clock = new VirtualScheduler(),
+			log = [],
+			acros = 0,
+			faceOff = getFaceOff(log, clock, function(userId, msg) {
+				if (/^This round's acro/.test(msg) && userId == '0' &&
+						++acros == 2) {
+					clock.setTimeout(function() {
+						faceOff.userInput('0', 'Apple bottom');
+					}, 1000);
+				}
+			});
+		faceOff._suddenDeath(['0', '1'], 0, function(err, winner) {
+			should.not.exist(err);
+			winner.should.eql('0');
+			faceOff._players.should.eql(['0', '1']);
+			log.should.include('Ann wins the sudden death!');
+			acros.should.eql(2);
+			done();
+		});
+		clock.play(null, function() {});
+	});
+	it('should give up on sudden death after the last round', function(done) {
+		var clock = new VirtualScheduler(),
+			faceOff = getFaceOff([], clock);
+		faceOff._opts.suddenDeathRounds = 1;
+		faceOff._suddenDeath(['0', '1'], 0, function(err, winner) {
+			should.not.exist(winner);
+			done();
+		});
+		clock.play(null, function() {});
+	});
+});
@@ -0,0 +1,85 @@
+/*
+ * Acrophobia
+ * Toady Module
+ * Copyright 2013 Tom Frost
+ */
+
+var should = require('should'),
+	fs = require('fs'),
+	os = require('os'),
+	path = require('path'),
+	HallOfFame = require('../lib/HallOfFame');
+
+var file = path.join(os.tmpdir(), 'acrophobia-hof-' + process.pid + '.json');
+
+function getRound(acro, winner, votes, faceOff) {
+	return {
+		acro: acro,
+		faceOff: faceOff,
+		winner: winner === null ? null : {userId: winner, name: 'x'},
+		phrases: [
+			{userId: 0, name: 'Alice', phrase: 'Alice ' + acro, votes: votes},
+			{userId: 1, name: 'Bob', phrase: 'Bob ' + acro, votes: votes}
+		]
+	};
+}
+
+function recordRounds(hof, channel, cb) {
+	var rounds = [
+		getRound('ABC', 0, 3, false),
+		getRound('DEF', 1, 5, false),
+		getRound('GH', null, 2, true),
+		getRound('IJ', 0, 4, true)
+	];
+	rounds.forEach(function(round, idx) {
+		hof.recordRound(channel, round,
+			idx == rounds.length - 1 ? cb : undefined);
+	});
+}
+
+describe('HallOfFame', function() {
+	afterEach(function() {
+		if (fs.existsSync(file))
+			fs.unlinkSync(file);
+	});
+	it('should keep the winning phrase of each round', function(done) {
+		var hof = new HallOfFame(file);
+		recordRounds(hof, '#one', function(err) {
+			should.not.exist(err);
+			var top = hof.getTop(null, 5);
+			top.length.should.eql(3);
+			top[0].phrase.should.eql('Bob DEF');
+			top[0].votes.should.eql(5);
+			top[0].channel.should.eql('#one');
+			top[1].faceOff.should.be.true;
+			hof.getBest('alice', null, 5).map(function(entry) {
+				return entry.acro;
+			}).should.eql(['IJ', 'ABC']);
+			hof.getRandom('#one').channel.should.eql('#one');
+			should.not.exist(hof.getRandom('#two'));
+			done();
+		});
+	});
+	it('should only remove entries from the given channel', function(done) {
+		var hof = new HallOfFame(file);
+		recordRounds(hof, '#one');
+		recordRounds(hof, '#Two', function() {
+			should.not.exist(hof.remove(1, '#two'));
+			hof.remove(4, '#two', function(err) {
+				should.not.exist(err);
+				hof.getTop('#TWO', 5).length.should.eql(2);
+				hof.getTop('#one', 5).length.should.eql(3);
+				done();
+			}).phrase.should.eql('Alice ABC');
+		});
+	});
+	it('should reload saved entries from disk', function(done) {
+		var hof = new HallOfFame(file);
+		recordRounds(hof, '#one', function() {
+			var reloaded = new HallOfFame(file);
+			reloaded.getTop('#one', 1)[0].id.should.eql(2);
+			reloaded.data.nextId.should.eql(4);
+			done();
+		});
+	});
+});
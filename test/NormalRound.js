@@ -0,0 +1,68 @@
+/*
+ * Acrophobia
+ * Toady Module
+ * Copyright 2013 Tom Frost
+ */
+
+var should = require('should'),
+	NormalRound = require('../lib/NormalRound');
+
+function getRound(opts) {
+	var defaults = {
+		acroGenerator: function(numLetters) {
+			return new Array(numLetters + 1).join('A');
+		},
+		timerMode: 'adaptive',
+		secsPerAcroRound: 60,
+		secsPerVoteRound: 30,
+		secsPerLetter: 12,
+		secsPerEntry: 6,
+		minSecsPerAcroRound: 30,
+		maxSecsPerAcroRound: 90,
+		minSecsPerVoteRound: 20,
+		maxSecsPerVoteRound: 60
+	};
+	Object.keys(opts).forEach(function(key) {
+		defaults[key] = opts[key];
+	});
+	return new NormalRound(defaults);
+}
+
+describe('NormalRound', function() {
+	it('should scale the acro timer by letter', function() {
+		getRound({numLetters: 5})._getAcroSecs().should.eql(60);
+		getRound({numLetters: 2})._getAcroSecs().should.eql(30);
+		getRound({numLetters: 9})._getAcroSecs().should.eql(90);
+	});
+	it('should scale the vote timer by entry', function() {
+		var round = getRound({numLetters: 3});
+		round._getVoteSecs(5).should.eql(30);
+		round._getVoteSecs(2).should.eql(20);
+		round._getVoteSecs(12).should.eql(60);
+	});
+	it('should use the fixed timers in fixed mode', function() {
+		var round = getRound({numLetters: 7, timerMode: 'fixed'});
+		round._getAcroSecs().should.eql(60);
+		round._getVoteSecs(12).should.eql(30);
+	});
+	it('should explain a runoff before the points', function() {
+		var round = getRound({
+				numLetters: 3,
+				pointsFastestWithVote: 2,
+				pointsVoteForWinner: 1,
+				userNames: {'0': 'A', '1': 'B', '2': 'C'}
+			}),
+			score = round._getScore({
+				winner: '2',
+				tie: null,
+				fastestWithVote: '1',
+				topVoters: ['0'],
+				nonVoters: [],
+				acroVotes: {'1': 1, '2': 1},
+				runoff: ['1']
+			});
+		score.lines[0].should.include('the runoff knocked out: B');
+		score.lines[1].should.include('C wins the round!');
+		score.points.should.eql({'0': 1, '1': 3, '2': 4});
+	});
+});
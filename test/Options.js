@@ -0,0 +1,63 @@
+/*
+ * Acrophobia
+ * Toady Module
+ * Copyright 2013 Tom Frost
+ */
+
+var should = require('should'),
+	AcroGame = require('../lib/AcroGame'),
+	Options = require('../lib/Options');
+
+describe('Options', function() {
+	it('should have a rule for every game option', function() {
+		Object.keys(AcroGame.DEFAULT_OPTS).forEach(function(key) {
+			Options.SCHEMA.should.have.property(key);
+		});
+		Options.validateAll(AcroGame.DEFAULT_OPTS).should.be.true;
+	});
+	it('should check types, bounds, and allowed values', function() {
+		Options.validate('pointsVoteForWinner', 0).should.be.true;
+		Options.validate('teamMode', 'yes').message
+			.should.equal("Value must be true or false.");
+		Options.validate('secsBetweenRounds', -1).message
+			.should.equal("Value cannot be negative.");
+		Options.validate('pointCap', 2.5).message
+			.should.equal("Value must be a whole number.");
+		Options.validate('minLetters', 1).message
+			.should.equal("Value must be between 2 and 12.");
+		Options.validate('voteMode', 'loud').message
+			.should.equal("Value must be one of: single, approval, ranked.");
+		Options.validate('charPool', 'abc').should.be.an.instanceOf(Error);
+		Options.validate('teamNames', ['red', 'big blue'])
+			.should.be.an.instanceOf(Error);
+		Options.validate('scoring', function() {}).should.be.true;
+		Options.validate('bogus', 1).should.be.an.instanceOf(Error);
+	});
+	it('should check options against each other', function() {
+		Options.validate('minLetters', 8, {maxLetters: 7}).message
+			.should.equal("Value cannot be greater than maxLetters.");
+		Options.validate('maxSecsPerVoteRound', 10, {minSecsPerVoteRound: 20})
+			.message.should.equal("Value cannot be less than " +
+				"minSecsPerVoteRound.");
+		Options.validate('faceOffRounds', 20, {faceOffMinLetters: 3})
+			.should.be.true;
+		Options.validate('faceOffRounds', 20, {faceOffMinLetters: 6})
+			.should.be.an.instanceOf(Error);
+		Options.validate('charPool', 'QXZ', {rareLetters: 'QXZ',
+			maxRareLetters: 1}).should.be.an.instanceOf(Error);
+		Options.validate('bannedAcros', ['a', 'B'], {charPool: 'AB'})
+			.should.be.an.instanceOf(Error);
+		Options.validate('charPool', 'ABQ', {rareLetters: 'Q',
+			maxRareLetters: 1, bannedAcros: ['B']}).should.be.true;
+	});
+	it('should name the first bad option', function() {
+		var res = Options.validateAll({
+			charPool: 'ABC',
+			duplicateAction: 'ignore',
+			dataDir: 'not/an/option',
+			rareLetters: null
+		});
+		res.message.should.equal("duplicateAction: Value must be one of: " +
+			"allow, reject, merge.");
+	});
+});
@@ -0,0 +1,90 @@
+/*
+ * Acrophobia
+ * Toady Module
+ * Copyright 2013 Tom Frost
+ */
+
+var should = require('should'),
+	PhraseMatcher = require('../lib/PhraseMatcher');
+
+var STRICT = {
+	matchApostrophes: 'join',
+	matchHyphens: 'join',
+	matchMode: 'strict',
+	matchNumbers: 'literal',
+	matchStopwords: PhraseMatcher.DEFAULT_STOPWORDS
+};
+
+function opts(overrides) {
+	var res = {};
+	Object.keys(STRICT).forEach(function(key) {
+		res[key] = overrides.hasOwnProperty(key) ? overrides[key] : STRICT[key];
+	});
+	return res;
+}
+
+describe('PhraseMatcher', function() {
+	it('should require every word to match in strict mode', function() {
+		PhraseMatcher.match('Rolling on knees', 'ROK', STRICT).match
+			.should.be.true;
+		var res = PhraseMatcher.match('Return of the King', 'ROK', STRICT);
+		res.match.should.be.false;
+		res.acro.should.eql('ROTK');
+		res.reason.should.eql('letter');
+		res.word.should.eql('THE');
+		res.position.should.eql(2);
+	});
+	it('should skip stopwords that don\'t fit in lenient mode', function() {
+		var lenient = opts({matchMode: 'lenient'});
+		PhraseMatcher.match('Return of the King', 'ROK', lenient).match
+			.should.be.true;
+		PhraseMatcher.match('The Return of the King', 'ROK', lenient).match
+			.should.be.true;
+		PhraseMatcher.match('Turtles on the Kayak', 'TOTK', lenient).match
+			.should.be.true;
+		PhraseMatcher.match('Return of the Jedi', 'ROK', lenient).reason
+			.should.eql('letter');
+	});
+	it('should count hyphens and apostrophes as configured', function() {
+		PhraseMatcher.match("Don't rock-and-roll", 'DR', STRICT).match
+			.should.be.true;
+		PhraseMatcher.match("Don't rock-and-roll", 'DTRAR', opts({
+			matchApostrophes: 'split',
+			matchHyphens: 'split'
+		})).match.should.be.true;
+	});
+	it('should count numbers as configured', function() {
+		var res = PhraseMatcher.match('4 eggs', 'FE', STRICT);
+		res.reason.should.eql('number');
+		res.word.should.eql('4');
+		PhraseMatcher.match('4 eggs', 'FE', opts({matchNumbers: 'spell'}))
+			.match.should.be.true;
+		PhraseMatcher.match('12 eggs', 'TE', opts({matchNumbers: 'spell'}))
+			.match.should.be.true;
+		PhraseMatcher.match('300 eggs', 'TE', opts({matchNumbers: 'spell'}))
+			.match.should.be.true;
+		PhraseMatcher.match('Eat 4 eggs', 'EE', opts({matchNumbers: 'skip'}))
+			.match.should.be.true;
+	});
+	it('should spell numbers of any length by their leading digits',
+		function() {
+			var spell = opts({matchNumbers: 'spell'});
+			PhraseMatcher.match('1000000000000 bees', 'OB', spell)
+				.match.should.be.true;
+			PhraseMatcher.match('12000 bees', 'TB', spell).match.should.be.true;
+			PhraseMatcher.match('007 bees', 'SB', spell).match.should.be.true;
+			PhraseMatcher.match(new Array(401).join('9') + ' bees', 'NB',
+				spell).match.should.be.true;
+		});
+	it('should explain phrases that are too short or too long', function() {
+		var res = PhraseMatcher.match('Big', 'BAT', STRICT);
+		res.reason.should.eql('tooShort');
+		res.missing.should.eql(2);
+		PhraseMatcher.describe(res, 'BAT', STRICT)
+			.should.include('It needs 2 more words.');
+		res = PhraseMatcher.match('Big angry tiger eats', 'BAT', STRICT);
+		res.reason.should.eql('tooLong');
+		res.extra.should.eql(1);
+		PhraseMatcher.match('  ', 'BAT', STRICT).reason.should.eql('empty');
+	});
+});
@@ -5,7 +5,9 @@
  */
 
 var should = require('should'),
-	Round = require('../lib/Round');
+	Round = require('../lib/Round'),
+	TimerGroup = require('../lib/util/TimerGroup'),
+	VirtualScheduler = require('../lib/util/VirtualScheduler');
 
 function getRound() {
 	var round = new Round({
@@ -53,5 +55,255 @@ describe('Round', function() {
 		var round = new Round({}),
 			res = round._getResults();
 		should.not.exist(res.winner);
-	})
-});
\ No newline at end of file
+	});
+	it('should be recreated from a saved state', function() {
+		var state = JSON.parse(JSON.stringify(getRound().getState())),
+			round = new Round({state: state});
+		state.phase.should.eql('stopped');
+		round._phrases.should.eql(getRound()._phrases);
+		round._getResults().should.eql(getRound()._getResults());
+	});
+	it('should reject, mask, or flag filtered phrases', function() {
+		var events = [];
+		['reject', 'mask', 'flag'].forEach(function(action) {
+			var round = new Round({
+				acroGenerator: function() { return 'HS'; },
+				filterAction: action,
+				filterWords: ['heck'],
+				timers: {now: function() { return 0; }}
+			});
+			round._phase = 1;
+			round.on('phraseBlocked', function(userId, found) {
+				events.push(action + ':blocked:' + found.join(','));
+			});
+			round.on('phraseAccepted', function(userId, first, found) {
+				events.push(action + ':' + round._phrases[userId] + ':' +
+					round.isFlagged(userId));
+			});
+			round.submitPhrase(0, 'Heck, sure');
+		});
+		events.should.eql([
+			'reject:blocked:heck',
+			'mask:H***, sure:false',
+			'flag:Heck, sure:true'
+		]);
+	});
+	it('should reject duplicate phrases', function() {
+		var round = new Round({
+				acroGenerator: function() { return 'BA'; },
+				duplicateAction: 'reject',
+				timers: {now: function() { return 0; }}
+			}),
+			dupes = [];
+		round._phase = 1;
+		round.on('phraseDuplicate', function(userId, firstId, merged) {
+			dupes.push([userId, firstId, merged]);
+		});
+		round.submitPhrase(0, 'Big apple');
+		round.submitPhrase(1, 'Big  apple ');
+		round.submitPhrase(2, 'big apple!');
+		dupes.should.eql([[1, '0', false]]);
+		round._opts.duplicateFuzzy = true;
+		round.submitPhrase(3, 'BIG, apple.');
+		dupes.length.should.eql(2);
+		Object.keys(round._phrases).should.eql(['0', '2']);
+	});
+	it('should merge duplicates into the first entry', function() {
+		var round = new Round({
+			acroGenerator: function() { return 'BA'; },
+			duplicateAction: 'merge',
+			timers: {now: function() { return 0; }}
+		});
+		round._phase = 1;
+		round.submitPhrase(0, 'Big apple');
+		round.submitPhrase(1, 'Bad apple');
+		round.submitPhrase(1, 'Big apple');
+		Object.keys(round._phrases).should.eql(['0']);
+		round._merged.should.eql({'1': '0'});
+		round._userOrder = ['0'];
+		round._phase = 2;
+		var rejected = null;
+		round.on('voteRejected', function(userId, reason) {
+			rejected = reason;
+		});
+		round.submitVote(1, '1');
+		rejected.should.eql('self');
+	});
+	it('should tell merged players when the first entry changes', function() {
+		var round = new Round({
+				acroGenerator: function() { return 'BA'; },
+				duplicateAction: 'merge',
+				timers: {now: function() { return 0; }}
+			}),
+			unmerged = [];
+		round.on('phraseUnmerged', function(userId, firstId) {
+			unmerged.push([userId, firstId]);
+		});
+		round._phase = 1;
+		round.submitPhrase(0, 'Big apple');
+		round.submitPhrase(1, 'Big apple');
+		round.submitPhrase(0, 'Bad apple');
+		unmerged.should.eql([[1, 0]]);
+		round._merged.should.eql({});
+		Object.keys(round._phrases).should.eql(['0']);
+	});
+	it('should forbid teammate votes when configured', function() {
+		var round = new Round({
+				teamVoting: 'forbid',
+				userTeams: {'0': 'red', '1': 'red', '2': 'blue'}
+			}),
+			reasons = [];
+		round._userOrder = ['1', '2'];
+		round._phase = 2;
+		round.on('voteRejected', function(userId, reason) {
+			reasons.push(reason);
+		});
+		round.on('voteAccepted', function() {
+			reasons.push('accepted');
+		});
+		round.submitVote('0', '1');
+		round.submitVote('0', '2');
+		round._opts.teamVoting = 'allow';
+		round.submitVote('0', '1');
+		reasons.should.eql(['teammate', 'accepted', 'accepted']);
+	});
+	it('should reject or merge votes from clones', function() {
+		var round = new Round({
+				cloneVotes: 'reject',
+				userKeys: {
+					'0': ['host:a.example.com'],
+					'1': ['host:b.example.com', 'account:bob'],
+					'2': ['host:c.example.com', 'account:bob'],
+					'3': ['host:d.example.com']
+				}
+			}),
+			reasons = [];
+		round._userOrder = ['0', '3'];
+		round._phase = 2;
+		round.on('voteRejected', function(userId, reason) {
+			reasons.push(reason);
+		});
+		round.on('voteAccepted', function(userId, first, cloneId) {
+			reasons.push(cloneId === null ? 'accepted' : 'merged');
+		});
+		round.submitVote('1', '1');
+		round.submitVote('2', '2');
+		round._opts.cloneVotes = 'merge';
+		round.submitVote('2', '2');
+		round._votes.should.eql({'1': '3'});
+		round._opts.userKeys['3'] = ['host:a.example.com'];
+		round.submitVote('0', '2');
+		reasons.should.eql(['accepted', 'clone', 'merged', 'self']);
+	});
+	it('should count a merged clone vote for every clone', function() {
+		var round = new Round({
+				cloneVotes: 'merge',
+				userKeys: {
+					'0': ['host:a.example.com'],
+					'1': ['account:bob'],
+					'2': ['account:bob']
+				}
+			}),
+			res;
+		round._phrases = {'0': 'A phrase', '2': 'C phrase'};
+		round._submitTimes = {'0': 1, '2': 2};
+		round._userOrder = ['0', '2'];
+		round._phase = 2;
+		round.submitVote('2', '1');
+		round._votes.should.eql({'1': '0'});
+		res = round._getResults();
+		res.nonVoters.should.eql(['0']);
+		res.winner.should.eql('0');
+	});
+	it('should only take votes from users allowed to vote', function() {
+		var round = new Round({
+				canVote: function(userId) { return userId != '1'; }
+			}),
+			reasons = [];
+		round._userOrder = ['0', '2'];
+		round._phase = 2;
+		round.on('voteRejected', function(userId, reason) {
+			reasons.push(reason);
+		});
+		round.submitVote('1', '1');
+		reasons.should.eql(['absent']);
+		round._votes.should.eql({});
+	});
+	it('should take several votes in approval voting', function() {
+		var round = getRound(),
+			reasons = [];
+		round._opts.voteMode = 'approval';
+		round._opts.maxVotes = 2;
+		round._votes = {};
+		round._userOrder = ['0', '1', '2', '3'];
+		round._phase = 2;
+		round.on('voteRejected', function(userId, reason) {
+			reasons.push(reason);
+		});
+		round.on('voteAccepted', function() {
+			reasons.push('accepted');
+		});
+		round.submitVote('0', '2 3');
+		round.submitVote('1', '1, 3 3');
+		round.submitVote('2', '1 2 4');
+		round.submitVote('2', '1 3');
+		round.submitVote('3', '1 x');
+		reasons.should.eql(['accepted', 'accepted', 'tooMany', 'self',
+			'invalid']);
+		round._votes.should.eql({'0': ['1', '2'], '1': ['0', '2']});
+		var res = round._getResults();
+		res.acroVotes.should.eql({'0': 1, '1': 1, '2': 2});
+		res.winner.should.eql('2');
+		res.topVoters.should.eql(['0', '1']);
+	});
+	it('should count ranked votes by Borda count or runoff', function() {
+		var round = getRound();
+		round._opts.voteMode = 'ranked';
+		round._opts.maxVotes = 3;
+		round._votes = {
+			'0': ['1', '2'],
+			'1': ['2', '0'],
+			'2': ['1', '0'],
+			'3': ['2', '1'],
+			'4': ['0', '2']
+		};
+		var res = round._getResults();
+		res.acroVotes.should.eql({'0': 7, '1': 8, '2': 10});
+		res.winner.should.eql('2');
+		should.not.exist(res.runoff);
+		round._opts.rankedCount = 'runoff';
+		res = round._getResults();
+		res.acroVotes.should.eql({'0': 1, '1': 2, '2': 2});
+		res.winner.should.eql('2');
+		res.runoff.should.eql(['0']);
+		res.topVoters.should.eql(['1', '3']);
+	});
+	it('should close early once everyone expected is in', function() {
+		var clock = new VirtualScheduler(),
+			round = new Round({
+				acroGenerator: function() { return 'BA'; },
+				earlyClose: true,
+				expectedPhrases: function() { return ['0', '1']; },
+				secsEarlyClose: 5,
+				timers: new TimerGroup(clock)
+			}),
+			closing = null,
+			ended = false;
+		round.on('acroEarlyClose', function(secs) {
+			closing = secs;
+		});
+		round.on('acroEnd', function() {
+			ended = true;
+		});
+		round.startAcro(60);
+		round.submitPhrase('0', 'Big apple');
+		should.not.exist(closing);
+		round.submitPhrase('1', 'Bad apple');
+		closing.should.eql(5);
+		clock.advance(4000);
+		ended.should.be.false;
+		clock.advance(1000);
+		ended.should.be.true;
+		clock.now().should.eql(5000);
+	});
+});
@@ -0,0 +1,58 @@
+/*
+ * Acrophobia
+ * Toady Module
+ * Copyright 2013 Tom Frost
+ */
+
+var should = require('should'),
+	Scoring = require('../lib/Scoring');
+
+var OPTS = {
+	numLetters: 4,
+	pointsFastestWithVote: 2,
+	pointsVoteForWinner: 1,
+	userNames: {1: 'one', 2: 'two', 3: 'three', 4: 'four'}
+};
+
+var RESULTS = {
+	acroVotes: {1: 4, 2: 1, 3: 0, 4: 1},
+	winner: 1,
+	fastestWithVote: 2,
+	topVoters: [2, 3],
+	nonVoters: [4]
+};
+
+describe('Scoring', function() {
+	it('should award votes and bonuses in classic scoring', function() {
+		var score = Scoring.classic(RESULTS, OPTS);
+		score.points.should.eql({1: 8, 2: 4, 3: 1, 4: 0});
+		score.lines.length.should.eql(4);
+		score.lines[0].should.include('one wins the round!');
+		score.lines[3].should.include('forfeit their points');
+	});
+	it('should make each vote worth less in diminishing scoring', function() {
+		Scoring.diminishing(RESULTS, OPTS).points
+			.should.eql({1: 11, 2: 6, 3: 1, 4: 0});
+	});
+	it('should only award votes in votesOnly scoring', function() {
+		var score = Scoring.votesOnly(RESULTS, OPTS);
+		score.points.should.eql({1: 4, 2: 1, 3: 0, 4: 0});
+		score.lines[0].should.eql('one wins the round with 4 votes!');
+		score.lines.length.should.eql(2);
+	});
+	it('should skip the lines for bonuses worth nothing', function() {
+		var opts = {
+			numLetters: 4,
+			pointsFastestWithVote: 0,
+			pointsVoteForWinner: 0,
+			userNames: OPTS.userNames
+		};
+		Scoring.classic(RESULTS, opts).lines.length.should.eql(2);
+	});
+	it('should look up strategies by name or function', function() {
+		var custom = function() {};
+		Scoring.get('diminishing').should.equal(Scoring.diminishing);
+		Scoring.get(custom).should.equal(custom);
+		Scoring.get('bogus').should.equal(Scoring.classic);
+	});
+});
@@ -0,0 +1,88 @@
+/*
+ * Acrophobia
+ * Toady Module
+ * Copyright 2013 Tom Frost
+ */
+
+var should = require('should'),
+	fs = require('fs'),
+	os = require('os'),
+	path = require('path'),
+	StatsStore = require('../lib/StatsStore');
+
+var file = path.join(os.tmpdir(), 'acrophobia-stats-' + process.pid + '.json');
+
+function getSummary() {
+	return {
+		winner: 'Alice',
+		players: [
+			{name: 'Alice', score: 32, roundWins: 3, votes: 9, faceOff: true},
+			{name: 'Bob', score: 20, roundWins: 1, votes: 5, faceOff: true},
+			{name: 'Carol', score: 4, roundWins: 0, votes: 1, faceOff: false}
+		]
+	};
+}
+
+describe('StatsStore', function() {
+	afterEach(function() {
+		if (fs.existsSync(file))
+			fs.unlinkSync(file);
+	});
+	it('should total games per channel and globally', function(done) {
+		var stats = new StatsStore(file);
+		stats.recordGame('#one', getSummary());
+		stats.recordGame('#Two', getSummary(), function(err) {
+			should.not.exist(err);
+			var alice = stats.getPlayer('alice');
+			alice.nick.should.eql('Alice');
+			alice.games.should.eql(2);
+			alice.wins.should.eql(2);
+			alice.faceOffs.should.eql(2);
+			alice.roundWins.should.eql(6);
+			alice.votes.should.eql(18);
+			stats.getPlayer('Carol', '#two').games.should.eql(1);
+			should.not.exist(stats.getPlayer('Dave'));
+			done();
+		});
+	});
+	it('should count a game stopped before it was won', function(done) {
+		var stats = new StatsStore(file),
+			summary = getSummary();
+		summary.winner = null;
+		summary.players.push({name: 'Dave', score: 0, roundWins: 0, votes: 0,
+			faceOff: false});
+		stats.recordGame('#one', summary, function() {
+			var alice = stats.getPlayer('Alice');
+			alice.games.should.eql(1);
+			alice.wins.should.eql(0);
+			alice.roundWins.should.eql(3);
+			stats.getPlayer('dave').games.should.eql(1);
+			done();
+		});
+	});
+	it('should rank players by wins', function(done) {
+		var stats = new StatsStore(file);
+		stats.recordGame('#one', getSummary(), function() {
+			var top = stats.getTop(null, 2);
+			top.length.should.eql(2);
+			top[0].nick.should.eql('Alice');
+			top[1].nick.should.eql('Bob');
+			stats.getTop('#nowhere', 5).should.eql([]);
+			done();
+		});
+	});
+	it('should refuse to load a file it cannot parse', function() {
+		fs.writeFileSync(file, '{"global": ');
+		(function() {
+			new StatsStore(file);
+		}).should.throw(/^Could not read /);
+	});
+	it('should reload saved stats from disk', function(done) {
+		var stats = new StatsStore(file);
+		stats.recordGame('#one', getSummary(), function() {
+			var reloaded = new StatsStore(file);
+			reloaded.getPlayer('bob', '#one').roundWins.should.eql(1);
+			done();
+		});
+	});
+});
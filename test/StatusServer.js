@@ -0,0 +1,116 @@
+/*
+ * Acrophobia
+ * Toady Module
+ * Copyright 2013 Tom Frost
+ */
+
+var should = require('should'),
+	StatusServer = require('../lib/StatusServer'),
+	http = require('http');
+
+/**
+ * Creates a stand-in for an AcroGame that reports a fixed status.
+ *
+ * @param {Object} status The status to be reported
+ * @returns {Object} The stand-in game
+ */
+function getGame(status) {
+	return {
+		getStatus: function() {
+			return JSON.parse(JSON.stringify(status));
+		}
+	};
+}
+
+/**
+ * Requests a path from the server.
+ *
+ * @param {StatusServer} server The listening server
+ * @param {String} path The path to be requested
+ * @param {Function} cb A callback function to be executed with the response.
+ *      Arguments provided are:
+ *          - {Number} The status code
+ *          - {String} The response body
+ */
+function get(server, path, cb) {
+	http.get({host: '127.0.0.1', port: server.getPort(), path: path},
+		function(res) {
+			var body = '';
+			res.setEncoding('utf8');
+			res.on('data', function(chunk) {
+				body += chunk;
+			});
+			res.on('end', function() {
+				cb(res.statusCode, body);
+			});
+		});
+}
+
+var STATUS = {
+	phase: 'acro',
+	paused: false,
+	round: 2,
+	acro: 'ABC',
+	category: null,
+	secsRemaining: 40,
+	submitted: 1,
+	scoreboard: {
+		players: [{userId: 0, name: '<b>Ann</b>', score: 5, team: null}],
+		teams: []
+	}
+};
+
+describe('StatusServer', function() {
+	var games = {'#acro': getGame(STATUS)},
+		server;
+	before(function(done) {
+		server = new StatusServer(function() {
+			return games;
+		});
+		server.listen(0, '127.0.0.1', done);
+	});
+	after(function(done) {
+		server.close(done);
+	});
+	it('should list the games as JSON', function(done) {
+		get(server, '/games', function(code, body) {
+			code.should.eql(200);
+			var statuses = JSON.parse(body);
+			statuses.length.should.eql(1);
+			statuses[0].channel.should.eql('#acro');
+			statuses[0].acro.should.eql('ABC');
+			statuses[0].scoreboard.players[0].score.should.eql(5);
+			done();
+		});
+	});
+	it('should serve a single game by channel', function(done) {
+		get(server, '/games/%23acro', function(code, body) {
+			code.should.eql(200);
+			JSON.parse(body).secsRemaining.should.eql(40);
+			get(server, '/games/%23none', function(code) {
+				code.should.eql(404);
+				done();
+			});
+		});
+	});
+	it('should serve an escaped, refreshing scoreboard page', function(done) {
+		get(server, '/', function(code, body) {
+			code.should.eql(200);
+			body.should.include('http-equiv="refresh"');
+			body.should.include('&lt;b&gt;Ann&lt;/b&gt;');
+			body.should.not.include('<b>Ann');
+			done();
+		});
+	});
+	it('should shut down when closed while starting', function(done) {
+		var early = new StatusServer(function() {
+			return games;
+		});
+		early.listen(0, '127.0.0.1', function(err) {
+			should.exist(err);
+			should.not.exist(early.getPort());
+			done();
+		});
+		early.close();
+	});
+});
@@ -0,0 +1,79 @@
+/*
+ * Acrophobia
+ * Toady Module
+ * Copyright 2013 Tom Frost
+ */
+
+var should = require('should'),
+	TimerGroup = require('../lib/util/TimerGroup'),
+	VirtualScheduler = require('../lib/util/VirtualScheduler');
+
+describe('TimerGroup', function() {
+	it('should fire timeouts on the real clock by default', function(done) {
+		var timers = new TimerGroup();
+		timers.setTimeout(done, 5);
+	});
+	it('should fire timeouts in order', function() {
+		var clock = new VirtualScheduler(),
+			timers = new TimerGroup(clock),
+			fired = [];
+		timers.setTimeout(fired.push.bind(fired, 'b'), 20);
+		timers.setTimeout(fired.push.bind(fired, 'a'), 10);
+		timers.setTimeout(fired.push.bind(fired, 'c'), 20);
+		clock.advance(15);
+		fired.should.eql(['a']);
+		clock.runAll();
+		fired.should.eql(['a', 'b', 'c']);
+	});
+	it('should cancel timeouts', function() {
+		var clock = new VirtualScheduler(),
+			timers = new TimerGroup(clock),
+			id = timers.setTimeout(function() {
+				throw new Error('Should have been canceled');
+			}, 10);
+		timers.clearTimeout(id);
+		clock.pending().should.eql(0);
+		clock.runAll().should.eql(0);
+	});
+	it('should not fire while paused', function() {
+		var clock = new VirtualScheduler(),
+			timers = new TimerGroup(clock),
+			fired = false;
+		timers.setTimeout(function() {
+			fired = true;
+		}, 10);
+		clock.advance(4);
+		timers.pause().should.eql(true);
+		timers.pause().should.eql(false);
+		clock.advance(100);
+		fired.should.eql(false);
+		timers.resume().should.eql(true);
+		timers.resume().should.eql(false);
+		clock.advance(5);
+		fired.should.eql(false);
+		clock.advance(1);
+		fired.should.eql(true);
+	});
+	it('should keep the remaining time while paused', function() {
+		var clock = new VirtualScheduler(),
+			timers = new TimerGroup(clock),
+			id = timers.setTimeout(function() {}, 1000);
+		clock.advance(250);
+		timers.pause();
+		clock.advance(5000);
+		timers.remaining(id).should.eql(750);
+		timers.clearTimeout(id);
+		should.not.exist(timers.remaining(id));
+	});
+	it('should stop its clock while paused', function() {
+		var clock = new VirtualScheduler(),
+			timers = new TimerGroup(clock);
+		clock.advance(10);
+		timers.pause();
+		clock.advance(20);
+		timers.now().should.eql(10);
+		timers.resume();
+		clock.advance(5);
+		timers.now().should.eql(15);
+	});
+});
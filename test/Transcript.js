@@ -0,0 +1,88 @@
+/*
+ * Acrophobia
+ * Toady Module
+ * Copyright 2013 Tom Frost
+ */
+
+var should = require('should'),
+	Transcript = require('../lib/Transcript');
+
+var ANN = {userId: 0, name: 'Ann'},
+	BOB = {userId: 1, name: 'Bob'};
+
+var TRANSCRIPT = {
+	channel: '#acro',
+	endedAt: '2013-06-01T20:15:42.000Z',
+	winner: 'Ann',
+	players: [
+		{name: 'Bob', score: 3, roundWins: 0, votes: 1, faceOff: true,
+			team: null},
+		{name: 'Ann', score: 9, roundWins: 1, votes: 3, faceOff: true,
+			team: null}
+	],
+	teams: {},
+	rounds: [
+		{
+			round: 1,
+			faceOff: false,
+			suddenDeath: false,
+			acro: 'ABC',
+			category: null,
+			winner: ANN,
+			fastest: BOB,
+			phrases: [
+				{userId: 0, name: 'Ann', phrase: 'All *bold* cats', secs: 8.5,
+					votes: 3, points: 9},
+				{userId: 1, name: 'Bob', phrase: 'A | B | C', secs: 2,
+					votes: 1, points: 3}
+			],
+			votes: [{userId: 1, name: 'Bob', votedFor: [ANN]}]
+		},
+		{
+			round: 1,
+			faceOff: true,
+			suddenDeath: false,
+			acro: 'XY',
+			category: null,
+			winner: null,
+			fastest: ANN,
+			phrases: [
+				{userId: 0, name: 'Ann', phrase: 'X marks', secs: null,
+					votes: 1, points: 1},
+				{userId: 1, name: 'Bob', phrase: 'Xtra yarn', secs: 4,
+					votes: 1, points: 1}
+			],
+			votes: []
+		}
+	]
+};
+
+describe('Transcript', function() {
+	it('should render escaped Markdown', function() {
+		var md = Transcript.toMarkdown(TRANSCRIPT);
+		md.should.include('# Acrophobia in #acro');
+		md.should.include('Ended 2013-06-01 20:15 UTC. Winner: **Ann**');
+		md.should.include('| Ann | All \\*bold\\* cats | 8.5s | 3 | 9 |');
+		md.should.include('A \\| B \\| C');
+		md.should.include('## Face-off round 1: XY');
+		md.should.include('Votes: Bob voted for Ann.');
+		md.indexOf('| Ann | 9 |').should.be.below(md.indexOf('| Bob | 3 |'));
+	});
+	it('should summarize the winner of each round', function() {
+		Transcript.summarize(TRANSCRIPT).should.eql([
+			'The game in #acro ended 2013-06-01 20:15 UTC. Ann won!',
+			'Round 1 [ABC]: "All *bold* cats" by Ann (3 votes)',
+			'Face-off round 1 [XY]: no winner'
+		]);
+	});
+	it('should find and list a single round', function() {
+		should.not.exist(Transcript.findRound(TRANSCRIPT, '2'));
+		var round = Transcript.findRound(TRANSCRIPT, 'f1');
+		round.acro.should.eql('XY');
+		Transcript.summarizeRound(round).should.eql([
+			'Face-off round 1 [XY]:',
+			'  "X marks" by Ann, 1 vote, 1 point',
+			'  "Xtra yarn" by Bob at 4s, 1 vote, 1 point'
+		]);
+	});
+});